@@ -24,6 +24,7 @@ class ComponentLoader {
             // Organismos (dependen de moléculas y átomos)
             'organisms/Header.js',
             'organisms/Sections.js',
+            'organisms/Dashboard.js',
             'organisms/Footer.js',
             
             // Templates (dependen de organismos)
@@ -126,6 +127,7 @@ class ComponentLoader {
             Table: typeof Table !== 'undefined' ? Table : null,
             Header: typeof Header !== 'undefined' ? Header : null,
             Sections: typeof Sections !== 'undefined' ? Sections : null,
+            Dashboard: typeof Dashboard !== 'undefined' ? Dashboard : null,
             Footer: typeof Footer !== 'undefined' ? Footer : null,
             PageTemplate: typeof PageTemplate !== 'undefined' ? PageTemplate : null
         };
@@ -146,6 +148,7 @@ class ComponentLoader {
             'Table': 'molecules/Table.js',
             'Header': 'organisms/Header.js',
             'Sections': 'organisms/Sections.js',
+            'Dashboard': 'organisms/Dashboard.js',
             'Footer': 'organisms/Footer.js',
             'PageTemplate': 'templates/PageTemplate.js',
             'MainPage': 'pages/MainPage.js'
@@ -169,6 +172,7 @@ class ComponentLoader {
             'Card': ['Button', 'Badge'],
             'Form': ['Input', 'Button'],
             'Sections': ['Card', 'Table', 'Form'],
+            'Dashboard': ['Badge'],
             'PageTemplate': ['Header', 'Sections', 'Footer'],
             'MainPage': ['PageTemplate']
         };
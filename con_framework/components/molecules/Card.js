@@ -169,6 +169,7 @@ class Card {
      * @dependencies
      * - Requiere la clase Button para el botón de eliminar
      * - Requiere la variable global contactFacade para la funcionalidad de eliminación
+     *   (la eliminación es asíncrona; el botón queda deshabilitado mientras termina)
      */
     static createContact(contact) {
         const {
@@ -227,9 +228,14 @@ class Card {
             variant: 'outline-danger',
             size: 'sm',
             icon: 'fas fa-trash',
-            onclick: () => {
+            onclick: async () => {
                 if (typeof contactFacade !== 'undefined') {
-                    contactFacade.eliminarContacto(contact.id || Date.now());
+                    deleteButton.disabled = true;
+                    try {
+                        await contactFacade.eliminarContacto(contact.id || Date.now());
+                    } finally {
+                        deleteButton.disabled = false;
+                    }
                 }
             }
         });
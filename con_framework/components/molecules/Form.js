@@ -9,12 +9,15 @@ class Form {
      * Crea el formulario completo de contacto con todos los campos
      * (nombre, email, teléfono, asunto, preferencia de contacto, mensaje,
      * aceptación de términos y botón de envío).
+     * @param {Object} [config] - Configuración del formulario.
+     * @param {string} [config.endpoint] - URL a la que ContactFacade envía los contactos (data-endpoint).
      * @returns {HTMLFormElement} Elemento <form> listo para insertarse en el DOM.
      */
-    static createContactForm() {
+    static createContactForm(config = {}) {
         const formElement = document.createElement('form');
         formElement.id = 'contacto_Form';
         formElement.className = 'contact-form';
+        if (config.endpoint) formElement.dataset.endpoint = config.endpoint;
 
         // Primera fila: Nombre y Email
         const row1 = document.createElement('div');
@@ -54,8 +57,7 @@ class Form {
 
         const col3 = document.createElement('div');
         col3.className = 'col-md-6';
-        const phoneInput = this.createInputField({
-            type: 'tel',
+        const phoneInput = this.createPhoneField({
             label: 'Teléfono',
             id: 'phone',
             name: 'phone',
@@ -105,6 +107,9 @@ class Form {
         const termsDiv = this.createTermsCheckbox();
         formElement.appendChild(termsDiv);
 
+        // Campo trampa para bots
+        formElement.appendChild(this.createHoneypotField());
+
         // Botón de envío
         const submitContainer = document.createElement('div');
         submitContainer.className = 'd-grid';
@@ -179,6 +184,72 @@ class Form {
         return container;
     }
 
+    /**
+     * Crea el campo honeypot: oculto para las personas y sin foco con el teclado,
+     * pero visible para los scripts que completan todos los campos. Si llega con
+     * valor, ContactFacade descarta el envío (ver SpamGuard).
+     * @returns {HTMLDivElement} Contenedor oculto con label e input.
+     */
+    static createHoneypotField() {
+        const name = typeof SpamGuard !== 'undefined' ? SpamGuard.HONEYPOT_FIELD : 'website';
+        const container = document.createElement('div');
+        container.className = 'visually-hidden';
+        container.setAttribute('aria-hidden', 'true');
+
+        const label = document.createElement('label');
+        label.htmlFor = name;
+        label.textContent = 'Sitio web';
+        container.appendChild(label);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = name;
+        input.name = name;
+        input.tabIndex = -1;
+        input.autocomplete = 'off';
+        container.appendChild(input);
+
+        return container;
+    }
+
+    /**
+     * Crea un campo de teléfono con el selector de país a su izquierda.
+     * El selector se llama phoneCountry y sus opciones salen de PhoneNumber.COUNTRIES;
+     * sin PhoneNumber cargado se crea un input de teléfono simple.
+     * @param {Object} config - Configuración del campo (la misma de createInputField).
+     * @param {string} [config.country] - País seleccionado inicialmente (código ISO).
+     * @returns {HTMLDivElement} Contenedor con label, selector, input y feedback de error.
+     */
+    static createPhoneField(config = {}) {
+        const container = this.createInputField({ ...config, type: 'tel' });
+        if (typeof PhoneNumber === 'undefined') return container;
+
+        const country = config.country || PhoneNumber.DEFAULT_COUNTRY;
+        const input = container.querySelector('input');
+        input.placeholder = config.placeholder || '300 123 4567';
+
+        const select = document.createElement('select');
+        select.className = 'form-select flex-grow-0 w-auto';
+        select.id = 'phoneCountry';
+        select.name = 'phoneCountry';
+        select.setAttribute('aria-label', 'País del teléfono');
+        Object.entries(PhoneNumber.COUNTRIES).forEach(([code, rules]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${rules.name} (+${rules.code})`;
+            if (code === country) option.selected = true;
+            select.appendChild(option);
+        });
+
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        input.replaceWith(group);
+        group.appendChild(select);
+        group.appendChild(input);
+
+        return container;
+    }
+
     /**
      * Crea un campo de selección (select) con opciones y validación.
      * @param {Object} config - Configuración del select.
@@ -366,7 +437,9 @@ class Form {
 
     /**
      * Crea el checkbox de aceptación de términos y condiciones.
-     * Incluye link de términos y div para mostrar errores.
+     * Incluye link de términos y div para mostrar errores. El checkbox lleva la
+     * versión de los términos que se muestran (data-terms-version) y el texto
+     * de consentimiento va en [data-consent-text], para registrar ambos al aceptar.
      * @returns {HTMLDivElement} Contenedor con checkbox y label.
      */
     static createTermsCheckbox() {
@@ -379,13 +452,16 @@ class Form {
         input.id = 'terms';
         input.name = 'terms';
         input.required = true;
+        if (typeof ContactTerms !== 'undefined') {
+            input.dataset.termsVersion = ContactTerms.VERSION;
+        }
 
         const label = document.createElement('label');
         label.className = 'form-check-label';
         label.htmlFor = 'terms';
         label.innerHTML = `
-            Acepto los <a href="#" class="text-primary">términos y condiciones</a> 
-            y la política de privacidad <span class="required">*</span>
+            <span data-consent-text>Acepto los <a href="#terminos" id="termsLink" class="text-primary">términos y condiciones</a>
+            y la política de privacidad</span> <span class="required">*</span>
         `;
 
         const errorDiv = document.createElement('div');
@@ -631,42 +707,19 @@ class Form {
     }
 
     /**
-     * Valida un campo individual según su tipo y requisitos.
+     * Valida un campo individual con las reglas de ContactSchema
+     * (por id del campo o, si no es del formulario de contacto, por su tipo y requisitos).
      * @param {HTMLElement} field - Campo de formulario a validar.
      * @returns {boolean} true si el campo es válido, false si no lo es.
      */
     static validateField(field) {
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
-
-        // Validar campo requerido
-        if (field.required && !value) {
-            isValid = false;
-            errorMessage = 'Este campo es requerido';
-        }
-
-        // Validaciones específicas por tipo
-        if (value && field.type === 'email') {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Ingresa un email válido';
-            }
-        }
-
-        if (value && field.type === 'tel') {
-            const phoneRegex = /^\d{7,15}$/;
-            if (!phoneRegex.test(value.replace(/\D/g, ''))) {
-                isValid = false;
-                errorMessage = 'Ingresa un teléfono válido';
-            }
-        }
+        // Las reglas de cada campo están en ContactSchema
+        const errorMessage = ContactSchema.validateElement(field);
 
         // Mostrar/ocultar error
-        this.showFieldError(field, isValid ? '' : errorMessage);
+        this.showFieldError(field, errorMessage || '');
         
-        return isValid;
+        return !errorMessage;
     }
 
     /**
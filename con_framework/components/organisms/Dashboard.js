@@ -0,0 +1,337 @@
+/**
+ * Clase Dashboard
+ * Genera el panel de estadísticas de contactos: contadores, gráficos de barras
+ * y de dona, línea de tiempo de envíos por día y medidor de almacenamiento.
+ * Los gráficos se dibujan con SVG en línea, sin librerías externas.
+ */
+class Dashboard {
+    /**
+     * Colores usados en los gráficos (mismos tonos que las variantes de Bootstrap).
+     * @returns {string[]} Lista de colores hexadecimales.
+     */
+    static get COLORS() {
+        return ['#0d6efd', '#198754', '#ffc107', '#dc3545', '#0dcaf0', '#6f42c1', '#fd7e14'];
+    }
+
+    /**
+     * Crea la sección del panel de estadísticas.
+     * El contenido se completa cuando contactFacade llama a {@link Dashboard.render}.
+     * @returns {HTMLElement} Sección `<section>` lista para agregar al DOM.
+     */
+    static createSection() {
+        const section = document.createElement('section');
+        section.className = 'container-fluid py-5 bg-light';
+        section.id = 'estadisticas';
+
+        const container = document.createElement('div');
+        container.className = 'container';
+
+        const title = document.createElement('h2');
+        title.className = 'section-title text-center mb-5';
+        title.textContent = 'Estadísticas de contactos';
+        container.appendChild(title);
+
+        const content = document.createElement('div');
+        content.id = 'dashboardContent';
+        content.className = 'dashboard';
+        content.innerHTML = '<p class="text-center text-muted">Cargando estadísticas...</p>';
+        container.appendChild(content);
+
+        section.appendChild(container);
+
+        return section;
+    }
+
+    /**
+     * Dibuja el panel completo dentro de un contenedor.
+     * @param {HTMLElement} container - Contenedor del panel (normalmente `#dashboardContent`).
+     * @param {Object} stats - Resultado de ContactFacade.getDisplayStats().
+     * @param {number} stats.total - Total de contactos activos.
+     * @param {number} stats.recentContacts - Contactos de las últimas 24 horas.
+     * @param {Object} stats.bySubject - Conteo por asunto.
+     * @param {Object} stats.byContactPreference - Conteo por preferencia de contacto.
+     * @param {Object} stats.byDay - Conteo por día (AAAA-MM-DD).
+     * @param {Object} stats.storage - Información de almacenamiento.
+     */
+    static render(container, stats) {
+        if (!container || !stats) return;
+
+        container.innerHTML = '';
+
+        // Contadores
+        const counters = document.createElement('div');
+        counters.className = 'row g-3 mb-4';
+        [
+            { label: 'Contactos', count: stats.total, icon: 'fas fa-users', variant: 'primary' },
+            { label: 'Últimas 24 horas', count: stats.recentContacts, icon: 'fas fa-clock', variant: 'success' },
+            { label: 'Asuntos distintos', count: Object.keys(stats.bySubject).length, icon: 'fas fa-tags', variant: 'info' },
+            { label: 'Prefieren WhatsApp', count: stats.byContactPreference.WhatsApp || 0, icon: 'fab fa-whatsapp', variant: 'secondary' }
+        ].forEach(counter => {
+            const col = document.createElement('div');
+            col.className = 'col-6 col-md-3';
+            col.appendChild(this.createCounter(counter));
+            counters.appendChild(col);
+        });
+        container.appendChild(counters);
+
+        // Gráficos
+        const charts = document.createElement('div');
+        charts.className = 'row g-3 mb-4';
+
+        const subjectLabels = typeof Contacto !== 'undefined' ? Contacto.ASUNTOS : {};
+        const subjectCol = document.createElement('div');
+        subjectCol.className = 'col-md-6';
+        subjectCol.appendChild(this.createPanel('Contactos por asunto', this.createBarChart(stats.bySubject, subjectLabels)));
+        charts.appendChild(subjectCol);
+
+        const preferenceCol = document.createElement('div');
+        preferenceCol.className = 'col-md-6';
+        preferenceCol.appendChild(this.createPanel('Preferencia de contacto', this.createDonutChart(stats.byContactPreference)));
+        charts.appendChild(preferenceCol);
+
+        container.appendChild(charts);
+
+        // Línea de tiempo y almacenamiento
+        const bottom = document.createElement('div');
+        bottom.className = 'row g-3';
+
+        const timelineCol = document.createElement('div');
+        timelineCol.className = 'col-lg-8';
+        timelineCol.appendChild(this.createPanel('Envíos de los últimos 14 días', this.createTimeline(stats.byDay || {})));
+        bottom.appendChild(timelineCol);
+
+        const storageCol = document.createElement('div');
+        storageCol.className = 'col-lg-4';
+        storageCol.appendChild(this.createPanel('Almacenamiento', this.createStorageMeter(stats.storage)));
+        bottom.appendChild(storageCol);
+
+        container.appendChild(bottom);
+    }
+
+    /**
+     * Crea un contador con icono y un badge numérico (Badge.createCount).
+     * @param {Object} config - Configuración del contador.
+     * @param {string} config.label - Texto descriptivo.
+     * @param {number} config.count - Valor a mostrar.
+     * @param {string} config.icon - Clase del icono de Font Awesome.
+     * @param {string} [config.variant='primary'] - Variante de Bootstrap del badge.
+     * @returns {HTMLElement} Contenedor `<div>` del contador.
+     */
+    static createCounter(config) {
+        const { label, count, icon, variant = 'primary' } = config;
+
+        const counter = document.createElement('div');
+        counter.className = 'dashboard-counter';
+
+        const iconWrapper = document.createElement('span');
+        iconWrapper.className = 'dashboard-counter-icon position-relative';
+        iconWrapper.innerHTML = `<i class="${icon}"></i>`;
+        iconWrapper.appendChild(Badge.createCount({ count, variant, maxCount: 999 }));
+        counter.appendChild(iconWrapper);
+
+        const labelElement = document.createElement('div');
+        labelElement.className = 'dashboard-counter-label';
+        labelElement.textContent = label;
+        counter.appendChild(labelElement);
+
+        return counter;
+    }
+
+    /**
+     * Envuelve un gráfico en un panel con título.
+     * @param {string} title - Título del panel.
+     * @param {HTMLElement} content - Contenido del panel.
+     * @returns {HTMLElement} Contenedor `<div>` del panel.
+     */
+    static createPanel(title, content) {
+        const panel = document.createElement('div');
+        panel.className = 'dashboard-panel h-100';
+
+        const heading = document.createElement('h6');
+        heading.className = 'dashboard-panel-title';
+        heading.textContent = title;
+        panel.appendChild(heading);
+        panel.appendChild(content);
+
+        return panel;
+    }
+
+    /**
+     * Crea un gráfico de barras horizontales.
+     * @param {Object} data - Conteo por categoría.
+     * @param {Object} [labels={}] - Etiquetas legibles por categoría.
+     * @returns {HTMLElement} Contenedor con el SVG o un mensaje si no hay datos.
+     */
+    static createBarChart(data, labels = {}) {
+        const entries = Object.entries(data).sort((a, b) => b[1] - a[1]);
+        if (entries.length === 0) return this.createEmptyState();
+
+        const max = Math.max(...entries.map(([, count]) => count));
+        const rowHeight = 28;
+        const labelWidth = 110;
+        const chartWidth = 170;
+
+        const bars = entries.map(([key, count], index) => {
+            const y = index * rowHeight;
+            const width = Math.max(2, (count / max) * chartWidth);
+            const label = this.escape(labels[key] || key);
+            return `
+                <text x="0" y="${y + 17}" class="dashboard-chart-label">${label}</text>
+                <rect x="${labelWidth}" y="${y + 5}" width="${width}" height="16" rx="3" fill="${this.COLORS[index % this.COLORS.length]}">
+                    <title>${label}: ${count}</title>
+                </rect>
+                <text x="${labelWidth + width + 5}" y="${y + 17}" class="dashboard-chart-value">${count}</text>
+            `;
+        }).join('');
+
+        return this.createSvg(`0 0 ${labelWidth + chartWidth + 30} ${entries.length * rowHeight}`, bars, 'Gráfico de barras por asunto');
+    }
+
+    /**
+     * Crea un gráfico de dona con su leyenda.
+     * @param {Object} data - Conteo por categoría.
+     * @returns {HTMLElement} Contenedor con el SVG y la leyenda, o un mensaje si no hay datos.
+     */
+    static createDonutChart(data) {
+        const entries = Object.entries(data).filter(([, count]) => count > 0);
+        if (entries.length === 0) return this.createEmptyState();
+
+        const total = entries.reduce((sum, [, count]) => sum + count, 0);
+        // Con r = 15.9155 la circunferencia mide 100 y cada porcentaje equivale a una unidad
+        let offset = 25;
+        const segments = entries.map(([key, count], index) => {
+            const percentage = (count / total) * 100;
+            const segment = `
+                <circle cx="21" cy="21" r="15.9155" fill="transparent" stroke="${this.COLORS[index % this.COLORS.length]}" stroke-width="6"
+                    stroke-dasharray="${percentage} ${100 - percentage}" stroke-dashoffset="${offset}">
+                    <title>${this.escape(key)}: ${count}</title>
+                </circle>
+            `;
+            offset -= percentage;
+            return segment;
+        }).join('');
+
+        const center = `<text x="21" y="23.5" text-anchor="middle" class="dashboard-donut-total">${total}</text>`;
+        const wrapper = this.createSvg('0 0 42 42', segments + center, 'Gráfico de dona por preferencia de contacto');
+        wrapper.classList.add('dashboard-donut');
+
+        const legend = document.createElement('ul');
+        legend.className = 'dashboard-legend list-unstyled mb-0';
+        legend.innerHTML = entries.map(([key, count], index) => `
+            <li>
+                <span class="dashboard-legend-color" style="background: ${this.COLORS[index % this.COLORS.length]}"></span>
+                ${this.escape(key)} <span class="text-muted">(${Math.round((count / total) * 100)}%)</span>
+            </li>
+        `).join('');
+        wrapper.appendChild(legend);
+
+        return wrapper;
+    }
+
+    /**
+     * Crea la línea de tiempo de envíos por día (incluye los días sin envíos).
+     * @param {Object} byDay - Conteo por día (AAAA-MM-DD).
+     * @param {number} [days=14] - Cantidad de días hacia atrás a mostrar.
+     * @returns {HTMLElement} Contenedor con el SVG.
+     */
+    static createTimeline(byDay, days = 14) {
+        const series = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const date = new Date();
+            date.setDate(date.getDate() - offset);
+            const key = ContactRepository.toDayKey(date);
+            series.push({ date, count: byDay[key] || 0 });
+        }
+
+        const max = Math.max(1, ...series.map(point => point.count));
+        const height = 80;
+        const barWidth = 14;
+        const gap = 6;
+
+        const bars = series.map((point, index) => {
+            const barHeight = (point.count / max) * height;
+            const x = index * (barWidth + gap);
+            const label = point.date.toLocaleDateString('es-CO', { day: 'numeric', month: 'short' });
+            return `
+                <rect x="${x}" y="${height - barHeight}" width="${barWidth}" height="${Math.max(barHeight, 1)}" rx="2"
+                    fill="${point.count > 0 ? this.COLORS[0] : '#dee2e6'}">
+                    <title>${label}: ${point.count}</title>
+                </rect>
+            `;
+        }).join('');
+
+        const width = days * (barWidth + gap) - gap;
+        const firstLabel = series[0].date.toLocaleDateString('es-CO', { day: 'numeric', month: 'short' });
+        const axis = `
+            <text x="0" y="${height + 14}" class="dashboard-chart-label">${firstLabel}</text>
+            <text x="${width}" y="${height + 14}" text-anchor="end" class="dashboard-chart-label">Hoy</text>
+        `;
+
+        return this.createSvg(`0 0 ${width} ${height + 18}`, bars + axis, 'Envíos por día');
+    }
+
+    /**
+     * Crea el medidor de uso del almacenamiento.
+     * @param {Object} storage - Resultado de ContactRepository.getStorageInfo().
+     * @returns {HTMLElement} Contenedor `<div>` con la barra de progreso.
+     */
+    static createStorageMeter(storage = {}) {
+        const { backend = 'localStorage', sizeKB = 0, limitKB = 0, usagePercentage = 0 } = storage;
+
+        let variant = 'success';
+        if (usagePercentage >= 90) {
+            variant = 'danger';
+        } else if (usagePercentage >= 70) {
+            variant = 'warning';
+        }
+
+        const meter = document.createElement('div');
+        meter.className = 'dashboard-storage';
+        meter.innerHTML = `
+            <div class="progress mb-2" role="progressbar" aria-label="Uso del almacenamiento"
+                aria-valuenow="${usagePercentage}" aria-valuemin="0" aria-valuemax="100">
+                <div class="progress-bar bg-${variant}" style="width: ${Math.min(usagePercentage, 100)}%"></div>
+            </div>
+            <small class="text-muted d-block">${sizeKB} KB de ${limitKB} KB (${usagePercentage}%)</small>
+            <small class="text-muted d-block"><i class="fas fa-database me-1"></i>${this.escape(backend)}</small>
+        `;
+
+        return meter;
+    }
+
+    /**
+     * Crea el contenedor de un SVG a partir de su contenido.
+     * @param {string} viewBox - Atributo viewBox del SVG.
+     * @param {string} content - Elementos SVG en forma de texto.
+     * @param {string} label - Descripción accesible del gráfico.
+     * @returns {HTMLElement} Contenedor `<div>` con el SVG.
+     */
+    static createSvg(viewBox, content, label) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'dashboard-chart';
+        wrapper.innerHTML = `<svg viewBox="${viewBox}" role="img" aria-label="${label}" preserveAspectRatio="xMinYMin meet">${content}</svg>`;
+        return wrapper;
+    }
+
+    /**
+     * Crea el mensaje mostrado cuando un gráfico no tiene datos.
+     * @returns {HTMLElement} Párrafo con el mensaje.
+     */
+    static createEmptyState() {
+        const empty = document.createElement('p');
+        empty.className = 'text-muted small mb-0';
+        empty.textContent = 'Aún no hay contactos guardados';
+        return empty;
+    }
+
+    /**
+     * Escapa texto para insertarlo en el marcado SVG/HTML.
+     * @param {string} text - Texto a escapar.
+     * @returns {string} Texto escapado.
+     */
+    static escape(text) {
+        const div = document.createElement('div');
+        div.textContent = String(text);
+        return div.innerHTML;
+    }
+}
@@ -60,6 +60,7 @@ class Navbar {
      * @param {Array<Object>} [config.links=[]] - Lista de enlaces de navegación.
      * @param {string} [config.className=''] - Clases CSS adicionales para el nav.
      * @param {boolean} [config.sticky=true] - Si es `true`, fija la barra en la parte superior.
+     * @param {boolean} [config.offlineIndicator=true] - Si es `true`, incluye el aviso "Sin conexión".
      * @returns {HTMLElement} Elemento `<nav>` listo para insertar en el DOM.
      */
     static create(config = {}) {
@@ -67,7 +68,8 @@ class Navbar {
             brand = '',
             links = [],
             className = '',
-            sticky = true
+            sticky = true,
+            offlineIndicator = true
         } = config;
 
         const nav = document.createElement('nav');
@@ -122,11 +124,32 @@ class Navbar {
 
         navbarCollapse.appendChild(navbarNav);
         containerFluid.appendChild(navbarCollapse);
+
+        if (offlineIndicator) {
+            containerFluid.appendChild(this.createOfflineIndicator());
+        }
+
         nav.appendChild(containerFluid);
 
         return nav;
     }
 
+    /**
+     * Crea el aviso "Sin conexión" de la barra de navegación. Queda fuera del
+     * menú colapsable para verse también en móviles; OfflineSupport lo muestra
+     * u oculta con los eventos online/offline.
+     * @returns {HTMLSpanElement} Badge oculto mientras haya conexión.
+     */
+    static createOfflineIndicator() {
+        const indicator = document.createElement('span');
+        indicator.className = 'badge bg-warning text-dark';
+        indicator.dataset.offlineIndicator = '';
+        indicator.setAttribute('role', 'status');
+        indicator.innerHTML = '<i class="fas fa-plug me-1"></i>Sin conexión';
+        indicator.classList.toggle('d-none', navigator.onLine !== false);
+        return indicator;
+    }
+
     /**
      * Crea una barra de navegación predeterminada con enlaces a las
      * secciones principales de un portafolio o página personal.
@@ -138,7 +161,8 @@ class Navbar {
             { text: 'Estudios', href: '#estudios' },
             { text: 'Pasatiempos', href: '#pasatiempos' },
             { text: 'Proyectos', href: '#proyectos' },
-            { text: 'Contacto', href: '#contacto' }
+            { text: 'Contacto', href: '#contacto' },
+            { text: 'Estadísticas', href: '#estadisticas' }
         ];
 
         return this.create({ links });
@@ -404,8 +404,10 @@ class Sections {
     }
 
     /**
-     * Crea un listado de contactos con botones para actualizar
-     * o borrar todos los registros.
+     * Crea un listado de contactos con buscador, orden, filtros, paginación y
+     * botones para actualizar, abrir la papelera, borrar todos los registros y
+     * exportar o importar en JSON, CSV y vCard. Las acciones de contactFacade son
+     * asíncronas, por lo que cada botón se deshabilita hasta que terminan.
      * @returns {HTMLElement} Contenedor `<div>` con la lista de contactos.
      */
     static createContactList() {
@@ -413,7 +415,13 @@ class Sections {
         contactListDiv.className = 'contact-list';
 
         const title = document.createElement('h4');
-        title.textContent = 'Contactos guardados';
+        title.textContent = 'Contactos guardados ';
+        // contactFacade escribe aquí el total o los resultados de la búsqueda (ver updateContactCounter)
+        const counter = document.createElement('span');
+        counter.id = 'contactCounter';
+        counter.className = 'badge bg-secondary align-middle';
+        counter.setAttribute('aria-live', 'polite');
+        title.appendChild(counter);
         contactListDiv.appendChild(title);
 
         // Botones de acción
@@ -425,11 +433,16 @@ class Sections {
             variant: 'outline-primary',
             size: 'sm',
             icon: 'fas fa-refresh',
-            onclick: () => {
-                if (typeof contactFacade !== 'undefined') {
-                    contactFacade.listarContactos();
-                }
-            }
+            onclick: () => this.runContactAction(refreshButton, () => contactFacade.listarContactos())
+        });
+
+        const trashButton = Button.create({
+            text: 'Papelera',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-trash-restore',
+            id: 'btnPapelera',
+            onclick: () => this.runContactAction(trashButton, () => contactFacade.togglePapelera())
         });
 
         const deleteAllButton = Button.create({
@@ -437,25 +450,148 @@ class Sections {
             variant: 'outline-danger',
             size: 'sm',
             icon: 'fas fa-trash',
-            onclick: () => {
-                if (typeof contactFacade !== 'undefined') {
-                    contactFacade.borrarTodo();
-                }
-            }
+            onclick: () => this.runContactAction(deleteAllButton, () => contactFacade.borrarTodo())
         });
 
         buttonContainer.appendChild(refreshButton);
+        buttonContainer.appendChild(trashButton);
         buttonContainer.appendChild(deleteAllButton);
         contactListDiv.appendChild(buttonContainer);
 
+        // Exportar, importar, copias de seguridad, auditoría, cifrado y privacidad
+        const fileButtonContainer = document.createElement('div');
+        fileButtonContainer.className = 'd-flex flex-wrap gap-2 mb-3';
+
+        const exportJsonButton = Button.create({
+            text: 'JSON',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-file-code',
+            onclick: () => this.runContactAction(exportJsonButton, () => contactFacade.exportarContactos('json'))
+        });
+
+        const exportCsvButton = Button.create({
+            text: 'CSV',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-file-csv',
+            onclick: () => this.runContactAction(exportCsvButton, () => contactFacade.exportarContactos('csv'))
+        });
+
+        // Exporta los contactos seleccionados en la lista, o todos si no hay selección
+        const exportVCardButton = Button.create({
+            text: 'vCard',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-address-card',
+            id: 'btnExportarVCard',
+            onclick: () => this.runContactAction(exportVCardButton, () => contactFacade.exportarContactos('vcf'))
+        });
+
+        const importButton = Button.create({
+            text: 'Importar',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-file-import',
+            onclick: () => typeof contactFacade !== 'undefined' && contactFacade.importarContactos()
+        });
+
+        const snapshotsButton = Button.create({
+            text: 'Copias de seguridad',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-history',
+            onclick: () => this.runContactAction(snapshotsButton, () => contactFacade.mostrarRespaldos())
+        });
+
+        const auditButton = Button.create({
+            text: 'Auditoría',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-clipboard-list',
+            onclick: () => this.runContactAction(auditButton, () => contactFacade.exportarAuditoria())
+        });
+
+        const encryptionButton = Button.create({
+            text: 'Cifrado',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-lock',
+            onclick: () => this.runContactAction(encryptionButton, () => contactFacade.configurarCifrado())
+        });
+
+        const privacyButton = Button.create({
+            text: 'Privacidad',
+            variant: 'outline-secondary',
+            size: 'sm',
+            icon: 'fas fa-user-shield',
+            onclick: () => this.runContactAction(privacyButton, () => contactFacade.configurarPrivacidad())
+        });
+
+        fileButtonContainer.appendChild(exportJsonButton);
+        fileButtonContainer.appendChild(exportCsvButton);
+        fileButtonContainer.appendChild(exportVCardButton);
+        fileButtonContainer.appendChild(importButton);
+        fileButtonContainer.appendChild(snapshotsButton);
+        fileButtonContainer.appendChild(auditButton);
+        fileButtonContainer.appendChild(encryptionButton);
+        fileButtonContainer.appendChild(privacyButton);
+        contactListDiv.appendChild(fileButtonContainer);
+
+        // Buscador: contactFacade lo conecta con debounce (ver initializeSearch)
+        const searchInput = Input.create({
+            type: 'search',
+            id: 'buscarContactos',
+            placeholder: 'Buscar (ej. jose, "Juan Pérez", asunto:entrevista)',
+            className: 'form-control-sm'
+        });
+        searchInput.querySelector('input').setAttribute('aria-label', 'Buscar contactos');
+        if (typeof contactFacade !== 'undefined') {
+            contactFacade.initializeSearch(searchInput.querySelector('input'));
+        }
+        contactListDiv.appendChild(searchInput);
+
+        // Orden y filtros: contactFacade los renderiza según el estado guardado
+        const listControls = document.createElement('div');
+        listControls.id = 'contactListControls';
+        listControls.className = 'contact-list-controls mb-3';
+        contactListDiv.appendChild(listControls);
+
         // Contenedor de contactos
         const contactItems = document.createElement('div');
         contactItems.id = 'listaContactos';
         contactItems.className = 'contact-items';
         contactItems.innerHTML = '<!-- Los contactos se cargarán aquí dinámicamente -->';
+        if (typeof contactFacade !== 'undefined') {
+            contactFacade.initializeListActions(contactItems);
+        }
         
         contactListDiv.appendChild(contactItems);
 
+        // Paginación
+        const pagination = document.createElement('nav');
+        pagination.id = 'contactPagination';
+        pagination.setAttribute('aria-label', 'Paginación de contactos');
+        contactListDiv.appendChild(pagination);
+
         return contactListDiv;
     }
+
+    /**
+     * Ejecuta una acción asíncrona de contactFacade deshabilitando el botón
+     * que la disparó hasta que la promesa se resuelva.
+     * @param {HTMLButtonElement} button - Botón que dispara la acción.
+     * @param {Function} action - Función que retorna una promesa.
+     * @returns {Promise<void>}
+     */
+    static async runContactAction(button, action) {
+        if (typeof contactFacade === 'undefined') return;
+
+        button.disabled = true;
+        try {
+            await action();
+        } finally {
+            button.disabled = false;
+        }
+    }
 }
\ No newline at end of file
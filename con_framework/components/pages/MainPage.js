@@ -49,6 +49,9 @@ class MainPage {
         
         // Mejorar botones existentes
         this.enhanceButtons();
+
+        // Dibujar el panel de estadísticas
+        this.enhanceDashboard();
     }
 
     /**
@@ -72,6 +75,18 @@ class MainPage {
         });
     }
 
+    /**
+     * Dibuja el panel de estadísticas en la sección existente, ahora que
+     * el organismo Dashboard está cargado.
+     */
+    enhanceDashboard() {
+        if (!document.getElementById('dashboardContent')) return;
+
+        if (typeof contactFacade !== 'undefined') {
+            contactFacade.updateStorageStats();
+        }
+    }
+
     /**
      * Muestra un mensaje cuando la lista de contactos está vacía.
      */
@@ -198,42 +213,18 @@ class MainPage {
     }
 
     /**
-     * Valida un campo específico según su tipo (texto, email, teléfono).
+     * Valida un campo específico con las reglas de ContactSchema.
      * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - Campo a validar.
      * @returns {boolean} Verdadero si el campo es válido.
      */
     validateField(field) {
-        const value = field.value.trim();
-        let isValid = true;
-        let errorMessage = '';
-
-        // Validar campo requerido
-        if (field.required && !value) {
-            isValid = false;
-            errorMessage = 'Este campo es requerido';
-        }
-
-        // Validaciones específicas por tipo
-        if (value && field.type === 'email') {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Ingresa un email válido';
-            }
-        }
-
-        if (value && field.type === 'tel') {
-            const phoneRegex = /^\d{7,15}$/;
-            if (!phoneRegex.test(value.replace(/\D/g, ''))) {
-                isValid = false;
-                errorMessage = 'Ingresa un teléfono válido';
-            }
-        }
+        // Las reglas de cada campo están en ContactSchema
+        const errorMessage = ContactSchema.validateElement(field);
 
         // Mostrar/ocultar error
-        this.showFieldError(field, isValid ? '' : errorMessage);
+        this.showFieldError(field, errorMessage || '');
         
-        return isValid;
+        return !errorMessage;
     }
 
     /**
@@ -314,8 +305,8 @@ class MainPage {
         
         // Verificar y agregar elementos necesarios si no existen
         const requiredLinks = [
-            { rel: 'stylesheet', href: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css' },
-            { rel: 'stylesheet', href: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0-beta3/css/all.min.css' },
+            { rel: 'stylesheet', href: 'vendor/bootstrap-5.3.0/css/bootstrap.min.css' },
+            { rel: 'stylesheet', href: 'vendor/fontawesome-free-6.0.0-beta3/css/all.min.css' },
             { rel: 'stylesheet', href: 'css/custom.css' }
         ];
 
@@ -334,8 +325,37 @@ class MainPage {
     initializeContactFacade() {
         // Cargar scripts de contacto si existen
         const scripts = [
+            'js/utilidades.js',
+            'js/contacto/domain/ContactTerms.js',
+            'js/contacto/domain/EmailDomainValidator.js',
+            'js/contacto/domain/PhoneNumber.js',
+            'js/contacto/domain/ContactSchema.js',
             'js/contacto/domain/Contacto.js',
+            'js/contacto/domain/ContactQuery.js',
+            'js/contacto/repository/crypto/ContactCipher.js',
+            'js/contacto/repository/crypto/ContactEncryption.js',
+            'js/contacto/repository/adapters/StorageAdapter.js',
+            'js/contacto/repository/adapters/LocalStorageAdapter.js',
+            'js/contacto/repository/adapters/IndexedDBAdapter.js',
+            'js/contacto/repository/adapters/EncryptedStorageAdapter.js',
+            'js/contacto/repository/formats/CsvFormat.js',
+            'js/contacto/repository/formats/VCardFormat.js',
+            'js/contacto/repository/audit/ContactAuditLog.js',
+            'js/contacto/repository/backups/ContactSnapshots.js',
+            'js/contacto/repository/retention/ContactRetention.js',
+            'js/contacto/repository/integrity/ContactIntegrity.js',
+            'js/contacto/repository/import/ContactImporter.js',
             'js/contacto/repository/ContactRepository.js',
+            'js/contacto/transport/ContactTransport.js',
+            'js/contacto/transport/HttpTransport.js',
+            'js/contacto/transport/MockTransport.js',
+            'js/contacto/transport/ContactOutbox.js',
+            'js/contacto/facade/SpamGuard.js',
+            'js/contacto/facade/ContactBackupsPanel.js',
+            'js/contacto/facade/ContactAuditPanel.js',
+            'js/contacto/facade/ContactEncryptionPanel.js',
+            'js/contacto/facade/ContactPrivacyPanel.js',
+            'js/contacto/facade/ContactImportExportPanel.js',
             'js/contacto/facade/ContactFacade.js'
         ];
 
@@ -64,6 +64,10 @@ class PageTemplate {
         const contactSection = Sections.createContactSection();
         fragment.appendChild(contactSection);
 
+        // Sección Estadísticas
+        const dashboardSection = Dashboard.createSection();
+        fragment.appendChild(dashboardSection);
+
         // Footer
         const footerElement = Footer.create();
         fragment.appendChild(footerElement);
@@ -0,0 +1,181 @@
+/**
+ * ContactQuery - Consulta de búsqueda sobre los campos de un Contacto
+ * Patrón: Specification Pattern
+ *
+ * Sintaxis soportada:
+ *   jose                 → busca "jose" en cualquier campo
+ *   "jose perez"         → busca la frase exacta
+ *   asunto:entrevista    → busca solo en el campo indicado
+ *   mensaje:"nueva web"  → frase exacta en un campo
+ * Las comparaciones ignoran mayúsculas y acentos ("jose" encuentra "José").
+ */
+class ContactQuery {
+    /**
+     * @param {string} text Texto escrito por el usuario
+     */
+    constructor(text = '') {
+        this.text = text.trim();
+        this.terms = ContactQuery.parse(this.text);
+    }
+
+    /**
+     * Campos de Contacto en los que se busca, con sus alias para los prefijos
+     * @returns {object} Mapa alias → propiedad del contacto
+     */
+    static get FIELDS() {
+        return {
+            nombre: 'nombre',
+            email: 'email',
+            correo: 'email',
+            telefono: 'telefono',
+            tel: 'telefono',
+            asunto: 'asunto',
+            mensaje: 'mensaje',
+            preferencia: 'preferenciaContacto',
+            preferenciacontacto: 'preferenciaContacto'
+        };
+    }
+
+    /**
+     * Convierte un texto a minúsculas y sin acentos
+     * @param {string} text Texto original
+     * @returns {string} Texto normalizado
+     */
+    static normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Separa el texto en términos, respetando frases entre comillas y prefijos de campo
+     * @param {string} text Texto de búsqueda
+     * @returns {Array<object>} Términos con field (propiedad o null) y value normalizado
+     */
+    static parse(text) {
+        const terms = [];
+        const pattern = /(?:([\w\u00C0-\u00FF]+):)?(?:"([^"]*)"?|(\S+))/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const [raw, prefix, phrase, word] = match;
+            let field = null;
+            let value = phrase !== undefined ? phrase : word;
+
+            if (prefix) {
+                field = ContactQuery.FIELDS[ContactQuery.normalize(prefix)] || null;
+                // Un prefijo desconocido se trata como parte del texto (p. ej. "hora:10")
+                if (!field) {
+                    value = raw;
+                }
+            }
+
+            value = ContactQuery.normalize(value).trim();
+            if (value) {
+                terms.push({ field, value });
+            }
+        }
+
+        return terms;
+    }
+
+    /**
+     * Indica si la consulta no tiene términos
+     * @returns {boolean} true si está vacía
+     */
+    isEmpty() {
+        return this.terms.length === 0;
+    }
+
+    /**
+     * Verifica si un contacto cumple todos los términos de la consulta
+     * @param {Contacto} contact Contacto a evaluar
+     * @returns {boolean} true si coincide
+     */
+    matches(contact) {
+        const fields = [...new Set(Object.values(ContactQuery.FIELDS))];
+
+        return this.terms.every(term => {
+            const candidates = term.field ? [term.field] : fields;
+            return candidates.some(field => ContactQuery.fieldMatches(contact[field], field, term.value));
+        });
+    }
+
+    /**
+     * Verifica si el valor de un campo contiene el término
+     * @param {string} fieldValue Valor del campo
+     * @param {string} field Nombre de la propiedad
+     * @param {string} value Término normalizado
+     * @returns {boolean} true si lo contiene
+     */
+    static fieldMatches(fieldValue, field, value) {
+        if (ContactQuery.normalize(fieldValue).includes(value)) {
+            return true;
+        }
+
+        // En el teléfono se ignoran espacios, guiones y paréntesis ("300 123" encuentra "3001234567")
+        if (field === 'telefono' && /^[\d\s()+-]+$/.test(value)) {
+            const digits = value.replace(/\D/g, '');
+            return digits.length > 0 && String(fieldValue || '').replace(/\D/g, '').includes(digits);
+        }
+
+        return false;
+    }
+
+    /**
+     * Calcula los fragmentos de un texto que coinciden con la consulta
+     * @param {string} text Texto original (con acentos y mayúsculas)
+     * @param {string} field Propiedad del contacto a la que pertenece el texto
+     * @returns {Array<Array<number>>} Rangos [inicio, fin) sobre el texto original, ordenados y sin solaparse
+     */
+    getMatchRanges(text, field) {
+        const source = String(text || '');
+        if (!source || this.isEmpty()) return [];
+
+        // Normalizar carácter a carácter para poder traducir posiciones al texto original
+        let normalized = '';
+        const positions = [];
+        for (let i = 0; i < source.length; i++) {
+            const chunk = ContactQuery.normalize(source[i]);
+            for (let j = 0; j < chunk.length; j++) {
+                normalized += chunk[j];
+                positions.push(i);
+            }
+        }
+
+        const ranges = [];
+        this.terms
+            .filter(term => !term.field || term.field === field)
+            .forEach(term => {
+                let index = normalized.indexOf(term.value);
+                while (index !== -1) {
+                    const start = positions[index];
+                    const end = positions[index + term.value.length - 1] + 1;
+                    ranges.push([start, end]);
+                    index = normalized.indexOf(term.value, index + term.value.length);
+                }
+            });
+
+        // Unir rangos solapados
+        return ranges
+            .sort((a, b) => a[0] - b[0])
+            .reduce((merged, range) => {
+                const last = merged[merged.length - 1];
+                if (last && range[0] <= last[1]) {
+                    last[1] = Math.max(last[1], range[1]);
+                } else {
+                    merged.push(range);
+                }
+                return merged;
+            }, []);
+    }
+
+    /**
+     * Representación en texto de la consulta
+     * @returns {string} Texto original
+     */
+    toString() {
+        return this.text;
+    }
+}
@@ -0,0 +1,352 @@
+/**
+ * ContactSchema - Reglas de validación de los contactos, declaradas una sola vez
+ * Patrón: Specification Pattern (esquema declarativo)
+ *
+ * Contacto.validate, ContactFacade, Form y MainPage validan con este esquema.
+ * Cada campo declara sus reglas (required, minLength, maxLength, pattern, enum,
+ * custom y async) y los mensajes se buscan en MESSAGES según el idioma de la
+ * página: primero '<campo>.<regla>' y luego '<regla>'. Las reglas custom y async
+ * reciben el registro completo y un contexto, p. ej. { requireCurrentTerms } o
+ * { repository } para consultar el almacenamiento. Retornan true si el valor es
+ * válido, false si no, o un objeto con los datos que completan el mensaje
+ * (p. ej. { suggestion } para '¿Quisiste decir {suggestion}?').
+ *
+ * El teléfono se interpreta con PhoneNumber según record.paisTelefono.
+ */
+class ContactSchema {
+    /**
+     * Patrón de email (usuario@dominio.tld)
+     * @returns {RegExp} Expresión regular
+     */
+    static get EMAIL_PATTERN() {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    }
+
+    /**
+     * Patrón general de teléfono: dígitos, espacios, guiones, paréntesis y un + inicial.
+     * Solo se aplica a los registros guardados cuando no se exige strictPhone.
+     * @returns {RegExp} Expresión regular
+     */
+    static get PHONE_PATTERN() {
+        return /^[\+]?[\d\s\-\(\)]{7,15}$/;
+    }
+
+    /**
+     * Reglas por campo de Contacto; input es el id del control del formulario
+     * @returns {object} Mapa campo → reglas
+     */
+    static get FIELDS() {
+        return {
+            nombre: { input: 'name', required: true, minLength: 2, maxLength: 100 },
+            email: {
+                input: 'email',
+                type: 'email',
+                required: true,
+                pattern: ContactSchema.EMAIL_PATTERN,
+                async: [
+                    {
+                        key: 'disposable',
+                        validate: async (value, record, context) => !context.emailValidator ||
+                            (context.emailValidator.isDisposable(value) ? { domain: EmailDomainValidator.domainOf(value) } : true)
+                    },
+                    {
+                        // Se omite si el usuario ya vio la sugerencia para este mismo email
+                        key: 'typo',
+                        validate: async (value, record, context) => {
+                            if (!context.emailValidator || context.acceptedEmail === value) return true;
+                            const suggestion = context.emailValidator.suggest(value);
+                            return suggestion ? { suggestion } : true;
+                        }
+                    },
+                    {
+                        key: 'domain',
+                        validate: async (value, record, context) => !context.emailValidator ||
+                            (await context.emailValidator.acceptsMail(value) ? true : { domain: EmailDomainValidator.domainOf(value) })
+                    },
+                    {
+                        // El propio id queda excluido, así sirve al crear y al editar
+                        key: 'unique',
+                        validate: async (value, record, context) => !context.repository ||
+                            !(await context.repository.existsByEmail(value, context.excludeId || record.id))
+                    }
+                ]
+            },
+            telefono: {
+                input: 'phone',
+                type: 'tel',
+                custom: [{
+                    key: 'phone',
+                    validate: (value, record, context) => {
+                        const country = record.paisTelefono || PhoneNumber.DEFAULT_COUNTRY;
+                        if (PhoneNumber.isValid(value, country)) return true;
+                        if (!context.strictPhone && ContactSchema.PHONE_PATTERN.test(value)) return true;
+                        return { country: (PhoneNumber.COUNTRIES[country] || { name: country }).name };
+                    }
+                }]
+            },
+            asunto: { input: 'subject', required: true },
+            mensaje: { input: 'mensaje', maxLength: 1000 },
+            preferenciaContacto: { input: 'contactoOpcion', enum: Contacto.PREFERENCIAS_CONTACTO },
+            aceptaTerminos: {
+                input: 'terms',
+                required: true,
+                custom: [{
+                    key: 'currentTerms',
+                    validate: (value, record, context) => !context.requireCurrentTerms || ContactTerms.isAcceptedBy(record)
+                }]
+            }
+        };
+    }
+
+    /**
+     * Mensajes por idioma; admiten los marcadores {min}, {max} y los datos que retorna la regla
+     * @returns {object} Mapa idioma → clave → mensaje
+     */
+    static get MESSAGES() {
+        return {
+            es: {
+                required: 'Este campo es obligatorio',
+                minLength: 'Debe tener al menos {min} caracteres',
+                maxLength: 'No puede exceder {max} caracteres',
+                pattern: 'El formato no es válido',
+                enum: 'Seleccione una opción válida',
+                'nombre.required': 'El nombre es obligatorio',
+                'nombre.minLength': 'El nombre debe tener al menos {min} caracteres',
+                'nombre.maxLength': 'El nombre no puede exceder {max} caracteres',
+                'email.required': 'El correo electrónico es obligatorio',
+                'email.pattern': 'El formato del correo electrónico no es válido',
+                'email.unique': 'Ya existe un contacto con ese correo electrónico',
+                'email.disposable': 'No se aceptan correos temporales ({domain})',
+                'email.typo': '¿Quisiste decir {suggestion}?',
+                'email.domain': 'El dominio {domain} no recibe correos',
+                'telefono.phone': 'El teléfono no es válido para {country}',
+                'asunto.required': 'Debe seleccionar un asunto de contacto',
+                'mensaje.maxLength': 'El mensaje no puede exceder {max} caracteres',
+                'preferenciaContacto.enum': 'Debe seleccionar una preferencia de contacto válida',
+                'aceptaTerminos.required': 'Debe aceptar los términos y condiciones',
+                'aceptaTerminos.currentTerms': 'Los términos y condiciones se actualizaron; debe aceptar la versión vigente'
+            },
+            en: {
+                required: 'This field is required',
+                minLength: 'Must be at least {min} characters long',
+                maxLength: 'Cannot exceed {max} characters',
+                pattern: 'Invalid format',
+                enum: 'Select a valid option',
+                'nombre.required': 'Name is required',
+                'nombre.minLength': 'Name must be at least {min} characters long',
+                'nombre.maxLength': 'Name cannot exceed {max} characters',
+                'email.required': 'Email is required',
+                'email.pattern': 'Invalid email format',
+                'email.unique': 'A contact with that email already exists',
+                'email.disposable': 'Disposable email addresses are not accepted ({domain})',
+                'email.typo': 'Did you mean {suggestion}?',
+                'email.domain': 'The domain {domain} does not accept email',
+                'telefono.phone': 'Invalid phone number for {country}',
+                'asunto.required': 'Please select a subject',
+                'mensaje.maxLength': 'Message cannot exceed {max} characters',
+                'preferenciaContacto.enum': 'Please select a valid contact preference',
+                'aceptaTerminos.required': 'You must accept the terms and conditions',
+                'aceptaTerminos.currentTerms': 'The terms and conditions have changed; please accept the current version'
+            }
+        };
+    }
+
+    /**
+     * Idioma de los mensajes: el del contexto, o el atributo lang de la página
+     * @param {object} context Contexto de validación
+     * @returns {string} Código de idioma disponible en MESSAGES ('es' por defecto)
+     */
+    static getLocale(context = {}) {
+        const lang = context.locale ||
+            (typeof document !== 'undefined' && document.documentElement.lang) || 'es';
+        const code = lang.slice(0, 2).toLowerCase();
+        return ContactSchema.MESSAGES[code] ? code : 'es';
+    }
+
+    /**
+     * Obtiene el mensaje de una regla incumplida
+     * @param {string|null} field Campo (null para los mensajes genéricos)
+     * @param {string} rule Regla
+     * @param {object} rules Reglas del campo, para los marcadores {min} y {max}
+     * @param {object} context Contexto de validación
+     * @param {object} params Datos adicionales para los marcadores
+     * @returns {string} Mensaje localizado
+     */
+    static message(field, rule, rules = {}, context = {}, params = {}) {
+        const messages = ContactSchema.MESSAGES[ContactSchema.getLocale(context)];
+        const template = messages[`${field}.${rule}`] || messages[rule] || ContactSchema.MESSAGES.es[rule] || rule;
+        const values = { min: rules.minLength, max: rules.maxLength, ...params };
+        return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+    }
+
+    /**
+     * Crea el error de una regla incumplida
+     * @param {string} field Campo de Contacto
+     * @param {string} rule Regla
+     * @param {object} context Contexto de validación
+     * @param {any} result Resultado de la regla (un objeto aporta datos al mensaje)
+     * @returns {object} Error { field, input, rule, message, params }
+     */
+    static createError(field, rule, context = {}, result = false) {
+        const rules = ContactSchema.FIELDS[field];
+        const params = result && typeof result === 'object' ? result : {};
+        return { field, input: rules.input, rule, message: ContactSchema.message(field, rule, rules, context, params), params };
+    }
+
+    /**
+     * Indica si el resultado de una regla custom o async significa que el valor es válido
+     * @param {any} result true, false o un objeto con datos del error
+     * @returns {boolean} true si es válido
+     */
+    static passes(result) {
+        return result === true;
+    }
+
+    /**
+     * Indica si un valor cuenta como vacío (los textos se recortan y false equivale a no marcado)
+     * @param {any} value Valor
+     * @returns {boolean} true si está vacío
+     */
+    static isEmpty(value) {
+        return value === null || value === undefined || value === false ||
+            (typeof value === 'string' && value.trim().length === 0);
+    }
+
+    /**
+     * Valida un campo con sus reglas síncronas
+     * @param {string} field Campo de Contacto
+     * @param {object} record Registro con el valor del campo (y los demás, para las reglas custom)
+     * @param {object} context Contexto de validación
+     * @returns {object|null} Error { field, input, rule, message } o null si es válido
+     */
+    static checkField(field, record, context = {}) {
+        const rules = ContactSchema.FIELDS[field];
+        if (!rules) return null;
+
+        const raw = record[field];
+        const value = typeof raw === 'string' ? raw.trim() : raw;
+        const fail = (rule, result) => ContactSchema.createError(field, rule, context, result);
+
+        if (ContactSchema.isEmpty(value)) {
+            return rules.required ? fail('required') : null;
+        }
+
+        if (typeof value === 'string') {
+            if (rules.minLength !== undefined && value.length < rules.minLength) return fail('minLength');
+            if (rules.maxLength !== undefined && value.length > rules.maxLength) return fail('maxLength');
+            if (rules.pattern && !rules.pattern.test(value)) return fail('pattern');
+        }
+        if (rules.enum && !rules.enum.includes(value)) return fail('enum');
+
+        for (const rule of rules.custom || []) {
+            const result = rule.validate(value, record, context);
+            if (!ContactSchema.passes(result)) return fail(rule.key, result);
+        }
+        return null;
+    }
+
+    /**
+     * Valida un registro completo con las reglas síncronas (un error por campo)
+     * @param {object} record Contacto u objeto plano
+     * @param {object} context Contexto de validación
+     * @returns {object} Objeto con isValid (boolean) y errors (array de { field, input, rule, message })
+     */
+    static validate(record, context = {}) {
+        const errors = Object.keys(ContactSchema.FIELDS)
+            .map(field => ContactSchema.checkField(field, record, context))
+            .filter(Boolean);
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Valida un registro completo, incluidas las reglas asíncronas de los campos
+     * que pasaron las síncronas
+     * @param {object} record Contacto u objeto plano
+     * @param {object} context Contexto de validación (p. ej. { repository })
+     * @returns {Promise<object>} Objeto con isValid y errors, como validate()
+     */
+    static async validateAsync(record, context = {}) {
+        const { errors } = ContactSchema.validate(record, context);
+        const failed = new Set(errors.map(error => error.field));
+
+        for (const field of Object.keys(ContactSchema.FIELDS).filter(name => !failed.has(name))) {
+            const error = await ContactSchema.checkFieldAsync(field, record, context);
+            if (error) errors.push(error);
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    /**
+     * Valida las reglas asíncronas de un campo
+     * @param {string} field Campo de Contacto
+     * @param {object} record Registro
+     * @param {object} context Contexto de validación
+     * @returns {Promise<object|null>} Error o null si es válido
+     */
+    static async checkFieldAsync(field, record, context = {}) {
+        const rules = ContactSchema.FIELDS[field];
+        if (!rules || !rules.async || ContactSchema.isEmpty(record[field])) return null;
+
+        const value = typeof record[field] === 'string' ? record[field].trim() : record[field];
+        for (const rule of rules.async) {
+            const result = await rule.validate(value, record, context);
+            if (!ContactSchema.passes(result)) {
+                return ContactSchema.createError(field, rule.key, context, result);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Indica si un campo tiene reglas asíncronas
+     * @param {string} field Campo de Contacto
+     * @returns {boolean} true si las tiene
+     */
+    static hasAsyncRules(field) {
+        const rules = ContactSchema.FIELDS[field];
+        return Boolean(rules && rules.async && rules.async.length);
+    }
+
+    /**
+     * Obtiene el campo de Contacto que corresponde a un control del formulario
+     * @param {HTMLElement} element Control (input, select o textarea)
+     * @returns {string|null} Campo, según el id o el nombre del control
+     */
+    static fieldForElement(element) {
+        const fields = ContactSchema.FIELDS;
+        return Object.keys(fields).find(field =>
+            fields[field].input === element.id || fields[field].input === element.name
+        ) || null;
+    }
+
+    /**
+     * Valida un control de formulario con las reglas de su campo. Los controles de
+     * otros formularios se validan por su tipo (email, tel) y su atributo required.
+     * @param {HTMLElement} element Control del formulario
+     * @param {object} context Contexto de validación
+     * @returns {string|null} Mensaje de error o null si es válido
+     */
+    static validateElement(element, context = {}) {
+        const fields = ContactSchema.FIELDS;
+        const value = element.type === 'checkbox' ? element.checked : element.value;
+        let field = ContactSchema.fieldForElement(element);
+
+        if (!field) {
+            if (ContactSchema.isEmpty(value)) {
+                return element.required ? ContactSchema.message(null, 'required', {}, context) : null;
+            }
+            field = Object.keys(fields).find(name => fields[name].type === element.type);
+            if (!field) return null;
+        }
+
+        const record = { [field]: value };
+        // El teléfono se interpreta con el país elegido junto a él en el mismo formulario
+        const country = element.form ? element.form.elements.namedItem('phoneCountry') : null;
+        if (field === 'telefono' && country) record.paisTelefono = country.value;
+
+        const error = ContactSchema.checkField(field, record, context);
+        return error ? error.message : null;
+    }
+}
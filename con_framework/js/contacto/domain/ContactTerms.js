@@ -0,0 +1,80 @@
+/**
+ * ContactTerms - Términos y condiciones y política de privacidad vigentes
+ * Patrón: Value Object
+ *
+ * Cada contacto guarda la versión que aceptó, la fecha y el texto de consentimiento
+ * que se le mostró (ver Contacto). Al cambiar el contenido de SECTIONS hay que
+ * aumentar VERSION: los contactos aceptados con una versión anterior deberán
+ * aceptar la nueva la próxima vez que se envíen.
+ */
+class ContactTerms {
+    /**
+     * Identificador de la versión vigente
+     * @returns {string} Versión
+     */
+    static get VERSION() {
+        return '2026-10';
+    }
+
+    /**
+     * Fecha de publicación de la versión vigente
+     * @returns {string} Fecha ISO (solo día)
+     */
+    static get PUBLISHED_AT() {
+        return '2026-10-18';
+    }
+
+    /**
+     * Contenido de los términos, por secciones
+     * @returns {Array<object>} Secciones { title, paragraphs }
+     */
+    static get SECTIONS() {
+        return [
+            {
+                title: 'Uso de los datos',
+                paragraphs: [
+                    'Los datos del formulario (nombre, correo electrónico, teléfono, asunto y mensaje) se usan únicamente para responder a su solicitud por el medio de contacto que elija.',
+                    'No se comparten con terceros ni se usan para enviar publicidad.'
+                ]
+            },
+            {
+                title: 'Almacenamiento y conservación',
+                paragraphs: [
+                    'Los datos se guardan en este navegador. Pueden cifrarse con una frase de contraseña y se conservan solo el tiempo que fije la política de retención; pasado ese plazo se anonimizan o se eliminan.',
+                    'Se conserva un registro de los cambios y copias de seguridad temporales, que siguen la misma política.'
+                ]
+            },
+            {
+                title: 'Sus derechos',
+                paragraphs: [
+                    'Puede solicitar una copia de todos los datos asociados a su correo electrónico, corregirlos o pedir que se eliminen por completo, incluidas las copias de seguridad y el registro de cambios.'
+                ]
+            },
+            {
+                title: 'Consentimiento',
+                paragraphs: [
+                    'Al marcar la casilla del formulario acepta estos términos. Se registran la versión aceptada, la fecha y el texto que se le mostró. Si los términos cambian, se le pedirá aceptarlos de nuevo.'
+                ]
+            }
+        ];
+    }
+
+    /**
+     * Indica si una versión aceptada es la vigente
+     * @param {string|null} version Versión aceptada
+     * @returns {boolean} true si coincide con VERSION
+     */
+    static isCurrent(version) {
+        return version === ContactTerms.VERSION;
+    }
+
+    /**
+     * Indica si un contacto aceptó la versión vigente y quedó registrada la fecha
+     * @param {object} record Contacto u objeto plano
+     * @returns {boolean} true si el consentimiento está al día
+     */
+    static isAcceptedBy(record) {
+        return Boolean(record.aceptaTerminos) && ContactTerms.isCurrent(record.versionTerminos) &&
+            Boolean(record.fechaAceptacionTerminos);
+    }
+}
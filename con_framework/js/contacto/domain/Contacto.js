@@ -4,16 +4,84 @@
  */
 class Contacto {
     constructor(data = {}) {
+        const now = new Date().toISOString();
         this.id = data.id || this.generateId();
         this.nombre = data.nombre || '';
         this.email = data.email || '';
         this.telefono = data.telefono || '';
+        // País con el que se interpreta un teléfono local (no se guarda: toJSON lo deja en E.164)
+        this.paisTelefono = data.paisTelefono || PhoneNumber.countryOf(this.telefono);
         this.asunto = data.asunto || '';
         this.mensaje = data.mensaje || '';
         this.preferenciaContacto = data.preferenciaContacto || 'Email';
         this.aceptaTerminos = data.aceptaTerminos || false;
-        this.fechaCreacion = data.fechaCreacion || new Date().toISOString();
-        this.fechaActualizacion = data.fechaActualizacion || new Date().toISOString();
+        // Registro del consentimiento: versión de ContactTerms aceptada, fecha y texto mostrado
+        this.versionTerminos = data.versionTerminos || null;
+        this.fechaAceptacionTerminos = data.fechaAceptacionTerminos || null;
+        this.textoConsentimiento = data.textoConsentimiento || '';
+        this.fechaCreacion = data.fechaCreacion || now;
+        // Un contacto recién creado no debe aparecer como modificado (ver wasModified)
+        this.fechaActualizacion = data.fechaActualizacion || this.fechaCreacion;
+        // Fecha en que se envió a la papelera (null si está activo)
+        this.deletedAt = data.deletedAt || null;
+    }
+
+    /**
+     * Versión del esquema de los registros que escribe toJSON
+     * (ver ContactRepository.MIGRATIONS para las versiones anteriores)
+     * @returns {number} Versión actual
+     */
+    static get SCHEMA_VERSION() {
+        return 4;
+    }
+
+    /**
+     * Asuntos ofrecidos en el formulario de contacto (valor → etiqueta)
+     * @returns {object} Mapa de asuntos
+     */
+    static get ASUNTOS() {
+        return {
+            consulta: 'Consulta general',
+            soporte: 'Soporte técnico',
+            entrevista: 'Entrevista',
+            colaboracion: 'Colaboración',
+            otros: 'Otros'
+        };
+    }
+
+    /**
+     * Preferencias de contacto aceptadas por ContactSchema
+     * @returns {Array<string>} Preferencias válidas
+     */
+    static get PREFERENCIAS_CONTACTO() {
+        return ['Email', 'Telefono', 'WhatsApp'];
+    }
+
+    /**
+     * Campos del registro del consentimiento: solo los escribe el visitante al
+     * enviar el formulario, y una edición del administrador los conserva
+     * @returns {Array<string>} Nombres de los campos
+     */
+    static get CAMPOS_CONSENTIMIENTO() {
+        return ['aceptaTerminos', 'versionTerminos', 'fechaAceptacionTerminos', 'textoConsentimiento'];
+    }
+
+    /**
+     * Formato de los ids que genera generateId. El id se usa en atributos y
+     * selectores de la lista, así que no se acepta otro formato.
+     * @returns {RegExp} Expresión regular del id
+     */
+    static get ID_PATTERN() {
+        return /^contact_\d+_[a-z0-9]+$/;
+    }
+
+    /**
+     * Indica si un valor es un id de contacto válido
+     * @param {*} id Valor a revisar
+     * @returns {boolean} true si es un string con el formato de ID_PATTERN
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && Contacto.ID_PATTERN.test(id);
     }
 
     /**
@@ -32,64 +100,40 @@ class Contacto {
     }
 
     /**
-     * Valida que los datos del contacto sean correctos
-     * @returns {object} Objeto con isValid (boolean) y errors (array)
+     * Indica si el contacto aceptó la versión vigente de los términos
+     * @returns {boolean} true si el consentimiento está al día
      */
-    validate() {
-        const errors = [];
-
-        // Validación del nombre
-        if (!this.nombre || this.nombre.trim().length === 0) {
-            errors.push({ field: 'nombre', message: 'El nombre es obligatorio' });
-        } else if (this.nombre.trim().length < 2) {
-            errors.push({ field: 'nombre', message: 'El nombre debe tener al menos 2 caracteres' });
-        } else if (this.nombre.trim().length > 100) {
-            errors.push({ field: 'nombre', message: 'El nombre no puede exceder 100 caracteres' });
-        }
-
-        // Validación del email
-        if (!this.email || this.email.trim().length === 0) {
-            errors.push({ field: 'email', message: 'El correo electrónico es obligatorio' });
-        } else {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(this.email.trim())) {
-                errors.push({ field: 'email', message: 'El formato del correo electrónico no es válido' });
-            }
-        }
-
-        // Validación del teléfono (opcional pero si se proporciona debe ser válido)
-        if (this.telefono && this.telefono.trim().length > 0) {
-            const phoneRegex = /^[\+]?[\d\s\-\(\)]{7,15}$/;
-            if (!phoneRegex.test(this.telefono.trim())) {
-                errors.push({ field: 'telefono', message: 'El formato del teléfono no es válido' });
-            }
-        }
-
-        // Validación del asunto
-        if (!this.asunto || this.asunto.trim().length === 0) {
-            errors.push({ field: 'asunto', message: 'Debe seleccionar un asunto de contacto' });
-        }
-
-        // Validación del mensaje (opcional)
-        if (this.mensaje && this.mensaje.trim().length > 1000) {
-            errors.push({ field: 'mensaje', message: 'El mensaje no puede exceder 1000 caracteres' });
-        }
+    hasCurrentTerms() {
+        return ContactTerms.isAcceptedBy(this);
+    }
 
-        // Validación de términos y condiciones
-        if (!this.aceptaTerminos) {
-            errors.push({ field: 'terms', message: 'Debe aceptar los términos y condiciones' });
-        }
+    /**
+     * Teléfono formateado para mostrarlo
+     * @returns {string} Teléfono agrupado según su país ('' si no tiene)
+     */
+    getFormattedPhone() {
+        return PhoneNumber.format(this.telefono, this.paisTelefono);
+    }
 
-        // Validación de preferencia de contacto
-        const preferencasValidas = ['Email', 'Telefono', 'WhatsApp'];
-        if (!preferencasValidas.includes(this.preferenciaContacto)) {
-            errors.push({ field: 'preferenciaContacto', message: 'Debe seleccionar una preferencia de contacto válida' });
-        }
+    /**
+     * Enlace de WhatsApp del contacto
+     * @returns {string|null} URL de wa.me o null si el teléfono no es válido
+     */
+    getWhatsAppUrl() {
+        return PhoneNumber.whatsappUrl(this.telefono, this.paisTelefono);
+    }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+    /**
+     * Valida que los datos del contacto sean correctos (ver ContactSchema)
+     * @param {object} options Opciones de validación
+     * @param {boolean} options.requireCurrentTerms Exigir la versión vigente de los términos
+     *        (contactos que se envían de nuevo); los registros guardados conservan su versión
+     * @param {boolean} options.strictPhone Exigir un teléfono válido para su país; los
+     *        registros guardados antes solo deben cumplir el formato general
+     * @returns {object} Objeto con isValid (boolean) y errors (array de { field, input, rule, message })
+     */
+    validate(options = {}) {
+        return ContactSchema.validate(this, options);
     }
 
     /**
@@ -101,22 +145,31 @@ class Contacto {
             id: this.id,
             nombre: this.nombre.trim(),
             email: this.email.trim().toLowerCase(),
-            telefono: this.telefono.trim(),
+            telefono: PhoneNumber.toE164(this.telefono, this.paisTelefono) || this.telefono.trim(),
             asunto: this.asunto,
             mensaje: this.mensaje.trim(),
             preferenciaContacto: this.preferenciaContacto,
             aceptaTerminos: this.aceptaTerminos,
+            versionTerminos: this.versionTerminos,
+            fechaAceptacionTerminos: this.fechaAceptacionTerminos,
+            textoConsentimiento: this.textoConsentimiento,
             fechaCreacion: this.fechaCreacion,
-            fechaActualizacion: this.fechaActualizacion
+            fechaActualizacion: this.fechaActualizacion,
+            deletedAt: this.deletedAt,
+            schemaVersion: Contacto.SCHEMA_VERSION
         };
     }
 
     /**
-     * Crea una instancia de Contacto desde datos JSON
+     * Crea una instancia de Contacto desde datos JSON. Un id con otro formato
+     * (p. ej. de un archivo importado) se reemplaza por uno nuevo.
      * @param {object} jsonData Datos del contacto en formato JSON
      * @returns {Contacto} Nueva instancia de Contacto
      */
     static fromJSON(jsonData) {
+        if (jsonData.id && !Contacto.isValidId(jsonData.id)) {
+            return new Contacto({ ...jsonData, id: null });
+        }
         return new Contacto(jsonData);
     }
 
@@ -180,6 +233,14 @@ class Contacto {
         return this.fechaCreacion !== this.fechaActualizacion;
     }
 
+    /**
+     * Verifica si el contacto está en la papelera
+     * @returns {boolean} true si fue eliminado, false en caso contrario
+     */
+    isDeleted() {
+        return !!this.deletedAt;
+    }
+
     /**
      * Obtiene un resumen corto del contacto
      * @returns {object} Objeto con información resumida
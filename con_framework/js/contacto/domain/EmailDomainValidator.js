@@ -0,0 +1,221 @@
+/**
+ * EmailDomainValidator - Revisa el dominio de un email antes de guardarlo
+ * Patrón: Strategy Pattern (resolución de dominios intercambiable)
+ *
+ * Detecta dominios de correo temporal con una lista incluida, sugiere la
+ * corrección de errores de tipeo en proveedores comunes (gmial.com → gmail.com)
+ * y, si se configura un resolver, pregunta si el dominio recibe correo (registro MX).
+ *
+ * Un resolver es una función async que recibe el dominio y retorna true si
+ * acepta correo. httpResolver() crea uno que consulta un servidor local:
+ *
+ *     GET <endpoint>?domain=ejemplo.com  →  { "mx": true }
+ *
+ *     contactFacade.emailValidator.setResolver(
+ *         EmailDomainValidator.httpResolver('http://localhost:8787/mx')
+ *     );
+ *
+ * Si el resolver falla o no responde a tiempo, el email se acepta: la consulta
+ * es una ayuda y no debe impedir que se guarden contactos.
+ */
+class EmailDomainValidator {
+    /**
+     * @param {object} options Opciones del validador
+     * @param {Array<string>} options.disposableDomains Dominios temporales adicionales
+     * @param {Array<string>} options.providers Proveedores para sugerir correcciones
+     * @param {Function|null} options.resolver Función async dominio → boolean
+     * @param {number} options.timeoutMs Tiempo máximo de espera del resolver
+     */
+    constructor(options = {}) {
+        this.disposableDomains = new Set([
+            ...EmailDomainValidator.DISPOSABLE_DOMAINS,
+            ...(options.disposableDomains || [])
+        ].map(domain => domain.toLowerCase()));
+        this.providers = options.providers || EmailDomainValidator.COMMON_PROVIDERS;
+        this.resolver = options.resolver || null;
+        this.timeoutMs = options.timeoutMs ?? 3000;
+        // Respuestas del resolver por dominio, para no repetir consultas
+        this.resolved = new Map();
+    }
+
+    /**
+     * Dominios de correo temporal conocidos (también se rechazan sus subdominios)
+     * @returns {Array<string>} Dominios
+     */
+    static get DISPOSABLE_DOMAINS() {
+        return [
+            '10minutemail.com', 'burnermail.io', 'discard.email', 'dispostable.com',
+            'emailondeck.com', 'fakeinbox.com', 'getnada.com', 'guerrillamail.com',
+            'guerrillamail.net', 'inboxkitten.com', 'jetable.org', 'mailcatch.com',
+            'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com',
+            'moakt.com', 'mohmal.com', 'mytemp.email', 'sharklasers.com',
+            'spamgourmet.com', 'temp-mail.org', 'tempmail.com', 'tempmailo.com',
+            'tempr.email', 'throwawaymail.com', 'trash-mail.com', 'trashmail.com',
+            'yopmail.com'
+        ];
+    }
+
+    /**
+     * Proveedores de correo comunes; un dominio de esta lista nunca se corrige
+     * @returns {Array<string>} Dominios, del más al menos probable
+     */
+    static get COMMON_PROVIDERS() {
+        return [
+            'gmail.com', 'hotmail.com', 'outlook.com', 'yahoo.com', 'icloud.com',
+            'live.com', 'hotmail.es', 'outlook.es', 'yahoo.es', 'msn.com',
+            'yahoo.com.mx', 'yahoo.com.ar', 'yahoo.com.co', 'hotmail.com.ar', 'live.com.mx',
+            'protonmail.com', 'proton.me', 'aol.com', 'mail.com', 'ymail.com',
+            'yahoo.fr', 'yahoo.de', 'yahoo.it', 'yahoo.co.uk', 'yahoo.com.br',
+            'hotmail.fr', 'hotmail.de', 'hotmail.it', 'hotmail.co.uk', 'live.fr',
+            'outlook.fr', 'outlook.de', 'outlook.it', 'outlook.com.br', 'live.co.uk',
+            'gmx.com', 'gmx.es', 'gmx.de', 'gmx.net', 'web.de', 'me.com',
+            'uol.com.br', 'bol.com.br', 'terra.com.br', 'orange.fr', 'libero.it'
+        ];
+    }
+
+    /**
+     * Obtiene el dominio de un email
+     * @param {string} email Email
+     * @returns {string} Dominio en minúsculas ('' si no tiene)
+     */
+    static domainOf(email) {
+        const at = String(email || '').lastIndexOf('@');
+        return at === -1 ? '' : email.slice(at + 1).trim().toLowerCase();
+    }
+
+    /**
+     * Separa un dominio en el nombre del proveedor y el resto (gmail.com → gmail, com)
+     * @param {string} domain Dominio
+     * @returns {object} { name, suffix }
+     */
+    static splitDomain(domain) {
+        const dot = domain.indexOf('.');
+        return dot === -1 ? { name: domain, suffix: '' } : { name: domain.slice(0, dot), suffix: domain.slice(dot + 1) };
+    }
+
+    /**
+     * Distancia de edición entre dos textos, contando una transposición como un cambio
+     * @param {string} a Primer texto
+     * @param {string} b Segundo texto
+     * @returns {number} Cantidad mínima de cambios
+     */
+    static distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Indica si un email usa un dominio de correo temporal
+     * @param {string} email Email
+     * @returns {boolean} true si el dominio (o uno de sus padres) está en la lista
+     */
+    isDisposable(email) {
+        const parts = EmailDomainValidator.domainOf(email).split('.');
+        return parts.some((_, index) => this.disposableDomains.has(parts.slice(index).join('.')));
+    }
+
+    /**
+     * Sugiere la corrección de un dominio mal escrito. Se corrige el nombre del
+     * proveedor (gmial.com → gmail.com) o la terminación (gmail.con → gmail.com),
+     * nunca ambos: yahoo.fr o hotmail.it son proveedores reales y no errores de
+     * yahoo.es o hotmail.es.
+     * @param {string} email Email
+     * @returns {string|null} Email corregido, o null si no parece un error de tipeo
+     */
+    suggest(email) {
+        const domain = EmailDomainValidator.domainOf(email);
+        if (!domain || this.providers.includes(domain)) return null;
+
+        const typed = EmailDomainValidator.splitDomain(domain);
+        let best = null;
+        let bestDistance = Infinity;
+
+        this.providers.forEach(provider => {
+            const { name, suffix } = EmailDomainValidator.splitDomain(provider);
+            let distance = Infinity;
+
+            if (typed.suffix === suffix) {
+                // Los nombres cortos (aol, msn, gmx) no se corrigen: uol.com no es un error de aol.com
+                const maxDistance = name.length >= 8 ? 2 : (name.length >= 5 ? 1 : 0);
+                const nameDistance = EmailDomainValidator.distance(typed.name, name);
+                if (nameDistance <= maxDistance) distance = nameDistance;
+            } else if (typed.name === name && EmailDomainValidator.distance(typed.suffix, suffix) === 1) {
+                distance = 1;
+            }
+
+            if (distance < bestDistance) {
+                best = provider;
+                bestDistance = distance;
+            }
+        });
+
+        return best ? `${email.trim().slice(0, email.trim().lastIndexOf('@'))}@${best}` : null;
+    }
+
+    /**
+     * Cambia la función que consulta si un dominio recibe correo
+     * @param {Function|null} resolver Función async dominio → boolean, o null para no consultar
+     */
+    setResolver(resolver) {
+        this.resolver = resolver;
+        this.resolved.clear();
+    }
+
+    /**
+     * Consulta al resolver si el dominio del email recibe correo
+     * @param {string} email Email
+     * @returns {Promise<boolean>} false solo si el resolver responde que no
+     */
+    async acceptsMail(email) {
+        const domain = EmailDomainValidator.domainOf(email);
+        if (!this.resolver || !domain) return true;
+
+        if (!this.resolved.has(domain)) {
+            let timer;
+            const timeout = new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error('Tiempo de espera agotado')), this.timeoutMs);
+            });
+
+            try {
+                this.resolved.set(domain, Boolean(await Promise.race([this.resolver(domain), timeout])));
+            } catch (error) {
+                console.warn(`No se pudo verificar el dominio ${domain}:`, error);
+                return true;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        return this.resolved.get(domain);
+    }
+
+    /**
+     * Crea un resolver que consulta un servidor HTTP
+     * @param {string} endpoint URL que recibe ?domain= y responde { mx: boolean }
+     * @returns {Function} Resolver para setResolver()
+     */
+    static httpResolver(endpoint) {
+        return async domain => {
+            const separator = endpoint.includes('?') ? '&' : '?';
+            const response = await fetch(`${endpoint}${separator}domain=${encodeURIComponent(domain)}`);
+            if (!response.ok) {
+                throw new Error(`El servidor respondió ${response.status}`);
+            }
+
+            const data = await response.json();
+            return Boolean(data.mx);
+        };
+    }
+}
@@ -0,0 +1,154 @@
+/**
+ * PhoneNumber - Interpreta, normaliza y formatea teléfonos de varios países
+ * Patrón: Value Object
+ *
+ * Un teléfono se escribe en formato local ("300 123 4567", con el país elegido
+ * junto al campo) o internacional ("+57 300 123 4567", "0057..."). Se guarda en
+ * E.164 ("+573001234567") y se muestra agrupado según las reglas de su país.
+ */
+class PhoneNumber {
+    /**
+     * País con el que se interpretan los números sin prefijo internacional
+     * @returns {string} Código ISO del país
+     */
+    static get DEFAULT_COUNTRY() {
+        return 'CO';
+    }
+
+    /**
+     * Reglas por país: prefijo internacional (code), largos válidos del número
+     * nacional (lengths), dígitos con que puede empezar (prefixes), prefijo de
+     * larga distancia que se omite (trunk) y agrupación por largo (groups)
+     * @returns {object} Reglas por código ISO
+     */
+    static get COUNTRIES() {
+        return {
+            CO: { name: 'Colombia', code: '57', lengths: [10], prefixes: ['3', '60'], groups: { 10: [3, 3, 4] } },
+            AR: { name: 'Argentina', code: '54', lengths: [10, 11], trunk: '0', groups: { 10: [2, 4, 4], 11: [1, 2, 4, 4] } },
+            BR: { name: 'Brasil', code: '55', lengths: [10, 11], trunk: '0', groups: { 10: [2, 4, 4], 11: [2, 5, 4] } },
+            CL: { name: 'Chile', code: '56', lengths: [9], groups: { 9: [1, 4, 4] } },
+            EC: { name: 'Ecuador', code: '593', lengths: [8, 9], trunk: '0', groups: { 8: [1, 3, 4], 9: [2, 3, 4] } },
+            ES: { name: 'España', code: '34', lengths: [9], prefixes: ['6', '7', '8', '9'], groups: { 9: [3, 3, 3] } },
+            US: { name: 'Estados Unidos', code: '1', lengths: [10], prefixes: ['2', '3', '4', '5', '6', '7', '8', '9'], groups: { 10: [3, 3, 4] } },
+            FR: { name: 'Francia', code: '33', lengths: [9], trunk: '0', groups: { 9: [1, 2, 2, 2, 2] } },
+            MX: { name: 'México', code: '52', lengths: [10], groups: { 10: [3, 3, 4] } },
+            PA: { name: 'Panamá', code: '507', lengths: [7, 8], groups: { 7: [3, 4], 8: [4, 4] } },
+            PE: { name: 'Perú', code: '51', lengths: [8, 9], trunk: '0', groups: { 8: [1, 3, 4], 9: [3, 3, 3] } },
+            GB: { name: 'Reino Unido', code: '44', lengths: [10], trunk: '0', groups: { 10: [4, 6] } },
+            VE: { name: 'Venezuela', code: '58', lengths: [10], trunk: '0', groups: { 10: [3, 3, 4] } }
+        };
+    }
+
+    /**
+     * Indica si un número nacional cumple las reglas de un país
+     * @param {string} digits Número nacional (solo dígitos)
+     * @param {string} country Código ISO del país
+     * @returns {boolean} true si el largo y el inicio son válidos
+     */
+    static isValidNational(digits, country) {
+        const rules = PhoneNumber.COUNTRIES[country];
+        return Boolean(rules) && rules.lengths.includes(digits.length) &&
+            (!rules.prefixes || rules.prefixes.some(prefix => digits.startsWith(prefix)));
+    }
+
+    /**
+     * Interpreta un teléfono
+     * @param {string} value Teléfono en formato local o internacional
+     * @param {string} country País para los números sin prefijo internacional
+     * @returns {object|null} { country, national, e164 } o null si no es válido
+     */
+    static parse(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        const text = String(value || '').trim();
+        if (!text || /[^\d\s\-().+]/.test(text)) return null;
+
+        const countries = PhoneNumber.COUNTRIES;
+        const digits = text.replace(/\D/g, '');
+        const result = (code, national) => ({ country: code, national, e164: `+${countries[code].code}${national}` });
+
+        // Internacional: el país sale del prefijo (los más largos primero, p. ej. 593 antes que 59)
+        if (/^(\+|00)/.test(text)) {
+            const international = text.startsWith('00') ? digits.slice(2) : digits;
+            const code = Object.keys(countries)
+                .sort((a, b) => countries[b].code.length - countries[a].code.length)
+                .find(iso => international.startsWith(countries[iso].code) &&
+                    PhoneNumber.isValidNational(international.slice(countries[iso].code.length), iso));
+            return code ? result(code, international.slice(countries[code].code.length)) : null;
+        }
+
+        const rules = countries[country];
+        if (!rules) return null;
+
+        // Local: tal cual, sin el prefijo de larga distancia o con el del país sin '+' ("573001234567")
+        const candidates = [digits];
+        if (rules.trunk && digits.startsWith(rules.trunk)) candidates.push(digits.slice(rules.trunk.length));
+        if (digits.startsWith(rules.code)) candidates.push(digits.slice(rules.code.length));
+
+        const national = candidates.find(candidate => PhoneNumber.isValidNational(candidate, country));
+        return national ? result(country, national) : null;
+    }
+
+    /**
+     * Indica si un teléfono es válido
+     * @param {string} value Teléfono
+     * @param {string} country País para los números locales
+     * @returns {boolean} true si se puede interpretar
+     */
+    static isValid(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        return PhoneNumber.parse(value, country) !== null;
+    }
+
+    /**
+     * Convierte un teléfono a E.164
+     * @param {string} value Teléfono
+     * @param {string} country País para los números locales
+     * @returns {string|null} Teléfono E.164 o null si no es válido
+     */
+    static toE164(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        const parsed = PhoneNumber.parse(value, country);
+        return parsed ? parsed.e164 : null;
+    }
+
+    /**
+     * Obtiene el país de un teléfono
+     * @param {string} value Teléfono
+     * @param {string} country País para los números locales
+     * @returns {string} Código ISO (el recibido si el teléfono no es válido)
+     */
+    static countryOf(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        const parsed = PhoneNumber.parse(value, country);
+        return parsed ? parsed.country : country;
+    }
+
+    /**
+     * Formatea un teléfono para mostrarlo ("+57 300 123 4567")
+     * @param {string} value Teléfono
+     * @param {string} country País para los números locales
+     * @returns {string} Teléfono formateado, o el original si no es válido
+     */
+    static format(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        const parsed = PhoneNumber.parse(value, country);
+        if (!parsed) return String(value || '').trim();
+
+        const rules = PhoneNumber.COUNTRIES[parsed.country];
+        const groups = rules.groups[parsed.national.length] || [parsed.national.length];
+        let position = 0;
+        const parts = groups.map(size => {
+            const part = parsed.national.slice(position, position + size);
+            position += size;
+            return part;
+        });
+
+        return `+${rules.code} ${parts.join(' ')}`;
+    }
+
+    /**
+     * Enlace para abrir un chat de WhatsApp con el teléfono
+     * @param {string} value Teléfono
+     * @param {string} country País para los números locales
+     * @returns {string|null} URL de wa.me o null si el teléfono no es válido
+     */
+    static whatsappUrl(value, country = PhoneNumber.DEFAULT_COUNTRY) {
+        const e164 = PhoneNumber.toE164(value, country);
+        return e164 ? `https://wa.me/${e164.slice(1)}` : null;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * ContactAuditPanel - Historial de cambios de los contactos
+ * Patrón: Delegation (colaborador de ContactFacade)
+ *
+ * Muestra la línea de tiempo que guarda el registro de auditoría de ContactRepository
+ * y lo descarga en JSON. Usa los modales y avisos de la fachada.
+ */
+class ContactAuditPanel {
+    /**
+     * @param {ContactFacade} facade Fachada que provee el repositorio, los modales y los avisos
+     */
+    constructor(facade) {
+        this.facade = facade;
+    }
+
+    /**
+     * Etiquetas de las operaciones del registro de auditoría
+     * @returns {object} Mapa operación → etiqueta
+     */
+    static get LABELS() {
+        return {
+            add: 'Creado',
+            update: 'Editado',
+            remove: 'Enviado a la papelera',
+            clear: 'Enviado a la papelera (borrar todo)',
+            restore: 'Restaurado de la papelera',
+            purge: 'Eliminado definitivamente',
+            import: 'Importado',
+            repair: 'Reparado',
+            snapshotRestore: 'Restaurado desde una copia de seguridad',
+            anonymize: 'Anonimizado por la política de retención',
+            retention: 'Política de retención aplicada',
+            erasure: 'Datos de un email eliminados'
+        };
+    }
+
+    /**
+     * Muestra la línea de tiempo de cambios de un contacto
+     * @param {string} id ID del contacto
+     * @returns {Promise<void>}
+     */
+    async mostrar(id) {
+        try {
+            const [entries, contact] = await Promise.all([
+                this.facade.repository.getAuditLog({ contactId: id }),
+                this.facade.repository.getById(id)
+            ]);
+
+            const labels = ContactAuditPanel.LABELS;
+            const formatValue = value => (value === null || value === '' ? '<em>vacío</em>' : this.facade.escapeHtml(String(value)));
+
+            const items = entries.map(entry => `
+                <li class="audit-timeline-item">
+                    <div class="small text-muted">${new Date(entry.timestamp).toLocaleString('es-CO')}</div>
+                    <strong>${this.facade.escapeHtml(labels[entry.operation] || entry.operation)}</strong>
+                    <ul class="list-unstyled small mb-0">
+                        ${Object.entries(entry.changes).map(([field, change]) => `
+                            <li><code>${field}</code>: ${formatValue(change.before)} &rarr; ${formatValue(change.after)}</li>
+                        `).join('')}
+                    </ul>
+                </li>
+            `).join('');
+
+            await this.facade.openModal({
+                title: `Historial de ${contact ? contact.nombre : id}`,
+                body: items
+                    ? `<ul class="audit-timeline">${items}</ul>
+                       <button type="button" class="btn btn-sm btn-outline-secondary" data-audit-export>
+                           <i class="fas fa-file-code me-1"></i>Exportar JSON
+                       </button>`
+                    : '<p class="text-muted mb-0">No hay cambios registrados para este contacto.</p>',
+                confirmText: 'Cerrar',
+                cancelText: null,
+                onOpen: modal => {
+                    const exportButton = modal.querySelector('[data-audit-export]');
+                    if (exportButton) {
+                        exportButton.addEventListener('click', () => this.exportar(id));
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error al obtener el historial:', error);
+            this.facade.showError('Error al obtener el historial del contacto');
+        }
+    }
+
+    /**
+     * Descarga el registro de auditoría en JSON
+     * @param {string|null} contactId Solo las entradas de este contacto (todas si es null)
+     * @returns {Promise<void>}
+     */
+    async exportar(contactId = null) {
+        try {
+            const date = new Date().toISOString().split('T')[0];
+            const jsonData = await this.facade.repository.exportAuditLog(contactId ? { contactId } : {});
+            this.facade.downloadFile(jsonData, `auditoria_${date}.json`, 'application/json');
+            this.facade.showSuccess('Registro de auditoría exportado');
+        } catch (error) {
+            console.error('Error al exportar la auditoría:', error);
+            this.facade.showError('Error al exportar el registro de auditoría');
+        }
+    }
+}
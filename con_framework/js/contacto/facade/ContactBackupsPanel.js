@@ -0,0 +1,120 @@
+/**
+ * ContactBackupsPanel - Diálogo de las copias de seguridad de los contactos
+ * Patrón: Delegation (colaborador de ContactFacade)
+ *
+ * Lista las copias de ContactRepository, muestra qué cambiaría al restaurar la
+ * elegida y la restaura solo si se confirma. Usa los modales y avisos de la fachada.
+ */
+class ContactBackupsPanel {
+    /**
+     * @param {ContactFacade} facade Fachada que provee el repositorio, los modales y los avisos
+     */
+    constructor(facade) {
+        this.facade = facade;
+    }
+
+    /**
+     * Etiquetas de los motivos de las copias de seguridad
+     * @returns {object} Mapa motivo → etiqueta
+     */
+    static get REASONS() {
+        return {
+            auto: 'Automática',
+            clear: 'Antes de borrar todo',
+            purge: 'Antes de eliminar definitivamente',
+            repair: 'Antes de reparar el almacenamiento',
+            restore: 'Antes de restaurar otra copia'
+        };
+    }
+
+    /**
+     * Lista las copias de seguridad y restaura la elegida tras mostrar sus diferencias
+     * con los datos actuales
+     * @returns {Promise<void>}
+     */
+    async mostrar() {
+        try {
+            const snapshots = await this.facade.repository.getSnapshots();
+            if (snapshots.length === 0) {
+                this.facade.showInfo('Aún no hay copias de seguridad');
+                return;
+            }
+
+            const reasons = ContactBackupsPanel.REASONS;
+            const rows = snapshots.map((snapshot, index) => `
+                <label class="list-group-item d-flex align-items-center gap-2">
+                    <input class="form-check-input" type="radio" name="snapshot" value="${snapshot.id}" ${index === 0 ? 'checked' : ''}>
+                    <span class="flex-grow-1">
+                        ${new Date(snapshot.createdAt).toLocaleString('es-CO')}
+                        <span class="d-block small text-muted">${this.facade.escapeHtml(reasons[snapshot.reason] || snapshot.reason)}</span>
+                    </span>
+                    <span class="badge bg-secondary">${snapshot.count} contactos</span>
+                </label>
+            `).join('');
+
+            const id = await this.facade.openModal({
+                title: 'Copias de seguridad',
+                body: `
+                    <p class="small text-muted">Elija una copia para ver qué cambiaría antes de restaurarla.</p>
+                    <div class="list-group">${rows}</div>
+                `,
+                confirmText: 'Comparar',
+                onConfirm: modal => modal.querySelector('input[name="snapshot"]:checked').value
+            });
+            if (!id) return;
+
+            const comparison = await this.facade.repository.compareSnapshot(id);
+            if (!(await this.showComparison(comparison))) return;
+
+            const count = await this.facade.repository.restoreSnapshot(id);
+            this.facade.showSuccess(`Copia del ${new Date(comparison.snapshot.createdAt).toLocaleString('es-CO')} restaurada: ${count} contactos`);
+        } catch (error) {
+            console.error('Error al restaurar la copia de seguridad:', error);
+            this.facade.showError('Error al restaurar la copia de seguridad: ' + error.message);
+        }
+    }
+
+    /**
+     * Muestra las diferencias entre una copia de seguridad y los datos actuales
+     * @param {object} comparison Resultado de ContactRepository.compareSnapshot
+     * @returns {Promise<boolean|null>} true si se confirmó la restauración
+     */
+    showComparison(comparison) {
+        const describe = contact => `${this.facade.escapeHtml(contact.nombre)} &lt;${this.facade.escapeHtml(contact.email)}&gt;`;
+
+        const categories = [
+            { title: 'Se recuperan', badge: 'success', items: comparison.added.map(describe) },
+            { title: 'Se pierden', badge: 'danger', items: comparison.removed.map(describe) },
+            {
+                title: 'Vuelven a la versión de la copia',
+                badge: 'warning',
+                items: comparison.changed.map(entry =>
+                    `${describe(entry.current)} <span class="small">${entry.fields.map(field => `<code>${field}</code>`).join(', ')}</span>`)
+            }
+        ];
+
+        const sections = categories
+            .filter(category => category.items.length > 0)
+            .map(category => `
+                <details class="import-preview-category mb-2" open>
+                    <summary>
+                        ${category.title}
+                        <span class="badge bg-${category.badge}">${category.items.length}</span>
+                    </summary>
+                    <ul class="list-group list-group-flush">
+                        ${category.items.map(item => `<li class="list-group-item import-preview-item">${item}</li>`).join('')}
+                    </ul>
+                </details>
+            `).join('');
+
+        return this.facade.openModal({
+            title: `Restaurar copia del ${new Date(comparison.snapshot.createdAt).toLocaleString('es-CO')}`,
+            body: `
+                ${sections || '<p>La copia coincide con los datos actuales.</p>'}
+                <p class="small text-muted mb-0">${comparison.unchanged} contactos sin cambios. Antes de restaurar se guardará una copia de los datos actuales.</p>
+            `,
+            confirmText: 'Restaurar',
+            size: 'modal-lg'
+        });
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * ContactEncryptionPanel - Diálogos del modo cifrado de los contactos
+ * Patrón: Delegation (colaborador de ContactFacade)
+ *
+ * Desbloquea los contactos cifrados y activa, cambia o desactiva el cifrado de
+ * ContactRepository. Usa los modales y avisos de la fachada.
+ */
+class ContactEncryptionPanel {
+    /**
+     * @param {ContactFacade} facade Fachada que provee el repositorio, los modales y los avisos
+     */
+    constructor(facade) {
+        this.facade = facade;
+    }
+
+    /**
+     * Pide la frase de contraseña y desbloquea los contactos cifrados
+     * @returns {Promise<void>}
+     */
+    async desbloquear() {
+        if (!this.facade.repository.isLocked()) return;
+
+        const passphrase = await this.facade.askPassphrase({
+            title: 'Desbloquear contactos',
+            message: 'Los contactos guardados en este navegador están cifrados. Ingrese la frase de contraseña para verlos.',
+            confirmText: 'Desbloquear',
+            onSubmit: value => this.facade.repository.unlock(value)
+        });
+
+        if (passphrase) {
+            this.facade.showSuccess('Contactos desbloqueados');
+        }
+    }
+
+    /**
+     * Activa el cifrado, cambia la frase de contraseña o desactiva el cifrado
+     * @returns {Promise<void>}
+     */
+    async configurar() {
+        const encrypted = this.facade.repository.isEncrypted();
+        const field = (name, label, autocomplete) => `
+            <div class="mb-2">
+                <label class="form-label small" for="cifrado_${name}">${label}</label>
+                <input type="password" class="form-control" id="cifrado_${name}" data-field="${name}" autocomplete="${autocomplete}">
+            </div>
+        `;
+
+        const body = encrypted ? `
+            <p class="small text-muted">Los contactos se guardan cifrados con AES-GCM.</p>
+            <div class="mb-3">
+                <select class="form-select" data-field="action" aria-label="Acción">
+                    <option value="change">Cambiar la frase de contraseña</option>
+                    <option value="disable">Desactivar el cifrado</option>
+                </select>
+            </div>
+            ${field('current', 'Frase actual', 'current-password')}
+            <div data-new-fields>
+                ${field('next', 'Frase nueva', 'new-password')}
+                ${field('repeat', 'Repita la frase nueva', 'new-password')}
+            </div>
+            <div class="invalid-feedback d-block" data-encryption-error></div>
+        ` : `
+            <p class="small text-muted">Los contactos, sus copias de seguridad y la auditoría se guardarán cifrados.
+                Si olvida la frase de contraseña no podrá recuperarlos.</p>
+            ${field('next', 'Frase de contraseña', 'new-password')}
+            ${field('repeat', 'Repita la frase', 'new-password')}
+            <div class="invalid-feedback d-block" data-encryption-error></div>
+        `;
+
+        const message = await this.facade.openModal({
+            title: 'Cifrado de contactos',
+            body,
+            confirmText: 'Aplicar',
+            onOpen: modal => {
+                const action = modal.querySelector('[data-field="action"]');
+                if (action) {
+                    action.addEventListener('change', () => {
+                        modal.querySelector('[data-new-fields]').classList.toggle('d-none', action.value === 'disable');
+                    });
+                }
+            },
+            onConfirm: async modal => {
+                const value = name => {
+                    const input = modal.querySelector(`[data-field="${name}"]`);
+                    return input ? input.value : '';
+                };
+                const action = encrypted ? value('action') : 'enable';
+
+                try {
+                    if (action !== 'disable' && value('next') !== value('repeat')) {
+                        throw new Error('Las frases nuevas no coinciden');
+                    }
+
+                    if (action === 'enable') {
+                        await this.facade.repository.enableEncryption(value('next'));
+                        return 'Cifrado activado';
+                    }
+                    if (action === 'change') {
+                        await this.facade.repository.changePassphrase(value('current'), value('next'));
+                        return 'Frase de contraseña cambiada';
+                    }
+                    await this.facade.repository.disableEncryption(value('current'));
+                    return 'Cifrado desactivado';
+                } catch (error) {
+                    modal.querySelector('[data-encryption-error]').textContent = error.message;
+                    return undefined;
+                }
+            }
+        });
+
+        if (message) {
+            this.facade.showSuccess(message);
+        }
+    }
+}
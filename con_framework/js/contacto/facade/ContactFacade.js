@@ -5,9 +5,127 @@
 class ContactFacade {
     constructor() {
         this.repository = new ContactRepository();
+        // ID del contacto que se está editando en el formulario (null = modo creación)
+        this.editingId = null;
+        // Indica si el panel de contactos muestra la papelera
+        this.showingTrash = false;
+        // Consulta de búsqueda activa (ContactQuery) o null si se listan todos
+        this.searchQuery = null;
+        // Orden, filtros y página de la lista (se conservan entre recargas)
+        this.viewStateKey = 'contactos_vista';
+        this.viewState = this.loadViewState();
+        // Contactos llegados desde otra pestaña que aún se muestran como nuevos
+        this.newContactIds = new Set();
+        // Actualización en curso de la página de la lista (ver patchContactList)
+        this.listPatch = Promise.resolve();
+        this.refreshStats = debounce(() => this.updateStorageStats(), 200);
+        // Contactos marcados en la lista para exportarlos como vCard
+        this.selectedIds = new Set();
+        // Revisión del dominio del email (temporales, errores de tipeo y resolver opcional)
+        this.emailValidator = new EmailDomainValidator();
+        // Email para el que ya se sugirió una corrección; si se envía igual, se acepta
+        this.acceptedEmail = null;
+        // Honeypot, tiempo mínimo, límite de envíos y mensajes repetidos del formulario
+        this.spamGuard = new SpamGuard();
+        // Momento en que se mostró o se limpió el formulario (ver SpamGuard.check)
+        this.formStartedAt = Date.now();
+        // Diálogo de las copias de seguridad (ver mostrarRespaldos)
+        this.backupsPanel = new ContactBackupsPanel(this);
+        // Historial de cambios de los contactos (ver verHistorial)
+        this.auditPanel = new ContactAuditPanel(this);
+        // Desbloqueo y configuración del cifrado (ver configurarCifrado)
+        this.encryptionPanel = new ContactEncryptionPanel(this);
+        // Retención y solicitudes de datos por email (ver configurarPrivacidad)
+        this.privacyPanel = new ContactPrivacyPanel(this);
+        // Exportación e importación de archivos de contactos (ver exportarContactos)
+        this.importExportPanel = new ContactImportExportPanel(this);
+        // Entrega de los contactos nuevos al dueño de la página (ver configurarTransporte)
+        this.outbox = new ContactOutbox({
+            transport: this.createTransport(),
+            resolvePayload: id => this.resolveOutboxPayload(id)
+        });
+        this.outbox.subscribe(event => this.handleOutboxChange(event));
+        this.repository.subscribe(event => this.handleRepositoryChange(event));
         this.initializeEventListeners();
     }
 
+    /**
+     * Actualiza la lista cuando el repositorio notifica un cambio
+     * (added, updated, removed, cleared, restored o purged). Una edición que no
+     * mueve el contacto de su posición reemplaza solo ese elemento, y los contactos
+     * agregados, eliminados o restaurados se insertan o quitan de la página actual
+     * (ver patchContactList); el resto de cambios vuelve a renderizar la página.
+     * Los agregados desde otra pestaña se resaltan como nuevos. También refresca
+     * las estadísticas.
+     * @param {object} event Evento emitido por ContactRepository
+     */
+    handleRepositoryChange(event) {
+        // Un fallo de la auditoría no cambia los contactos: solo se avisa
+        if (event.type === 'auditFailed') {
+            this.showWarning(event.quota
+                ? 'El registro de auditoría no se guardó: no hay espacio en el almacenamiento'
+                : `El registro de auditoría no se guardó: ${event.error}`);
+            return;
+        }
+
+        // Cambiar la política de retención no toca los contactos; si los afecta llega 'retentionApplied'
+        if (event.type === 'retentionChanged') return;
+
+        // Las estadísticas se recalculan una sola vez por ráfaga de cambios (p. ej. una importación)
+        this.refreshStats();
+
+        // Los contactos borrados definitivamente salen de la bandeja de salida. Vaciar
+        // la lista los manda a la papelera (se puede deshacer) y los anonimizados por
+        // la retención siguen existiendo, así que esos conservan su envío.
+        if (['purged', 'forgotten'].includes(event.type) && event.ids) {
+            this.outbox.remove(event.ids);
+        }
+        if (event.type === 'retentionApplied' && event.deletedIds) {
+            this.outbox.remove(event.deletedIds);
+        }
+        if (event.type === 'unlocked') {
+            this.outbox.flush();
+        }
+
+        // Los contactos eliminados dejan de estar seleccionados
+        const replacesAll = ['cleared', 'snapshotRestored', 'repaired'].includes(event.type);
+        const erased = ['retentionApplied', 'forgotten'].includes(event.type);
+        if (event.type === 'removed' || replacesAll || erased) {
+            (replacesAll ? [...this.selectedIds] : (erased ? event.ids : [event.id]))
+                .forEach(id => this.selectedIds.delete(id));
+            this.updateSelectionUi();
+        }
+
+        const container = document.getElementById('listaContactos');
+        if (!container) return;
+
+        if (this.showingTrash) {
+            this.renderTrash();
+        } else if (event.type === 'updated' && this.canUpdateInPlace(event.contact)) {
+            this.renderContactItem(event.contact);
+        } else if (['added', 'updated', 'removed', 'restored'].includes(event.type)) {
+            if (event.type === 'added' && event.remote) {
+                this.newContactIds.add(event.id);
+            }
+            this.patchContactList(event.type === 'updated' ? event.contact : null);
+        } else if (event.type !== 'purged') {
+            this.listarContactos();
+        }
+
+        // Si el contacto en edición desapareció, volver al modo creación
+        if (this.editingId && (event.type === 'cleared' || (event.type === 'removed' && event.id === this.editingId))) {
+            this.cancelarEdicion();
+            this.showInfo('El contacto que estaba editando fue eliminado');
+        } else if (this.editingId && event.type === 'snapshotRestored') {
+            this.cancelarEdicion();
+            this.showInfo('Se restauró una copia de seguridad; la edición se canceló');
+        } else if (this.editingId && erased && event.ids.includes(this.editingId)) {
+            // Un contacto anonimizado también se recarga, para no volver a guardar los datos borrados
+            this.cancelarEdicion();
+            this.showInfo('El contacto en edición fue eliminado o anonimizado por la política de privacidad');
+        }
+    }
+
     /**
      * Inicializa los event listeners del formulario
      */
@@ -21,8 +139,81 @@ class ContactFacade {
         // Event listeners para validación en tiempo real
         this.setupRealTimeValidation();
 
-        // Cargar contactos al inicializar
-        this.listarContactos();
+        // El enlace de términos abre el texto completo en lugar de navegar
+        const termsLink = document.getElementById('termsLink');
+        if (termsLink) {
+            termsLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.mostrarTerminos();
+            });
+        }
+
+        // Buscador y acciones de la lista de contactos
+        this.initializeSearch(document.getElementById('buscarContactos'));
+        this.initializeListActions(document.getElementById('listaContactos'));
+
+        // Cargar contactos y estadísticas cuando el almacenamiento esté listo;
+        // si están cifrados, pedir antes la frase de contraseña
+        this.repository.ready().then(() => {
+            this.listarContactos();
+            this.updateStorageStats();
+
+            if (this.repository.isLocked()) {
+                this.mostrarDesbloqueo();
+            } else {
+                // Reintentar los envíos que quedaron pendientes en la visita anterior
+                this.outbox.flush();
+            }
+        });
+    }
+
+    /**
+     * Atiende los botones de los contactos de la lista y de la papelera con un
+     * solo listener: cada botón indica su acción en data-action y el contacto se
+     * toma del data-id de su elemento, sin armar manejadores con los datos.
+     * @param {HTMLElement|null} container Contenedor de la lista (#listaContactos)
+     */
+    initializeListActions(container) {
+        // Evitar registrar los listeners dos veces si el contenedor ya fue conectado
+        if (!container || container.dataset.actionsBound) return;
+        container.dataset.actionsBound = 'true';
+
+        const actions = {
+            editar: id => this.editarContacto(id),
+            historial: id => this.verHistorial(id),
+            eliminar: id => this.eliminarContacto(id),
+            restaurar: id => this.restaurarContacto(id),
+            eliminarDefinitivamente: id => this.eliminarDefinitivamente(id),
+            reintentarEnvio: id => this.reintentarEnvio(id)
+        };
+
+        container.addEventListener('click', event => {
+            const button = event.target.closest('button[data-action]');
+            const item = button && button.closest('.contact-item');
+            if (!item || !container.contains(item) || !actions[button.dataset.action]) return;
+            actions[button.dataset.action](item.dataset.id);
+        });
+
+        container.addEventListener('change', event => {
+            const checkbox = event.target.closest('input[data-action="seleccionar"]');
+            const item = checkbox && checkbox.closest('.contact-item');
+            if (item) {
+                this.toggleSeleccion(item.dataset.id, checkbox.checked);
+            }
+        });
+    }
+
+    /**
+     * Conecta un campo de búsqueda con buscarContactos usando debounce
+     * @param {HTMLInputElement|null} input Campo de búsqueda
+     */
+    initializeSearch(input) {
+        // Evitar registrar el listener dos veces si el campo ya fue conectado
+        if (!input || input.dataset.searchBound) return;
+        input.dataset.searchBound = 'true';
+
+        const search = debounce(value => this.buscarContactos(value), 300);
+        input.addEventListener('input', event => search(event.target.value));
     }
 
     /**
@@ -39,10 +230,46 @@ class ContactFacade {
             }
         });
 
-        // Validación especial para términos
+        // El teléfono se muestra con el formato de su país; cambiar el país lo vuelve a validar
+        const phoneField = document.getElementById('phone');
+        const phoneCountry = document.getElementById('phoneCountry');
+        if (phoneField) {
+            phoneField.addEventListener('blur', () => this.formatPhoneField());
+        }
+        if (phoneCountry) {
+            phoneCountry.addEventListener('change', () => {
+                if (phoneField && phoneField.value.trim()) {
+                    this.validateField('phone');
+                    this.formatPhoneField();
+                }
+            });
+        }
+
+        // Validación especial para términos; al marcarlos se registra el consentimiento
         const termsField = document.getElementById('terms');
         if (termsField) {
-            termsField.addEventListener('change', () => this.validateField('terms'));
+            termsField.addEventListener('change', () => {
+                this.captureConsent(termsField);
+                this.validateField('terms');
+            });
+        }
+    }
+
+    /**
+     * Formatea el teléfono del formulario si es válido. Si se escribió con prefijo
+     * internacional, el selector pasa al país de ese prefijo.
+     */
+    formatPhoneField() {
+        const field = document.getElementById('phone');
+        const select = document.getElementById('phoneCountry');
+        if (!field) return;
+
+        const parsed = PhoneNumber.parse(field.value, select ? select.value : PhoneNumber.DEFAULT_COUNTRY);
+        if (!parsed) return;
+
+        field.value = PhoneNumber.format(parsed.e164);
+        if (select) {
+            select.value = parsed.country;
         }
     }
 
@@ -55,12 +282,39 @@ class ContactFacade {
         
         try {
             const formData = this.getFormData();
+
+            if (this.editingId) {
+                const updated = await this.actualizarContacto(this.editingId, formData);
+                if (updated) {
+                    this.showSuccess('¡Contacto actualizado exitosamente!');
+                    this.cancelarEdicion();
+                }
+                return;
+            }
+
+            const honeypot = document.getElementById(SpamGuard.HONEYPOT_FIELD);
+            const verdict = this.spamGuard.check(formData, {
+                honeypot: honeypot ? honeypot.value : '',
+                startedAt: this.formStartedAt
+            });
+            if (verdict.action === 'block') {
+                // A un envío automatizado se le responde como si se hubiera guardado
+                console.warn('Envío descartado por el campo honeypot');
+                this.showSuccess('¡Contacto guardado exitosamente!');
+                this.resetForm();
+                return;
+            }
+            if (verdict.action === 'challenge' && !(await this.mostrarDesafio(verdict.reasons))) {
+                this.showWarning('El mensaje no se envió porque no se completó la verificación');
+                return;
+            }
+
             const success = await this.guardarContacto(formData);
             
             if (success) {
+                this.spamGuard.recordSubmission(formData);
                 this.showSuccess('¡Contacto guardado exitosamente!');
                 this.resetForm();
-                this.listarContactos();
             }
         } catch (error) {
             this.showError('Error al guardar el contacto: ' + error.message);
@@ -74,61 +328,262 @@ class ContactFacade {
     getFormData() {
         const form = document.getElementById('contacto_Form');
         const formData = new FormData(form);
+        const consent = (document.getElementById('terms') || { dataset: {} }).dataset;
         
         return {
             nombre: formData.get('name'),
             email: formData.get('email'),
             telefono: formData.get('phone'),
+            paisTelefono: formData.get('phoneCountry'),
             asunto: formData.get('subject'),
             mensaje: formData.get('mensaje'),
             preferenciaContacto: formData.get('contactoOpcion'),
-            aceptaTerminos: formData.has('terms')
+            aceptaTerminos: formData.has('terms'),
+            versionTerminos: formData.has('terms') ? consent.acceptedVersion || null : null,
+            fechaAceptacionTerminos: formData.has('terms') ? consent.acceptedAt || null : null,
+            textoConsentimiento: formData.has('terms') ? consent.consentText || '' : ''
         };
     }
 
+    /**
+     * Registra en el checkbox de términos la versión, la fecha y el texto de
+     * consentimiento mostrados al marcarlo, o los borra al desmarcarlo
+     * @param {HTMLInputElement} checkbox Checkbox de términos
+     * @param {Contacto|null} contact Contacto cuyo consentimiento se conserva (al editar)
+     */
+    captureConsent(checkbox, contact = null) {
+        if (!checkbox.checked) {
+            delete checkbox.dataset.acceptedVersion;
+            delete checkbox.dataset.acceptedAt;
+            delete checkbox.dataset.consentText;
+            return;
+        }
+
+        if (contact) {
+            checkbox.dataset.acceptedVersion = contact.versionTerminos;
+            checkbox.dataset.acceptedAt = contact.fechaAceptacionTerminos;
+            checkbox.dataset.consentText = contact.textoConsentimiento;
+            return;
+        }
+
+        const consentText = document.querySelector('label[for="terms"] [data-consent-text]');
+        checkbox.dataset.acceptedVersion = checkbox.dataset.termsVersion || ContactTerms.VERSION;
+        checkbox.dataset.acceptedAt = new Date().toISOString();
+        checkbox.dataset.consentText = consentText ? consentText.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
     /**
      * Guarda un contacto usando los datos del formulario
      * @param {object} datosFormulario Datos del formulario
-     * @returns {boolean} true si se guardó correctamente
+     * @returns {Promise<boolean>} true si se guardó correctamente
      */
     async guardarContacto(datosFormulario) {
         try {
-            // Validar formulario completo
-            const validationResult = this.validateForm(datosFormulario);
+            // Crear contacto
+            const contacto = new Contacto(datosFormulario);
+
+            // Validar formulario completo, incluido que el email no esté repetido
+            const validationResult = await this.validateForm(contacto);
             if (!validationResult.isValid) {
                 this.displayValidationErrors(validationResult.errors);
                 throw new Error('Por favor corrija los errores en el formulario');
             }
 
-            // Crear contacto
-            const contacto = new Contacto(datosFormulario);
+            // Guardar en repositorio y enviarlo (si hay transporte) sin esperar la respuesta
+            await this.repository.add(contacto);
+            this.outbox.enqueue(contacto.id);
             
-            // Verificar si ya existe un contacto con el mismo email
-            if (this.repository.existsByEmail(contacto.email)) {
-                throw new Error('Ya existe un contacto con ese correo electrónico');
+            return true;
+        } catch (error) {
+            console.error('Error en guardarContacto:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza un contacto existente con los datos del formulario
+     * @param {string} id ID del contacto a actualizar
+     * @param {object} datosFormulario Datos del formulario
+     * @returns {Promise<boolean>} true si se actualizó correctamente
+     */
+    async actualizarContacto(id, datosFormulario) {
+        try {
+            const existing = await this.repository.getById(id);
+            if (!existing) {
+                throw new Error('El contacto ya no existe');
             }
 
-            // Guardar en repositorio
-            this.repository.add(contacto);
-            
-            // Mostrar estadísticas actualizadas
-            this.updateStorageStats();
-            
+            // Conservar id, fecha de creación y consentimiento del contacto original
+            const contacto = new Contacto({
+                ...existing.toJSON(),
+                ...datosFormulario,
+                ...Object.fromEntries(Contacto.CAMPOS_CONSENTIMIENTO.map(field => [field, existing[field]])),
+                id: existing.id,
+                fechaCreacion: existing.fechaCreacion
+            });
+
+            // Validar, incluido que el email no pertenezca a otro contacto
+            const validationResult = await this.validateForm(contacto);
+            if (!validationResult.isValid) {
+                this.displayValidationErrors(validationResult.errors);
+                throw new Error('Por favor corrija los errores en el formulario');
+            }
+
+            await this.repository.update(contacto);
+
             return true;
         } catch (error) {
-            console.error('Error en guardarContacto:', error);
+            console.error('Error en actualizarContacto:', error);
             throw error;
         }
     }
 
     /**
-     * Lista todos los contactos guardados
+     * Carga un contacto en el formulario para editarlo
+     * @param {string} id ID del contacto a editar
+     * @returns {Promise<void>}
      */
-    listarContactos() {
+    async editarContacto(id) {
         try {
-            const contacts = this.repository.getAll();
-            this.renderContactList(contacts);
-            this.updateContactCounter(contacts.length);
+            const contact = await this.repository.getById(id);
+            if (!contact) {
+                this.showError('El contacto ya no existe');
+                return;
+            }
+
+            this.resetForm();
+            this.fillForm(contact);
+            this.setEditMode(contact.id);
+
+            const form = document.getElementById('contacto_Form');
+            if (form) {
+                form.scrollIntoView({ behavior: 'smooth' });
+            }
+        } catch (error) {
+            console.error('Error al editar contacto:', error);
+            this.showError('Error al cargar el contacto: ' + error.message);
+        }
+    }
+
+    /**
+     * Sale del modo edición y limpia el formulario
+     */
+    cancelarEdicion() {
+        this.setEditMode(null);
+        this.resetForm();
+    }
+
+    /**
+     * Llena el formulario con los datos de un contacto
+     * @param {Contacto} contact Contacto a cargar
+     */
+    fillForm(contact) {
+        const values = {
+            name: contact.nombre,
+            email: contact.email,
+            phone: contact.getFormattedPhone(),
+            phoneCountry: contact.paisTelefono,
+            subject: contact.asunto,
+            mensaje: contact.mensaje
+        };
+
+        Object.entries(values).forEach(([fieldId, value]) => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.value = value || '';
+            }
+        });
+
+        const preference = document.querySelector(`input[name="contactoOpcion"][value="${contact.preferenciaContacto}"]`);
+        if (preference) {
+            preference.checked = true;
+        }
+
+        // El consentimiento es el que registró el visitante: se muestra, pero no se edita
+        const terms = document.getElementById('terms');
+        if (terms) {
+            terms.checked = contact.aceptaTerminos;
+            this.captureConsent(terms, contact);
+        }
+    }
+
+    /**
+     * Cambia el formulario entre modo creación y modo edición
+     * @param {string|null} id ID del contacto en edición o null para volver a creación
+     */
+    setEditMode(id) {
+        const previousId = this.editingId;
+        this.editingId = id;
+
+        const submitButton = document.getElementById('enviarContacto');
+        if (submitButton) {
+            submitButton.innerHTML = id
+                ? '<i class="fas fa-save me-2"></i>Actualizar'
+                : '<i class="fas fa-paper-plane me-2"></i>Enviar mensaje';
+        }
+
+        // Botón para cancelar la edición, junto al botón de envío
+        let cancelButton = document.getElementById('cancelarEdicion');
+        if (id && !cancelButton && submitButton) {
+            cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.id = 'cancelarEdicion';
+            cancelButton.className = 'btn btn-outline-secondary mt-2';
+            cancelButton.innerHTML = '<i class="fas fa-times me-2"></i>Cancelar edición';
+            cancelButton.addEventListener('click', () => this.cancelarEdicion());
+            submitButton.insertAdjacentElement('afterend', cancelButton);
+        } else if (!id && cancelButton) {
+            cancelButton.remove();
+        }
+
+        // Al editar no se puede marcar ni desmarcar el consentimiento (ver ContactRepository.update)
+        const terms = document.getElementById('terms');
+        if (terms) {
+            terms.disabled = !!id;
+            terms.title = id ? 'El consentimiento lo registra el visitante al enviar el formulario' : '';
+        }
+
+        // Marcar en la lista el contacto que se está editando
+        [previousId, id].forEach(contactId => {
+            if (!contactId) return;
+            const element = document.querySelector(`.contact-item[data-id="${contactId}"]`);
+            if (element) {
+                element.classList.toggle('contact-item-editing', contactId === id);
+            }
+        });
+    }
+
+    /**
+     * Lista la página actual de contactos aplicando búsqueda, filtros y orden
+     * (o la papelera, si está abierta)
+     * @returns {Promise<void>}
+     */
+    async listarContactos() {
+        try {
+            if (this.repository.isLocked()) {
+                this.renderLocked();
+                return;
+            }
+
+            this.renderListControls();
+
+            if (this.showingTrash) {
+                this.renderPagination(null);
+                await this.renderTrash();
+                return;
+            }
+
+            const result = await this.repository.list(this.getListOptions());
+
+            // La página guardada puede no existir si se eliminaron contactos
+            if (result.page !== this.viewState.page) {
+                this.viewState.page = result.page;
+                this.saveViewState();
+            }
+
+            this.renderContactList(result.items);
+            this.renderPagination(result);
+            this.updateContactCounter(result.total, this.searchQuery ? `Resultados para "${this.searchQuery.text}": ${result.total}` : null);
         } catch (error) {
             console.error('Error al listar contactos:', error);
             this.showError('Error al cargar la lista de contactos');
@@ -136,22 +591,100 @@ class ContactFacade {
     }
 
     /**
-     * Elimina un contacto por ID
-     * @param {string} id ID del contacto a eliminar
+     * Opciones de ContactRepository.list para la búsqueda, filtros, orden y página actuales
+     * @returns {object} Opciones de listado
      */
-    eliminarContacto(id) {
-        try {
-            // Confirmar eliminación
-            if (!confirm('¿Está seguro de que desea eliminar este contacto?')) {
+    getListOptions() {
+        return {
+            query: this.searchQuery,
+            asuntos: this.viewState.asuntos,
+            preferencias: this.viewState.preferencias,
+            sortBy: this.viewState.sortBy,
+            sortDir: this.viewState.sortDir,
+            page: this.viewState.page,
+            pageSize: this.viewState.pageSize
+        };
+    }
+
+    /**
+     * Refleja en la página actual los contactos que entraron o salieron de ella,
+     * insertando o quitando solo esos elementos. Si los que siguen en la página
+     * cambiaron de orden entre sí, o la página dejó de existir, se renderiza completa.
+     * Las actualizaciones se encadenan para que una ráfaga de eventos (p. ej. una
+     * importación) no inserte dos veces el mismo elemento.
+     * @param {Contacto|null} updated Contacto editado, que se vuelve a renderizar si sigue en la página
+     * @returns {Promise<void>}
+     */
+    patchContactList(updated = null) {
+        this.listPatch = this.listPatch.then(async () => {
+            const container = document.getElementById('listaContactos');
+            if (!container || this.showingTrash || this.repository.isLocked()) return;
+
+            const result = await this.repository.list(this.getListOptions());
+            const nextIds = result.items.map(contact => contact.id);
+            const elements = new Map([...container.querySelectorAll('.contact-item')]
+                .map(element => [element.dataset.id, element]));
+            const kept = [...elements.keys()].filter(id => nextIds.includes(id));
+
+            if (result.page !== this.viewState.page || kept.join() !== nextIds.filter(id => elements.has(id)).join()) {
+                await this.listarContactos();
                 return;
             }
 
-            const success = this.repository.remove(id);
+            elements.forEach((element, id) => {
+                if (!nextIds.includes(id)) element.remove();
+            });
+
+            if (result.items.length === 0) {
+                this.renderContactList([]);
+            } else {
+                // Quitar el mensaje de lista vacía antes de agregar el primer contacto
+                if (elements.size === 0) container.innerHTML = '';
+
+                // Cada contacto nuevo va antes del siguiente que ya estaba en la página
+                result.items.forEach((contact, index) => {
+                    if (elements.has(contact.id)) return;
+
+                    const template = document.createElement('template');
+                    template.innerHTML = this.getContactItemHtml(contact).trim();
+                    const element = template.content.firstElementChild;
+                    if (this.newContactIds.has(contact.id)) {
+                        this.markAsNew(element);
+                    }
+
+                    const nextId = nextIds.slice(index + 1).find(id => elements.has(id));
+                    container.insertBefore(element, nextId ? elements.get(nextId) : null);
+                });
+            }
+
+            if (updated && elements.has(updated.id)) {
+                this.renderContactItem(updated);
+            }
+
+            this.renderPagination(result);
+            this.updateContactCounter(result.total, this.searchQuery ? `Resultados para "${this.searchQuery.text}": ${result.total}` : null);
+        }).catch(error => {
+            console.error('Error al actualizar la lista de contactos:', error);
+        });
+
+        return this.listPatch;
+    }
+
+    /**
+     * Elimina un contacto por ID
+     * @param {string} id ID del contacto a eliminar
+     * @returns {Promise<void>}
+     */
+    async eliminarContacto(id) {
+        try {
+            // No se pide confirmación: el contacto va a la papelera y se puede deshacer
+            const success = await this.repository.remove(id);
             
             if (success) {
-                this.showSuccess('Contacto eliminado correctamente');
-                this.listarContactos();
-                this.updateStorageStats();
+                this.showToast('Contacto enviado a la papelera', 'success', {
+                    text: 'Deshacer',
+                    onClick: () => this.restaurarContacto(id)
+                });
             }
         } catch (error) {
             console.error('Error al eliminar contacto:', error);
@@ -161,26 +694,29 @@ class ContactFacade {
 
     /**
      * Borra todos los contactos
+     * @returns {Promise<void>}
      */
-    borrarTodo() {
+    async borrarTodo() {
         try {
             // Confirmar eliminación masiva
-            const count = this.repository.count();
+            const count = await this.repository.count();
             if (count === 0) {
                 this.showInfo('No hay contactos para eliminar');
                 return;
             }
 
-            if (!confirm(`¿Está seguro de que desea eliminar todos los ${count} contactos? Esta acción no se puede deshacer.`)) {
+            if (!confirm(`¿Está seguro de que desea eliminar todos los ${count} contactos? Podrá recuperarlos desde la papelera.`)) {
                 return;
             }
 
-            const success = this.repository.clear();
+            const ids = (await this.repository.getAll()).map(contact => contact.id);
+            const success = await this.repository.clear();
             
             if (success) {
-                this.showSuccess('Todos los contactos han sido eliminados');
-                this.listarContactos();
-                this.updateStorageStats();
+                this.showToast('Todos los contactos se enviaron a la papelera', 'success', {
+                    text: 'Deshacer',
+                    onClick: () => this.restaurarContacto(ids)
+                });
             }
         } catch (error) {
             console.error('Error al borrar todos los contactos:', error);
@@ -189,44 +725,414 @@ class ContactFacade {
     }
 
     /**
-     * Busca contactos por criterio
-     * @param {string} searchTerm Término de búsqueda
+     * Restaura uno o varios contactos desde la papelera
+     * @param {string|Array<string>} ids ID o IDs de los contactos
+     * @returns {Promise<void>}
+     */
+    async restaurarContacto(ids) {
+        try {
+            const count = await this.repository.restore(ids);
+            this.showSuccess(count === 1 ? 'Contacto restaurado' : `${count} contactos restaurados`);
+        } catch (error) {
+            console.error('Error al restaurar contacto:', error);
+            this.showError('Error al restaurar: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina definitivamente un contacto de la papelera
+     * @param {string} id ID del contacto
+     * @returns {Promise<void>}
+     */
+    async eliminarDefinitivamente(id) {
+        try {
+            if (!confirm('¿Eliminar definitivamente este contacto? Esta acción no se puede deshacer.')) {
+                return;
+            }
+
+            await this.repository.purge(id);
+            this.showSuccess('Contacto eliminado definitivamente');
+        } catch (error) {
+            console.error('Error al purgar contacto:', error);
+            this.showError('Error al eliminar el contacto: ' + error.message);
+        }
+    }
+
+    /**
+     * Vacía la papelera
+     * @returns {Promise<void>}
      */
-    buscarContactos(searchTerm) {
+    async vaciarPapelera() {
         try {
-            if (!searchTerm || searchTerm.trim().length === 0) {
-                this.listarContactos();
+            const trash = await this.repository.getTrash();
+            if (trash.length === 0) {
+                this.showInfo('La papelera está vacía');
                 return;
             }
 
-            const allContacts = this.repository.getAll();
-            const filteredContacts = allContacts.filter(contact => 
-                contact.nombre.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                contact.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                contact.asunto.toLowerCase().includes(searchTerm.toLowerCase())
-            );
+            if (!confirm(`¿Eliminar definitivamente los ${trash.length} contactos de la papelera? Esta acción no se puede deshacer.`)) {
+                return;
+            }
+
+            await this.repository.emptyTrash();
+            this.showSuccess('Papelera vaciada');
+        } catch (error) {
+            console.error('Error al vaciar la papelera:', error);
+            this.showError('Error al vaciar la papelera: ' + error.message);
+        }
+    }
+
+    /**
+     * Alterna el panel de contactos entre la lista y la papelera
+     * @returns {Promise<void>}
+     */
+    async togglePapelera() {
+        this.showingTrash = !this.showingTrash;
+
+        const toggleButton = document.getElementById('btnPapelera');
+        if (toggleButton) {
+            toggleButton.innerHTML = this.showingTrash
+                ? '<i class="fas fa-arrow-left me-1"></i>Contactos'
+                : '<i class="fas fa-trash-restore me-1"></i>Papelera';
+        }
+
+        await this.listarContactos();
+    }
+
+    /**
+     * Renderiza la papelera con las acciones de restaurar y eliminar definitivamente
+     * @returns {Promise<void>}
+     */
+    async renderTrash() {
+        const container = document.getElementById('listaContactos');
+        if (!container) return;
+
+        const trash = await this.repository.getTrash();
+        this.updateContactCounter(trash.length, `En la papelera: ${trash.length}`);
+
+        if (trash.length === 0) {
+            container.innerHTML = `
+                <div class="text-center text-muted py-4">
+                    <i class="fas fa-trash-alt fa-3x mb-3"></i>
+                    <p>La papelera está vacía</p>
+                </div>
+            `;
+            return;
+        }
+
+        const retentionDays = this.repository.trashRetentionDays;
+        container.innerHTML = `
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <small class="text-muted">Se eliminan definitivamente tras ${retentionDays} días</small>
+                <button class="btn btn-sm btn-outline-danger" onclick="contactFacade.vaciarPapelera()">
+                    <i class="fas fa-dumpster me-1"></i>Vaciar
+                </button>
+            </div>
+        ` + trash.map(contact => `
+            <div class="contact-item contact-item-trashed" data-id="${this.escapeHtml(contact.id)}">
+                <div class="d-flex justify-content-between align-items-start mb-2">
+                    <h6 class="mb-1">${this.escapeHtml(contact.nombre)}</h6>
+                    <div class="contact-actions">
+                        <button class="btn btn-sm btn-outline-success" title="Restaurar" data-action="restaurar">
+                            <i class="fas fa-undo"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger" title="Eliminar definitivamente" data-action="eliminarDefinitivamente">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="contact-details">
+                    <small class="text-muted d-block">
+                        <i class="fas fa-envelope me-1"></i>${this.escapeHtml(contact.email)}
+                    </small>
+                    <small class="text-muted d-block">
+                        <i class="fas fa-trash me-1"></i>Eliminado el ${new Date(contact.deletedAt).toLocaleString('es-CO')}
+                    </small>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Busca contactos en todos sus campos, sin distinguir mayúsculas ni acentos.
+     * Admite frases entre comillas y prefijos de campo (ver ContactQuery).
+     * @param {string} searchTerm Término de búsqueda
+     * @returns {Promise<void>}
+     */
+    async buscarContactos(searchTerm) {
+        try {
+            const query = new ContactQuery(searchTerm || '');
+            this.searchQuery = query.isEmpty() ? null : query;
+            this.viewState.page = 1;
+            this.saveViewState();
+            await this.listarContactos();
+        } catch (error) {
+            console.error('Error en búsqueda:', error);
+            this.showError('Error al buscar contactos');
+        }
+    }
+
+    /**
+     * Cambia el campo por el que se ordena la lista
+     * @param {string} sortBy 'fechaCreacion', 'nombre' o 'asunto'
+     * @returns {Promise<void>}
+     */
+    async ordenarContactos(sortBy) {
+        if (!ContactFacade.SORT_FIELDS[sortBy]) return;
+
+        this.viewState.sortBy = sortBy;
+        this.viewState.page = 1;
+        this.saveViewState();
+        await this.listarContactos();
+    }
+
+    /**
+     * Invierte la dirección del orden (ascendente / descendente)
+     * @returns {Promise<void>}
+     */
+    async invertirOrden() {
+        this.viewState.sortDir = this.viewState.sortDir === 'asc' ? 'desc' : 'asc';
+        this.viewState.page = 1;
+        this.saveViewState();
+        await this.listarContactos();
+    }
+
+    /**
+     * Activa o desactiva un filtro de la lista
+     * @param {string} type 'asuntos' o 'preferencias'
+     * @param {string} value Valor del filtro
+     * @returns {Promise<void>}
+     */
+    async toggleFiltro(type, value) {
+        const values = this.viewState[type];
+        if (!Array.isArray(values)) return;
+
+        const index = values.indexOf(value);
+        if (index === -1) {
+            values.push(value);
+        } else {
+            values.splice(index, 1);
+        }
+
+        this.viewState.page = 1;
+        this.saveViewState();
+        await this.listarContactos();
+    }
+
+    /**
+     * Quita todos los filtros de la lista
+     * @returns {Promise<void>}
+     */
+    async limpiarFiltros() {
+        this.viewState.asuntos = [];
+        this.viewState.preferencias = [];
+        this.viewState.page = 1;
+        this.saveViewState();
+        await this.listarContactos();
+    }
+
+    /**
+     * Muestra una página de la lista
+     * @param {number} page Número de página
+     * @returns {Promise<void>}
+     */
+    async irAPagina(page) {
+        this.viewState.page = page;
+        this.saveViewState();
+        await this.listarContactos();
+
+        const container = document.getElementById('listaContactos');
+        if (container) {
+            container.scrollTop = 0;
+        }
+    }
+
+    /**
+     * Campos por los que se puede ordenar la lista (valor → etiqueta)
+     * @returns {object} Mapa de campos
+     */
+    static get SORT_FIELDS() {
+        return {
+            fechaCreacion: 'Fecha',
+            nombre: 'Nombre',
+            asunto: 'Asunto'
+        };
+    }
+
+    /**
+     * Carga el estado de la lista guardado en localStorage, descartando valores inválidos
+     * @returns {object} Estado de la vista
+     */
+    loadViewState() {
+        const defaults = {
+            sortBy: 'fechaCreacion',
+            sortDir: 'desc',
+            asuntos: [],
+            preferencias: [],
+            page: 1,
+            pageSize: 10
+        };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.viewStateKey)) || {};
+            const validAsuntos = Object.keys(Contacto.ASUNTOS);
+            const validPreferencias = Contacto.PREFERENCIAS_CONTACTO;
+
+            return {
+                ...defaults,
+                sortBy: ContactFacade.SORT_FIELDS[saved.sortBy] ? saved.sortBy : defaults.sortBy,
+                sortDir: saved.sortDir === 'asc' ? 'asc' : defaults.sortDir,
+                asuntos: Array.isArray(saved.asuntos) ? saved.asuntos.filter(value => validAsuntos.includes(value)) : [],
+                preferencias: Array.isArray(saved.preferencias) ? saved.preferencias.filter(value => validPreferencias.includes(value)) : [],
+                page: Number.isInteger(saved.page) && saved.page > 0 ? saved.page : defaults.page
+            };
+        } catch (error) {
+            console.error('Error al cargar el estado de la lista:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Guarda el estado de la lista en localStorage
+     */
+    saveViewState() {
+        try {
+            const { sortBy, sortDir, asuntos, preferencias, page } = this.viewState;
+            localStorage.setItem(this.viewStateKey, JSON.stringify({ sortBy, sortDir, asuntos, preferencias, page }));
+        } catch (error) {
+            console.error('Error al guardar el estado de la lista:', error);
+        }
+    }
+
+    /**
+     * Indica si un contacto sigue cumpliendo la búsqueda y los filtros activos
+     * @param {Contacto} contact Contacto a evaluar
+     * @returns {boolean} true si debe mostrarse
+     */
+    matchesView(contact) {
+        const { asuntos, preferencias } = this.viewState;
+        return (!this.searchQuery || this.searchQuery.matches(contact)) &&
+            (asuntos.length === 0 || asuntos.includes(contact.asunto)) &&
+            (preferencias.length === 0 || preferencias.includes(contact.preferenciaContacto));
+    }
+
+    /**
+     * Indica si una edición puede reflejarse reemplazando solo su elemento:
+     * el contacto está en la página actual, sigue visible y su posición no cambia
+     * (el orden por fecha de creación no depende de los campos editables)
+     * @param {Contacto} contact Contacto actualizado
+     * @returns {boolean} true si basta con reemplazar el elemento
+     */
+    canUpdateInPlace(contact) {
+        const element = document.querySelector(`#listaContactos .contact-item[data-id="${contact.id}"]`);
+        return Boolean(element) && this.viewState.sortBy === 'fechaCreacion' && this.matchesView(contact);
+    }
+
+    /**
+     * Renderiza el selector de orden y los chips de filtro sobre la lista
+     */
+    renderListControls() {
+        const container = document.getElementById('contactListControls');
+        if (!container) return;
+
+        // Los controles no aplican a la papelera
+        container.hidden = this.showingTrash;
+        if (this.showingTrash) return;
+
+        const { sortBy, sortDir, asuntos, preferencias } = this.viewState;
+        const chip = (type, value, label, active) => `
+            <button type="button" class="btn btn-sm filter-chip${active ? ' active' : ''}" aria-pressed="${active}"
+                onclick="contactFacade.toggleFiltro('${type}', '${value}')">${this.escapeHtml(label)}</button>
+        `;
+
+        const sortOptions = Object.entries(ContactFacade.SORT_FIELDS)
+            .map(([value, label]) => `<option value="${value}"${value === sortBy ? ' selected' : ''}>${label}</option>`)
+            .join('');
+
+        const hasFilters = asuntos.length > 0 || preferencias.length > 0;
+
+        container.innerHTML = `
+            <div class="d-flex align-items-center gap-2 mb-2">
+                <label class="small text-muted mb-0" for="ordenContactos">Ordenar por</label>
+                <select class="form-select form-select-sm w-auto" id="ordenContactos" onchange="contactFacade.ordenarContactos(this.value)">
+                    ${sortOptions}
+                </select>
+                <button type="button" class="btn btn-sm btn-outline-secondary" onclick="contactFacade.invertirOrden()"
+                    title="${sortDir === 'asc' ? 'Ascendente' : 'Descendente'}">
+                    <i class="fas fa-arrow-${sortDir === 'asc' ? 'up' : 'down'}"></i>
+                </button>
+            </div>
+            <div class="filter-chips mb-1">
+                ${Object.entries(Contacto.ASUNTOS).map(([value, label]) => chip('asuntos', value, label, asuntos.includes(value))).join('')}
+            </div>
+            <div class="filter-chips">
+                ${Contacto.PREFERENCIAS_CONTACTO.map(value => chip('preferencias', value, value, preferencias.includes(value))).join('')}
+                ${hasFilters ? `<button type="button" class="btn btn-sm btn-link" onclick="contactFacade.limpiarFiltros()">Quitar filtros</button>` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza los controles de paginación debajo de la lista
+     * @param {object|null} result Resultado de ContactRepository.list (null para ocultarlos)
+     */
+    renderPagination(result) {
+        const container = document.getElementById('contactPagination');
+        if (!container) return;
+
+        if (!result || result.totalPages <= 1) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { page, totalPages } = result;
+        const pageItem = (target, label, disabled = false, active = false) => `
+            <li class="page-item${disabled ? ' disabled' : ''}${active ? ' active' : ''}">
+                <button type="button" class="page-link" ${disabled ? 'disabled' : `onclick="contactFacade.irAPagina(${target})"`}>${label}</button>
+            </li>
+        `;
 
-            this.renderContactList(filteredContacts);
-            this.updateContactCounter(filteredContacts.length, `Resultados para "${searchTerm}"`);
-        } catch (error) {
-            console.error('Error en búsqueda:', error);
-            this.showError('Error al buscar contactos');
+        // Mostrar como máximo 5 números de página alrededor de la actual
+        const first = Math.max(1, Math.min(page - 2, totalPages - 4));
+        const last = Math.min(totalPages, first + 4);
+        let pages = '';
+        for (let number = first; number <= last; number++) {
+            pages += pageItem(number, number, false, number === page);
         }
+
+        container.innerHTML = `
+            <ul class="pagination pagination-sm justify-content-center mt-3 mb-0">
+                ${pageItem(page - 1, '&laquo;', page === 1)}
+                ${pages}
+                ${pageItem(page + 1, '&raquo;', page === totalPages)}
+            </ul>
+        `;
     }
 
     /**
-     * Valida todo el formulario
-     * @param {object} data Datos a validar
-     * @returns {object} Resultado de validación
+     * Valida todo el formulario con ContactSchema, incluidas las reglas asíncronas
+     * @param {Contacto} contacto Contacto a validar (su id se excluye al buscar emails repetidos)
+     * @returns {Promise<object>} Resultado de validación
      */
-    validateForm(data) {
-        const errors = [];
-
-        // Crear contacto temporal para validación
-        const tempContact = new Contacto(data);
-        const validation = tempContact.validate();
+    validateForm(contacto) {
+        return ContactSchema.validateAsync(contacto, this.getValidationContext());
+    }
 
-        return validation;
+    /**
+     * Contexto con el que se validan el formulario y sus campos
+     * @param {object} options Valores adicionales del contexto (p. ej. excludeId)
+     * @returns {object} Contexto para ContactSchema
+     */
+    getValidationContext(options = {}) {
+        return {
+            // Solo un envío nuevo debe aceptar los términos vigentes; al editar se conserva el consentimiento
+            requireCurrentTerms: !this.editingId,
+            strictPhone: true,
+            repository: this.repository,
+            emailValidator: this.emailValidator,
+            acceptedEmail: this.acceptedEmail,
+            ...options
+        };
     }
 
     /**
@@ -235,77 +1141,27 @@ class ContactFacade {
      * @returns {boolean} true si es válido
      */
     validateField(fieldName) {
-        const field = document.getElementById(fieldName === 'terms' ? 'terms' : fieldName);
+        const field = document.getElementById(fieldName);
         if (!field) return true;
 
-        let isValid = true;
-        let errorMessage = '';
-
-        switch (fieldName) {
-            case 'name':
-                const name = field.value.trim();
-                if (!name) {
-                    isValid = false;
-                    errorMessage = 'El nombre es obligatorio';
-                } else if (name.length < 2) {
-                    isValid = false;
-                    errorMessage = 'El nombre debe tener al menos 2 caracteres';
-                } else if (name.length > 100) {
-                    isValid = false;
-                    errorMessage = 'El nombre no puede exceder 100 caracteres';
-                }
-                break;
-
-            case 'email':
-                const email = field.value.trim();
-                if (!email) {
-                    isValid = false;
-                    errorMessage = 'El correo electrónico es obligatorio';
-                } else {
-                    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-                    if (!emailRegex.test(email)) {
-                        isValid = false;
-                        errorMessage = 'El formato del correo electrónico no es válido';
-                    }
-                }
-                break;
-
-            case 'phone':
-                const phone = field.value.trim();
-                if (phone) {
-                    const phoneRegex = /^[\+]?[\d\s\-\(\)]{7,15}$/;
-                    if (!phoneRegex.test(phone)) {
-                        isValid = false;
-                        errorMessage = 'El formato del teléfono no es válido';
-                    }
-                }
-                break;
-
-            case 'subject':
-                if (!field.value || field.value.trim() === '') {
-                    isValid = false;
-                    errorMessage = 'Debe seleccionar un asunto de contacto';
-                }
-                break;
+        // Se valida con los datos de todo el formulario: la regla de términos usa el consentimiento registrado
+        const name = ContactSchema.fieldForElement(field);
+        const data = this.getFormData();
+        const context = this.getValidationContext({ excludeId: this.editingId });
+        const error = name ? ContactSchema.checkField(name, data, context) : null;
 
-            case 'mensaje':
-                const message = field.value.trim();
-                if (message && message.length > 1000) {
-                    isValid = false;
-                    errorMessage = 'El mensaje no puede exceder 1000 caracteres';
-                }
-                break;
+        this.showFieldValidation(fieldName, !error, error ? error.message : '');
 
-            case 'terms':
-                if (!field.checked) {
-                    isValid = false;
-                    errorMessage = 'Debe aceptar los términos y condiciones';
+        // Las reglas asíncronas (p. ej. email repetido) se muestran cuando responden
+        if (!error && name && ContactSchema.hasAsyncRules(name)) {
+            ContactSchema.checkFieldAsync(name, data, context).then(asyncError => {
+                if (asyncError && field.value === data[name]) {
+                    this.displayValidationErrors([asyncError]);
                 }
-                break;
+            }).catch(asyncError => console.error('Error al validar el campo:', asyncError));
         }
 
-        this.showFieldValidation(fieldName, isValid, errorMessage);
-        return isValid;
+        return !error;
     }
 
     /**
@@ -359,7 +1215,40 @@ class ContactFacade {
      */
     displayValidationErrors(errors) {
         errors.forEach(error => {
-            this.showFieldValidation(error.field, false, error.message);
+            if (error.rule === 'typo') {
+                this.showEmailSuggestion(error);
+                return;
+            }
+            this.showFieldValidation(error.input || error.field, false, error.message);
+        });
+    }
+
+    /**
+     * Muestra bajo el email la corrección sugerida, como botón que la aplica.
+     * Si el usuario envía de nuevo el mismo email, se acepta tal como está.
+     * @param {object} error Error 'typo' de ContactSchema, con params.suggestion
+     */
+    showEmailSuggestion(error) {
+        const input = error.input || error.field;
+        const field = document.getElementById(input);
+        const errorDiv = document.getElementById(`error${input.charAt(0).toUpperCase() + input.slice(1)}`);
+        const suggestion = error.params.suggestion;
+
+        this.showFieldValidation(input, false, error.message);
+        if (field) {
+            this.acceptedEmail = field.value.trim();
+        }
+        if (!errorDiv) return;
+
+        const [before, after] = error.message.split(suggestion);
+        errorDiv.innerHTML = `${this.escapeHtml(before)}<button type="button"
+            class="btn btn-link p-0 align-baseline">${this.escapeHtml(suggestion)}</button>${this.escapeHtml(after || '')}`;
+        errorDiv.querySelector('button').addEventListener('click', () => {
+            if (field) {
+                field.value = suggestion;
+                field.focus();
+            }
+            this.validateField(input);
         });
     }
 
@@ -372,7 +1261,15 @@ class ContactFacade {
         if (!container) return;
 
         if (contacts.length === 0) {
-            container.innerHTML = `
+            const hasFilters = this.viewState.asuntos.length > 0 || this.viewState.preferencias.length > 0;
+            container.innerHTML = this.searchQuery || hasFilters ? `
+                <div class="text-center text-muted py-4">
+                    <i class="fas fa-search fa-3x mb-3"></i>
+                    <p>${this.searchQuery
+                        ? `Ningún contacto coincide con "${this.escapeHtml(this.searchQuery.text)}"`
+                        : 'Ningún contacto coincide con los filtros seleccionados'}</p>
+                </div>
+            ` : `
                 <div class="text-center text-muted py-4">
                     <i class="fas fa-inbox fa-3x mb-3"></i>
                     <p>No hay contactos guardados</p>
@@ -381,72 +1278,212 @@ class ContactFacade {
             return;
         }
 
-        const contactsHtml = contacts.map(contact => `
-            <div class="contact-item" data-id="${contact.id}">
+        container.innerHTML = contacts.map(contact => this.getContactItemHtml(contact)).join('');
+
+        // Mantener el resaltado de los contactos nuevos al cambiar de página u orden
+        this.newContactIds.forEach(id => {
+            const element = container.querySelector(`.contact-item[data-id="${id}"]`);
+            if (element) {
+                this.markAsNew(element);
+            }
+        });
+    }
+
+    /**
+     * Genera el HTML de un elemento de la lista de contactos
+     * @param {Contacto} contact Contacto a renderizar
+     * @returns {string} HTML del elemento
+     */
+    getContactItemHtml(contact) {
+        return `
+            <div class="contact-item${contact.id === this.editingId ? ' contact-item-editing' : ''}" data-id="${this.escapeHtml(contact.id)}">
                 <div class="d-flex justify-content-between align-items-start mb-2">
-                    <h6 class="mb-1">${this.escapeHtml(contact.nombre)}</h6>
+                    <h6 class="mb-1">
+                        <input type="checkbox" class="form-check-input me-1 contact-select" title="Seleccionar para exportar"
+                            ${this.selectedIds.has(contact.id) ? 'checked' : ''} data-action="seleccionar">
+                        ${this.highlight(contact.nombre, 'nombre')}${contact.wasModified() ? '<span class="badge bg-secondary ms-2" title="Editado después de su creación">modificado</span>' : ''}${contact.hasCurrentTerms() ? '' : '<span class="badge bg-warning text-dark ms-2" title="No aceptó la versión vigente de los términos">términos anteriores</span>'}${this.getDeliveryBadge(contact.id)}</h6>
                     <div class="contact-actions">
-                        <button class="btn btn-sm btn-outline-danger" onclick="contactFacade.eliminarContacto('${contact.id}')">
+                        <button class="btn btn-sm btn-outline-primary" title="Editar" data-action="editar">
+                            <i class="fas fa-pen"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-secondary" title="Historial" data-action="historial">
+                            <i class="fas fa-stream"></i>
+                        </button>
+                        <button class="btn btn-sm btn-outline-danger" title="Eliminar" data-action="eliminar">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
                 </div>
                 <div class="contact-details">
                     <small class="text-muted d-block">
-                        <i class="fas fa-envelope me-1"></i>${this.escapeHtml(contact.email)}
+                        <i class="fas fa-envelope me-1"></i>${this.highlight(contact.email, 'email')}
                     </small>
                     ${contact.telefono ? `<small class="text-muted d-block">
-                        <i class="fas fa-phone me-1"></i>${this.escapeHtml(contact.telefono)}
+                        <i class="fas fa-phone me-1"></i>${this.highlight(contact.getFormattedPhone(), 'telefono')}
+                        ${contact.preferenciaContacto === 'WhatsApp' && contact.getWhatsAppUrl() ? `<a href="${contact.getWhatsAppUrl()}"
+                            class="ms-1 text-success" target="_blank" rel="noopener" title="Escribir por WhatsApp"><i class="fab fa-whatsapp"></i></a>` : ''}
                     </small>` : ''}
                     <small class="text-muted d-block">
-                        <i class="fas fa-tag me-1"></i>${this.escapeHtml(contact.asunto)}
+                        <i class="fas fa-tag me-1"></i>${this.highlight(contact.asunto, 'asunto')}
                     </small>
                     <small class="text-muted d-block">
                         <i class="fas fa-clock me-1"></i>${contact.getTimeAgo()}
                     </small>
                     <small class="text-muted d-block">
-                        <i class="fas fa-comment me-1"></i>${this.escapeHtml(contact.preferenciaContacto)}
+                        <i class="fas fa-comment me-1"></i>${this.highlight(contact.preferenciaContacto, 'preferenciaContacto')}
                     </small>
                     ${contact.mensaje ? `<small class="text-muted d-block mt-1">
-                        <i class="fas fa-message me-1"></i>${this.escapeHtml(contact.mensaje.substring(0, 100))}${contact.mensaje.length > 100 ? '...' : ''}
+                        <i class="fas fa-message me-1"></i>${this.getMessagePreview(contact.mensaje)}
                     </small>` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+
+    /**
+     * Escapa un texto y marca con <mark> los fragmentos que coinciden con la búsqueda activa
+     * @param {string} text Texto a mostrar
+     * @param {string} field Propiedad del contacto a la que pertenece el texto
+     * @returns {string} HTML seguro
+     */
+    highlight(text, field) {
+        if (!this.searchQuery) {
+            return this.escapeHtml(text);
+        }
+
+        const source = text || '';
+        let html = '';
+        let cursor = 0;
+        this.searchQuery.getMatchRanges(source, field).forEach(([start, end]) => {
+            html += this.escapeHtml(source.substring(cursor, start));
+            html += `<mark class="search-highlight">${this.escapeHtml(source.substring(start, end))}</mark>`;
+            cursor = end;
+        });
+
+        return html + this.escapeHtml(source.substring(cursor));
+    }
+
+    /**
+     * Genera un extracto de 100 caracteres del mensaje. Si la coincidencia de la
+     * búsqueda queda fuera del inicio, el extracto se centra en ella.
+     * @param {string} mensaje Mensaje completo
+     * @returns {string} HTML del extracto
+     */
+    getMessagePreview(mensaje) {
+        const maxLength = 100;
+        let start = 0;
+
+        const ranges = this.searchQuery ? this.searchQuery.getMatchRanges(mensaje, 'mensaje') : [];
+        if (ranges.length > 0 && ranges[0][1] > maxLength) {
+            start = Math.max(0, ranges[0][0] - 30);
+        }
+
+        const excerpt = mensaje.substring(start, start + maxLength);
+        return (start > 0 ? '...' : '') + this.highlight(excerpt, 'mensaje') + (start + maxLength < mensaje.length ? '...' : '');
+    }
+
+    /**
+     * Reemplaza un único elemento de la lista sin re-renderizarla completa
+     * @param {Contacto} contact Contacto a renderizar
+     */
+    renderContactItem(contact) {
+        const container = document.getElementById('listaContactos');
+        if (!container) return;
+
+        const existing = container.querySelector(`.contact-item[data-id="${contact.id}"]`);
+        if (!existing) return;
+
+        const template = document.createElement('template');
+        template.innerHTML = this.getContactItemHtml(contact).trim();
+        const element = template.content.firstElementChild;
+
+        if (this.newContactIds.has(contact.id)) {
+            this.markAsNew(element);
+        }
+
+        existing.replaceWith(element);
+    }
+
+    /**
+     * Resalta un elemento de la lista con el badge "Nuevo"
+     * @param {HTMLElement} element Elemento del contacto
+     */
+    markAsNew(element) {
+        element.classList.add('contact-item-new');
+
+        // Usar Badge si está disponible, sino crear el badge manualmente
+        let badge;
+        if (typeof Badge !== 'undefined') {
+            badge = Badge.createStatus('Nuevo');
+        } else {
+            badge = document.createElement('span');
+            badge.className = 'badge bg-info';
+            badge.textContent = 'Nuevo';
+        }
+        badge.classList.add('ms-2');
 
-        container.innerHTML = contactsHtml;
+        const title = element.querySelector('h6');
+        if (title) {
+            title.appendChild(badge);
+        }
+
+        // El resaltado desaparece cuando el usuario pasa sobre el contacto
+        element.addEventListener('mouseenter', () => {
+            element.classList.remove('contact-item-new');
+            this.newContactIds.delete(element.dataset.id);
+        }, { once: true });
     }
 
     /**
-     * Actualiza el contador de contactos
+     * Actualiza el contador del encabezado de la lista (#contactCounter)
      * @param {number} count Número de contactos
-     * @param {string} label Etiqueta personalizada
+     * @param {string} label Texto que reemplaza al número (búsqueda, papelera, cifrado)
      */
     updateContactCounter(count, label = null) {
-        // Podrías agregar un elemento para mostrar el contador
-        console.log(label || `Total de contactos: ${count}`);
+        const counter = document.getElementById('contactCounter');
+        if (!counter) return;
+
+        counter.textContent = label || String(count);
+        counter.title = label || `Total de contactos: ${count}`;
     }
 
     /**
-     * Actualiza las estadísticas de almacenamiento
+     * Actualiza las estadísticas de almacenamiento y el panel de estadísticas
      */
-    updateStorageStats() {
+    async updateStorageStats() {
+        if (this.repository.isLocked()) return;
+
         try {
-            const stats = this.repository.getStats();
-            const storageInfo = this.repository.getStorageInfo();
-            
-            console.log('Estadísticas:', stats);
-            console.log('Almacenamiento:', storageInfo);
+            const stats = await this.repository.getStats();
+            const storageInfo = await this.repository.getStorageInfo();
+
+            this.renderDashboard({ ...stats, storage: storageInfo });
 
-            // Advertir si el almacenamiento está llegando al límite
+            // Al llegar al límite se intenta migrar a IndexedDB; si no es posible, advertir
             if (storageInfo.shouldConsiderIndexedDB) {
-                this.showWarning(`El almacenamiento está al ${storageInfo.usagePercentage}% de capacidad. Considere usar IndexedDB para mayor capacidad.`);
+                const migrated = await this.repository.migrateToIndexedDB();
+                if (migrated) {
+                    this.showInfo('Los contactos se trasladaron a IndexedDB para disponer de más espacio');
+                } else {
+                    this.showWarning(`El almacenamiento está al ${storageInfo.usagePercentage}% de capacidad. Considere usar IndexedDB para mayor capacidad.`);
+                }
             }
         } catch (error) {
             console.error('Error al actualizar estadísticas:', error);
         }
     }
 
+    /**
+     * Dibuja el panel de estadísticas si la sección y el organismo Dashboard existen
+     * @param {object} displayStats Estadísticas con la información de almacenamiento (ver getDisplayStats)
+     */
+    renderDashboard(displayStats) {
+        const container = document.getElementById('dashboardContent');
+        if (!container || typeof Dashboard === 'undefined') return;
+
+        Dashboard.render(container, displayStats);
+    }
+
     /**
      * Resetea el formulario
      */
@@ -467,11 +1504,19 @@ class ContactFacade {
                 div.textContent = '';
                 div.style.display = 'none';
             });
+
+            const terms = document.getElementById('terms');
+            if (terms) {
+                this.captureConsent(terms);
+            }
         }
+
+        this.acceptedEmail = null;
+        this.formStartedAt = Date.now();
     }
 
     /**
-     * Escapa HTML para prevenir XSS
+     * Escapa HTML para prevenir XSS; también las comillas, para usarlo en atributos
      * @param {string} text Texto a escapar
      * @returns {string} Texto escapado
      */
@@ -479,7 +1524,7 @@ class ContactFacade {
         if (!text) return '';
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
     }
 
     /**
@@ -518,8 +1563,11 @@ class ContactFacade {
      * Muestra un toast usando Toastify
      * @param {string} message Mensaje
      * @param {string} type Tipo de mensaje
+     * @param {object|null} action Acción opcional mostrada como botón dentro del toast
+     * @param {string} action.text Texto del botón (p. ej. 'Deshacer')
+     * @param {Function} action.onClick Función a ejecutar al pulsar el botón
      */
-    showToast(message, type) {
+    showToast(message, type, action = null) {
         if (typeof Toastify !== 'undefined') {
             const colors = {
                 success: '#198754',
@@ -528,53 +1576,521 @@ class ContactFacade {
                 warning: '#ffc107'
             };
 
-            Toastify({
+            const options = {
                 text: message,
-                duration: 4000,
+                duration: action ? 6000 : 4000,
                 gravity: "top",
                 position: "right",
                 backgroundColor: colors[type] || colors.info,
                 close: true,
                 stopOnFocus: true
-            }).showToast();
+            };
+
+            if (!action) {
+                Toastify(options).showToast();
+                return;
+            }
+
+            // Toast con botón de acción
+            const content = document.createElement('span');
+            content.textContent = message;
+
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'btn btn-sm btn-light ms-3 toast-action';
+            actionButton.textContent = action.text;
+            content.appendChild(actionButton);
+
+            const toast = Toastify({ ...options, text: undefined, node: content });
+            actionButton.addEventListener('click', () => {
+                toast.hideToast();
+                action.onClick();
+            });
+            toast.showToast();
+        } else {
+            // Sin Toastify (p. ej. si no se cargó vendor/toastify-js) se usa un aviso propio
+            this.showFallbackToast(message, type, action);
+        }
+    }
+
+    /**
+     * Muestra un aviso con las alertas de Bootstrap, sin bloquear la página como alert()
+     * @param {string} message Mensaje
+     * @param {string} type Tipo: success, error, info o warning
+     * @param {object|null} action Botón opcional { text, onClick }
+     */
+    showFallbackToast(message, type, action = null) {
+        const variants = { success: 'success', error: 'danger', info: 'info', warning: 'warning' };
+        let container = document.getElementById('toastFallback');
+        if (!container) {
+            container = document.createElement('div');
+            container.id = 'toastFallback';
+            container.className = 'position-fixed top-0 end-0 p-3';
+            container.style.zIndex = '1090';
+            document.body.appendChild(container);
+        }
+
+        const toast = document.createElement('div');
+        toast.className = `alert alert-${variants[type] || 'info'} alert-dismissible shadow-sm mb-2`;
+        toast.setAttribute('role', type === 'error' ? 'alert' : 'status');
+
+        const text = document.createElement('span');
+        text.textContent = message;
+        toast.appendChild(text);
+
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'btn btn-sm btn-light ms-3 toast-action';
+            actionButton.textContent = action.text;
+            actionButton.addEventListener('click', () => {
+                toast.remove();
+                action.onClick();
+            });
+            toast.appendChild(actionButton);
+        }
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'btn-close';
+        closeButton.setAttribute('aria-label', 'Cerrar');
+        closeButton.addEventListener('click', () => toast.remove());
+        toast.appendChild(closeButton);
+
+        container.appendChild(toast);
+        setTimeout(() => toast.remove(), action ? 6000 : 4000);
+    }
+
+    /**
+     * Exporta los contactos activos (ver ContactImportExportPanel)
+     * @param {string} format Formato del archivo: 'json', 'csv' o 'vcf'
+     * @param {object} options Opciones de exportación
+     * @param {string} options.version Versión de vCard ('3.0' o '4.0'); si falta se pregunta
+     * @returns {Promise<void>}
+     */
+    async exportarContactos(format = 'json', options = {}) {
+        return this.importExportPanel.exportar(format, options);
+    }
+
+    /**
+     * Abre el selector de archivos para importar contactos (ver ContactImportExportPanel)
+     */
+    importarContactos() {
+        this.importExportPanel.importar();
+    }
+
+    /**
+     * Marca o desmarca un contacto para la exportación vCard
+     * @param {string} id ID del contacto
+     * @param {boolean} selected true para seleccionarlo
+     */
+    toggleSeleccion(id, selected) {
+        if (selected) {
+            this.selectedIds.add(id);
         } else {
-            // Fallback a alert si Toastify no está disponible
-            alert(message);
+            this.selectedIds.delete(id);
+        }
+        this.updateSelectionUi();
+    }
+
+    /**
+     * Muestra en el botón de vCard cuántos contactos se exportarán
+     */
+    updateSelectionUi() {
+        const button = document.getElementById('btnExportarVCard');
+        if (!button) return;
+
+        const count = this.selectedIds.size;
+        button.innerHTML = `<i class="fas fa-address-card me-1"></i>vCard${count > 0 ? ` (${count})` : ''}`;
+        button.title = count > 0 ? `Exportar ${count} contactos seleccionados` : 'Exportar todos los contactos';
+    }
+
+    /**
+     * Descarga un texto como archivo
+     * @param {string} content Contenido del archivo
+     * @param {string} filename Nombre del archivo
+     * @param {string} type Tipo MIME
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Pide una frase de contraseña en un modal y la comprueba antes de cerrarlo
+     * @param {object} options Opciones del modal
+     * @param {string} options.title Título
+     * @param {string} options.message Explicación
+     * @param {string} options.confirmText Texto del botón de confirmación
+     * @param {Function} options.onSubmit Recibe la frase; si falla, el error se muestra en el modal
+     * @returns {Promise<string|null>} Frase aceptada, o null si se canceló
+     */
+    askPassphrase(options) {
+        const { title, message, confirmText = 'Aceptar', onSubmit } = options;
+
+        return this.openModal({
+            title,
+            body: `
+                <p class="small text-muted">${this.escapeHtml(message)}</p>
+                <input type="password" class="form-control" data-passphrase autocomplete="current-password" aria-label="Frase de contraseña">
+                <div class="invalid-feedback d-block" data-passphrase-error></div>
+            `,
+            confirmText,
+            onOpen: modal => {
+                const input = modal.querySelector('[data-passphrase]');
+                input.addEventListener('keydown', event => {
+                    if (event.key === 'Enter') modal.querySelector('[data-modal-confirm]').click();
+                });
+                setTimeout(() => input.focus(), 300);
+            },
+            onConfirm: async modal => {
+                const passphrase = modal.querySelector('[data-passphrase]').value;
+                try {
+                    await onSubmit(passphrase);
+                    return passphrase;
+                } catch (error) {
+                    modal.querySelector('[data-passphrase-error]').textContent = error.message;
+                    return undefined;
+                }
+            }
+        });
+    }
+
+    /**
+     * Muestra el aviso de contactos cifrados en lugar de la lista
+     */
+    renderLocked() {
+        const container = document.getElementById('listaContactos');
+        if (!container) return;
+
+        this.renderPagination(null);
+        const controls = document.getElementById('contactListControls');
+        if (controls) controls.innerHTML = '';
+
+        container.innerHTML = `
+            <div class="text-center text-muted py-4">
+                <i class="fas fa-lock fa-3x mb-3"></i>
+                <p>Los contactos están cifrados</p>
+                <button class="btn btn-sm btn-primary" onclick="contactFacade.mostrarDesbloqueo()">
+                    <i class="fas fa-unlock me-1"></i>Desbloquear
+                </button>
+            </div>
+        `;
+        this.updateContactCounter(0, 'Contactos cifrados');
+    }
+
+    /**
+     * Pide la frase de contraseña y desbloquea los contactos cifrados (ver ContactEncryptionPanel)
+     * @returns {Promise<void>}
+     */
+    async mostrarDesbloqueo() {
+        return this.encryptionPanel.desbloquear();
+    }
+
+    /**
+     * Activa el cifrado, cambia la frase de contraseña o desactiva el cifrado (ver ContactEncryptionPanel)
+     * @returns {Promise<void>}
+     */
+    async configurarCifrado() {
+        return this.encryptionPanel.configurar();
+    }
+
+    /**
+     * Muestra los términos y condiciones vigentes; aceptarlos desde el modal
+     * marca la casilla del formulario
+     * @returns {Promise<void>}
+     */
+    async mostrarTerminos() {
+        const published = new Date(`${ContactTerms.PUBLISHED_AT}T00:00:00`).toLocaleDateString('es-CO');
+        const sections = ContactTerms.SECTIONS.map(section => `
+            <h6>${this.escapeHtml(section.title)}</h6>
+            ${section.paragraphs.map(paragraph => `<p class="small">${this.escapeHtml(paragraph)}</p>`).join('')}
+        `).join('');
+
+        const accepted = await this.openModal({
+            title: 'Términos y condiciones y política de privacidad',
+            body: `
+                <p class="small text-muted">Versión ${this.escapeHtml(ContactTerms.VERSION)}, publicada el ${published}</p>
+                ${sections}
+            `,
+            confirmText: 'Acepto',
+            cancelText: 'Cerrar',
+            size: 'modal-lg'
+        });
+
+        const terms = document.getElementById('terms');
+        if (accepted && terms && !terms.checked && !terms.disabled) {
+            terms.checked = true;
+            this.captureConsent(terms);
+            this.validateField('terms');
+        }
+    }
+
+    /**
+     * Crea el transporte indicado en el atributo data-endpoint del formulario
+     * @returns {ContactTransport|null} HttpTransport, o null si no hay endpoint
+     */
+    createTransport() {
+        const form = document.getElementById('contacto_Form');
+        const endpoint = form ? (form.dataset.endpoint || '').trim() : '';
+        return endpoint ? new HttpTransport(endpoint) : null;
+    }
+
+    /**
+     * Cambia el transporte de envío, p. ej. contactFacade.configurarTransporte(new MockTransport())
+     * o new HttpTransport('http://localhost:8787/contactos'). Lo pendiente se reintenta.
+     * @param {ContactTransport|null} transport Transporte, o null para dejar de enviar
+     */
+    configurarTransporte(transport) {
+        this.outbox.setTransport(transport);
+        this.listarContactos();
+    }
+
+    /**
+     * Datos que la bandeja de salida envía de un contacto
+     * @param {string} id ID del contacto
+     * @returns {Promise<object|null>} Contacto serializado, o null si ya no existe
+     */
+    async resolveOutboxPayload(id) {
+        // Con el almacenamiento bloqueado no se sabe si el contacto existe: se reintenta después
+        if (this.repository.isLocked()) {
+            throw new Error('Los contactos están cifrados y bloqueados');
+        }
+
+        const contact = await this.repository.getById(id);
+        return contact ? contact.toJSON() : null;
+    }
+
+    /**
+     * Actualiza el badge de entrega cuando cambia el estado de un envío
+     * @param {object} event Evento emitido por ContactOutbox
+     */
+    async handleOutboxChange(event) {
+        if (event.type !== 'statusChanged' || this.showingTrash) return;
+
+        const contact = await this.repository.getById(event.id);
+        if (!contact) return;
+
+        this.renderContactItem(contact);
+        if (event.entry.status === 'failed') {
+            this.showWarning(`No se pudo enviar el contacto de ${contact.nombre}: ${event.entry.lastError}`);
+        }
+    }
+
+    /**
+     * Badge con el estado de entrega de un contacto (Pendiente, Enviado o Fallido).
+     * Un envío fallido se reintenta al hacer clic en su badge (ver initializeListActions).
+     * @param {string} id ID del contacto
+     * @returns {string} HTML del badge ('' si el contacto no se encoló)
+     */
+    getDeliveryBadge(id) {
+        const entry = this.outbox.getStatus(id);
+        if (!entry) return '';
+
+        const label = ContactOutbox.STATUS_LABELS[entry.status] || entry.status;
+        if (entry.status === 'failed') {
+            return `<button type="button" class="badge bg-danger border-0 ms-2" title="${this.escapeHtml(`${entry.lastError || 'Error'}. Clic para reintentar`)}"
+                data-action="reintentarEnvio">${label}</button>`;
         }
+
+        const title = entry.status === 'sent'
+            ? `Enviado el ${new Date(entry.sentAt).toLocaleString('es-CO')}`
+            : (entry.lastError ? `Intento ${entry.attempts} fallido: ${entry.lastError}. Se reintentará` : 'En cola de envío');
+        return `<span class="badge ${entry.status === 'sent' ? 'bg-success' : 'bg-info text-dark'} ms-2"
+            title="${this.escapeHtml(title)}">${label}</span>`;
     }
 
     /**
-     * Exporta contactos
+     * Reintenta el envío de un contacto fallido
+     * @param {string} id ID del contacto
+     * @returns {Promise<void>}
      */
-    exportarContactos() {
+    async reintentarEnvio(id) {
         try {
-            const jsonData = this.repository.exportToJSON();
-            const blob = new Blob([jsonData], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `contactos_${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
-            
-            this.showSuccess('Contactos exportados exitosamente');
+            const entry = await this.outbox.retry(id);
+            if (entry && entry.status === 'sent') {
+                this.showSuccess('Contacto enviado');
+            } else if (entry && entry.status === 'pending') {
+                this.showInfo('El envío sigue pendiente; se reintentará automáticamente');
+            }
         } catch (error) {
-            console.error('Error al exportar:', error);
-            this.showError('Error al exportar contactos');
+            console.error('Error al reintentar el envío:', error);
+            this.showError('Error al reintentar el envío: ' + error.message);
         }
     }
 
+    /**
+     * Pide resolver un desafío antes de enviar el formulario. Cada respuesta
+     * incorrecta cambia la operación; al agotar los intentos se cancela el envío.
+     * @param {Array<string>} reasons Motivos de SpamGuard.check
+     * @returns {Promise<boolean>} true si se resolvió
+     */
+    async mostrarDesafio(reasons) {
+        let challenge = this.spamGuard.createChallenge();
+        let attempts = 0;
+        const explanation = reasons.map(reason => SpamGuard.REASONS[reason] || reason).join('. ');
+
+        const solved = await this.openModal({
+            title: 'Verificación',
+            body: `
+                <p class="small text-muted">${this.escapeHtml(explanation)}. Resuelva la operación para enviar el mensaje.</p>
+                <label class="form-label" for="desafio_respuesta" data-challenge-question>${this.escapeHtml(challenge.question)}</label>
+                <input type="text" inputmode="numeric" class="form-control" id="desafio_respuesta" autocomplete="off">
+                <div class="invalid-feedback d-block" data-challenge-error></div>
+            `,
+            confirmText: 'Enviar',
+            onConfirm: modal => {
+                const input = modal.querySelector('#desafio_respuesta');
+                if (SpamGuard.verifyChallenge(challenge, input.value)) return true;
+
+                attempts++;
+                if (attempts >= this.spamGuard.maxChallengeAttempts) return false;
+
+                challenge = this.spamGuard.createChallenge();
+                modal.querySelector('[data-challenge-question]').textContent = challenge.question;
+                modal.querySelector('[data-challenge-error]').textContent = 'Respuesta incorrecta; resuelva esta otra operación';
+                input.value = '';
+                input.focus();
+                return undefined;
+            }
+        });
+
+        return solved === true;
+    }
+
+    /**
+     * Muestra la configuración de privacidad (ver ContactPrivacyPanel)
+     * @returns {Promise<void>}
+     */
+    async configurarPrivacidad() {
+        return this.privacyPanel.configurar();
+    }
+
+    /**
+     * Muestra la línea de tiempo de cambios de un contacto (ver ContactAuditPanel)
+     * @param {string} id ID del contacto
+     * @returns {Promise<void>}
+     */
+    async verHistorial(id) {
+        return this.auditPanel.mostrar(id);
+    }
+
+    /**
+     * Descarga el registro de auditoría en JSON (ver ContactAuditPanel)
+     * @param {string|null} contactId Solo las entradas de este contacto (todas si es null)
+     * @returns {Promise<void>}
+     */
+    async exportarAuditoria(contactId = null) {
+        return this.auditPanel.exportar(contactId);
+    }
+
+    /**
+     * Lista las copias de seguridad y restaura la elegida (ver ContactBackupsPanel)
+     * @returns {Promise<void>}
+     */
+    async mostrarRespaldos() {
+        return this.backupsPanel.mostrar();
+    }
+
+    /**
+     * Muestra un modal de Bootstrap con botones de confirmar y cancelar
+     * @param {object} options Opciones del modal
+     * @param {string} options.title Título
+     * @param {string} options.body HTML del cuerpo
+     * @param {string} options.confirmText Texto del botón de confirmación
+     * @param {string|null} options.cancelText Texto del botón de cancelación (null para ocultarlo)
+     * @param {string} options.size Clase de tamaño ('modal-lg', 'modal-sm' o '')
+     * @param {Function} options.onOpen Recibe el elemento del modal antes de mostrarlo
+     * @param {Function} options.onConfirm Recibe el elemento del modal y retorna el resultado (o una
+     *        promesa); si retorna undefined el modal sigue abierto (p. ej. por un error de validación)
+     * @returns {Promise<any>} Resultado de onConfirm, o null si se cerró sin confirmar
+     */
+    openModal(options) {
+        const {
+            title,
+            body,
+            confirmText = 'Aceptar',
+            cancelText = 'Cancelar',
+            size = '',
+            onOpen = () => {},
+            onConfirm = () => true
+        } = options;
+
+        return new Promise(resolve => {
+            const modal = document.createElement('div');
+            modal.className = 'modal fade';
+            modal.tabIndex = -1;
+            modal.innerHTML = `
+                <div class="modal-dialog modal-dialog-scrollable ${size}">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title">${this.escapeHtml(title)}</h5>
+                            <button type="button" class="btn-close" data-modal-cancel aria-label="Cerrar"></button>
+                        </div>
+                        <div class="modal-body">${body}</div>
+                        <div class="modal-footer">
+                            ${cancelText ? `<button type="button" class="btn btn-outline-secondary" data-modal-cancel>${cancelText}</button>` : ''}
+                            <button type="button" class="btn btn-primary" data-modal-confirm>${confirmText}</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+            onOpen(modal);
+
+            let result = null;
+            const instance = typeof bootstrap !== 'undefined' ? new bootstrap.Modal(modal) : null;
+
+            const close = () => {
+                if (instance) {
+                    instance.hide();
+                } else {
+                    // Sin Bootstrap el modal se muestra y se quita manualmente
+                    modal.remove();
+                    resolve(result);
+                }
+            };
+
+            const confirmButton = modal.querySelector('[data-modal-confirm]');
+            confirmButton.addEventListener('click', async () => {
+                // onConfirm puede ser asíncrono (p. ej. verificar una frase de contraseña)
+                confirmButton.disabled = true;
+                const value = await onConfirm(modal);
+                confirmButton.disabled = false;
+                if (value === undefined) return;
+                result = value;
+                close();
+            });
+            modal.querySelectorAll('[data-modal-cancel]').forEach(button => button.addEventListener('click', close));
+
+            if (instance) {
+                modal.addEventListener('hidden.bs.modal', () => {
+                    modal.remove();
+                    resolve(result);
+                });
+                instance.show();
+            } else {
+                modal.classList.add('show', 'd-block');
+            }
+        });
+    }
+
     /**
      * Obtiene estadísticas para mostrar
-     * @returns {object} Estadísticas formateadas
+     * @returns {Promise<object|null>} Estadísticas formateadas
      */
-    getDisplayStats() {
+    async getDisplayStats() {
         try {
-            const stats = this.repository.getStats();
-            const storageInfo = this.repository.getStorageInfo();
+            const stats = await this.repository.getStats();
+            const storageInfo = await this.repository.getStorageInfo();
             
             return {
                 ...stats,
@@ -0,0 +1,385 @@
+/**
+ * ContactImportExportPanel - Exportación e importación de contactos desde la página
+ * Patrón: Delegation (colaborador de ContactFacade)
+ *
+ * Descarga los contactos en JSON, CSV o vCard e importa esos mismos formatos: pide el
+ * mapeo de columnas de los CSV, la frase de las exportaciones cifradas y, antes de
+ * guardar, muestra una vista previa para elegir cómo resolver los conflictos.
+ */
+class ContactImportExportPanel {
+    /**
+     * @param {ContactFacade} facade Fachada que provee el repositorio, la selección, los modales y los avisos
+     */
+    constructor(facade) {
+        this.facade = facade;
+        // Última versión de vCard elegida al exportar (ver elegirVersionVCard)
+        this.vCardVersion = '3.0';
+    }
+
+    /**
+     * Versiones de vCard que se ofrecen al exportar (ver VCardFormat.VERSIONS)
+     * @returns {object} Mapa versión → descripción
+     */
+    static get VCARD_VERSIONS() {
+        return {
+            '3.0': 'Compatible con Outlook, Gmail y la mayoría de los teléfonos',
+            '4.0': 'Formato actual (RFC 6350); algunas aplicaciones antiguas no lo leen'
+        };
+    }
+
+    /**
+     * Pregunta con qué versión de vCard exportar; se propone la última elegida
+     * @returns {Promise<string|null>} '3.0', '4.0' o null si se canceló
+     */
+    async elegirVersionVCard() {
+        const options = Object.entries(ContactImportExportPanel.VCARD_VERSIONS).map(([version, description]) => `
+            <label class="list-group-item d-flex align-items-center gap-2">
+                <input class="form-check-input" type="radio" name="vcardVersion" value="${version}" ${version === this.vCardVersion ? 'checked' : ''}>
+                <span>
+                    vCard ${version}
+                    <span class="d-block small text-muted">${this.facade.escapeHtml(description)}</span>
+                </span>
+            </label>
+        `).join('');
+
+        const version = await this.facade.openModal({
+            title: 'Exportar vCard',
+            body: `<div class="list-group">${options}</div>`,
+            confirmText: 'Exportar',
+            size: 'modal-sm',
+            onConfirm: modal => modal.querySelector('input[name="vcardVersion"]:checked').value
+        });
+
+        if (version) {
+            this.vCardVersion = version;
+        }
+        return version;
+    }
+
+    /**
+     * Exporta los contactos activos
+     * @param {string} format Formato del archivo: 'json', 'csv' o 'vcf'
+     * @param {object} options Opciones de exportación
+     * @param {string} options.version Versión de vCard ('3.0' o '4.0'); si falta se pregunta
+     * @returns {Promise<void>}
+     */
+    async exportar(format = 'json', options = {}) {
+        try {
+            const date = new Date().toISOString().split('T')[0];
+
+            if (format === 'vcf') {
+                const version = options.version || await this.elegirVersionVCard();
+                if (!version) return;
+
+                // Se exportan los contactos seleccionados, o todos si no hay selección
+                const ids = this.facade.selectedIds.size > 0 ? [...this.facade.selectedIds] : null;
+                const vcfData = await this.facade.repository.exportToVCard(ids, version);
+                this.facade.downloadFile(vcfData, `contactos_${date}.vcf`, 'text/vcard;charset=utf-8');
+            } else if (format === 'csv') {
+                // El BOM hace que Excel reconozca el archivo como UTF-8 (acentos y ñ)
+                const csvData = await this.facade.repository.exportToCSV();
+                this.facade.downloadFile('\uFEFF' + csvData, `contactos_${date}.csv`, 'text/csv;charset=utf-8');
+            } else {
+                const jsonData = await this.facade.repository.exportToJSON();
+                this.facade.downloadFile(jsonData, `contactos_${date}.json`, 'application/json');
+            }
+            
+            this.facade.showSuccess('Contactos exportados exitosamente');
+        } catch (error) {
+            console.error('Error al exportar:', error);
+            this.facade.showError('Error al exportar contactos');
+        }
+    }
+
+    /**
+     * Abre el selector de archivos para importar contactos (JSON, CSV o vCard)
+     */
+    importar() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.csv,.vcf,.vcard,application/json,text/csv,text/vcard';
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.importarArchivo(input.files[0]);
+            }
+        });
+        input.click();
+    }
+
+    /**
+     * Importa un archivo de contactos (JSON, CSV o vCard) según su extensión. En los CSV cuyas
+     * columnas no coinciden con los campos de Contacto se pide el mapeo al usuario. Antes de
+     * guardar se muestra una vista previa para elegir cómo resolver los conflictos.
+     * @param {File} file Archivo seleccionado
+     * @returns {Promise<void>}
+     */
+    async importarArchivo(file) {
+        try {
+            const text = await file.text();
+            let runImport;
+
+            if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+                const parsed = CsvFormat.parse(text);
+                let mapping = CsvFormat.suggestMapping(parsed.headers);
+
+                if (CsvFormat.needsReview(mapping)) {
+                    mapping = await this.showColumnMapping(parsed, mapping);
+                    if (!mapping) return;
+                }
+
+                runImport = options => this.facade.repository.importFromCSV(parsed, mapping, options);
+            } else if (/\.(vcf|vcard)$/i.test(file.name) || file.type === 'text/vcard') {
+                runImport = options => this.facade.repository.importFromVCard(text, options);
+            } else {
+                let passphrase = null;
+                runImport = options => this.facade.repository.importFromJSON(text, { ...options, passphrase });
+
+                // Exportación cifrada con otra frase: pedirla y comprobarla antes de seguir
+                if (ContactCipher.isEnvelope(JSON.parse(text)) && !(await this.canDecryptExport(text))) {
+                    passphrase = await this.facade.askPassphrase({
+                        title: 'Archivo cifrado',
+                        message: 'Este archivo de contactos está cifrado. Ingrese la frase de contraseña con la que se exportó.',
+                        confirmText: 'Descifrar',
+                        onSubmit: value => this.facade.repository.importFromJSON(text, { dryRun: true, passphrase: value })
+                    });
+                    if (!passphrase) return;
+                }
+            }
+
+            const preview = await runImport({ dryRun: true });
+            const options = await this.showPreview(preview);
+            if (!options) return;
+
+            this.showResult(await runImport(options));
+        } catch (error) {
+            console.error('Error al importar:', error);
+            this.facade.showError('Error al importar: ' + error.message);
+        }
+    }
+
+    /**
+     * Muestra el resumen de una importación
+     * @param {object} result Resultado de ContactRepository.importFromJSON / importFromCSV / importFromVCard
+     */
+    showResult(result) {
+        const summary = `${result.imported} de ${result.total} contactos importados` +
+            (result.updated > 0 ? `, ${result.updated} actualizados` : '') +
+            (result.skipped > 0 ? `, ${result.skipped} omitidos` : '');
+
+        if (result.errors.length > 0) {
+            console.warn('Errores de importación:', result.errors);
+            this.facade.showToast(`${summary}. ${result.errors.length} con errores`, 'warning', {
+                text: 'Ver errores',
+                onClick: () => this.showErrors(result.errors)
+            });
+        } else {
+            this.facade.showSuccess(summary);
+        }
+    }
+
+    /**
+     * Muestra los registros que no se pudieron importar y el motivo
+     * @param {Array<string>} errors Errores de la importación ("Fila 3: ...")
+     * @returns {Promise<void>}
+     */
+    async showErrors(errors) {
+        const items = errors
+            .map(error => `<li class="list-group-item small">${this.facade.escapeHtml(error)}</li>`)
+            .join('');
+
+        await this.facade.openModal({
+            title: 'Errores de importación',
+            body: `
+                <p class="text-muted small">Estos registros no se importaron. Corríjalos en el archivo y vuelva a importarlo.</p>
+                <ul class="list-group">${items}</ul>
+            `,
+            confirmText: 'Cerrar',
+            cancelText: null,
+            size: 'modal-lg'
+        });
+    }
+
+    /**
+     * Etiquetas de las estrategias de resolución de conflictos
+     * @returns {object} Mapa estrategia → etiqueta
+     */
+    static get STRATEGY_LABELS() {
+        return {
+            skip: 'Omitir (conservar el existente)',
+            overwrite: 'Sobrescribir con el importado',
+            newest: 'Conservar el más reciente',
+            merge: 'Combinar campos'
+        };
+    }
+
+    /**
+     * Muestra la vista previa de una importación por categorías y permite elegir
+     * la estrategia de conflictos, global o por registro
+     * @param {object} preview Resultado de ContactImporter.preview
+     * @returns {Promise<object|null>} Opciones de importación ({ strategy, strategies }), o null si se canceló
+     */
+    showPreview(preview) {
+        const labels = ContactImportExportPanel.STRATEGY_LABELS;
+        const strategyOptions = Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        const describe = entry => entry.incoming
+            ? `${this.facade.escapeHtml(entry.incoming.nombre)} &lt;${this.facade.escapeHtml(entry.incoming.email)}&gt;`
+            : '';
+
+        const renderEntry = (entry, withStrategy) => `
+            <li class="list-group-item import-preview-item">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <div>
+                        <span class="text-muted small">${this.facade.escapeHtml(entry.label)}</span>
+                        <div>${describe(entry)}</div>
+                        ${entry.existing && withStrategy
+                            ? `<div class="small text-muted">Existente: ${this.facade.escapeHtml(entry.existing.nombre)} &lt;${this.facade.escapeHtml(entry.existing.email)}&gt;</div>`
+                            : ''}
+                        ${entry.changedFields && entry.changedFields.length > 0
+                            ? `<div class="small">Cambios: ${entry.changedFields.map(field => `<code>${field}</code>`).join(', ')}</div>`
+                            : ''}
+                        ${entry.errors
+                            ? `<div class="small text-danger">${entry.errors.map(error => this.facade.escapeHtml(error)).join('<br>')}</div>`
+                            : ''}
+                    </div>
+                    ${withStrategy ? `
+                        <select class="form-select form-select-sm w-auto" data-entry-index="${entry.index}">
+                            <option value="">Usar estrategia global</option>
+                            ${strategyOptions}
+                        </select>
+                    ` : ''}
+                </div>
+            </li>
+        `;
+
+        const categories = [
+            { key: 'new', title: 'Nuevos', badge: 'success' },
+            { key: 'changed', title: 'Con cambios', badge: 'warning', withStrategy: true },
+            { key: 'emailCollisions', title: 'Email ya registrado', badge: 'warning', withStrategy: true },
+            { key: 'identical', title: 'Idénticos', badge: 'secondary' },
+            { key: 'invalid', title: 'No válidos', badge: 'danger' }
+        ];
+
+        const sections = categories
+            .filter(category => preview[category.key].length > 0)
+            .map(category => `
+                <details class="import-preview-category mb-2" ${category.withStrategy ? 'open' : ''}>
+                    <summary>
+                        ${category.title}
+                        <span class="badge bg-${category.badge}">${preview[category.key].length}</span>
+                    </summary>
+                    <ul class="list-group list-group-flush">
+                        ${preview[category.key].map(entry => renderEntry(entry, category.withStrategy)).join('')}
+                    </ul>
+                </details>
+            `).join('');
+
+        const conflicts = preview.changed.length + preview.emailCollisions.length;
+
+        return this.facade.openModal({
+            title: 'Vista previa de la importación',
+            body: `
+                <p class="small text-muted">${preview.total} registros en el archivo. Revise cada categoría antes de importar.</p>
+                ${conflicts > 0 ? `
+                    <div class="mb-3">
+                        <label class="form-label" for="importStrategy">Para los ${conflicts} conflictos:</label>
+                        <select class="form-select" id="importStrategy" data-import-strategy>${strategyOptions}</select>
+                    </div>
+                ` : ''}
+                ${sections || '<p class="text-muted">El archivo no contiene contactos.</p>'}
+            `,
+            confirmText: 'Importar',
+            size: 'modal-lg',
+            onConfirm: modal => {
+                const globalSelect = modal.querySelector('[data-import-strategy]');
+                const strategies = {};
+                modal.querySelectorAll('select[data-entry-index]').forEach(select => {
+                    if (select.value) {
+                        strategies[select.dataset.entryIndex] = select.value;
+                    }
+                });
+
+                return { strategy: globalSelect ? globalSelect.value : 'skip', strategies };
+            }
+        });
+    }
+
+    /**
+     * Muestra el paso de mapeo de columnas de un CSV
+     * @param {object} parsed Resultado de CsvFormat.parse
+     * @param {object} suggested Mapeo propuesto (encabezado → campo o null)
+     * @returns {Promise<object|null>} Mapeo elegido, o null si se canceló
+     */
+    showColumnMapping(parsed, suggested) {
+        const fieldOptions = CsvFormat.COLUMNS
+            .map(field => `<option value="${field}">${field}</option>`)
+            .join('');
+
+        const rows = parsed.headers.map((header, index) => `
+            <tr>
+                <td><strong>${this.facade.escapeHtml(header)}</strong></td>
+                <td class="text-muted small">${this.facade.escapeHtml((parsed.rows[0] || [])[index] || '')}</td>
+                <td>
+                    <select class="form-select form-select-sm" data-header-index="${index}">
+                        <option value="">— Ignorar —</option>
+                        ${fieldOptions}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+
+        return this.facade.openModal({
+            title: 'Asignar columnas del CSV',
+            body: `
+                <p class="small text-muted">Indique a qué campo del contacto corresponde cada columna. Nombre y email son obligatorios.</p>
+                <div class="table-responsive">
+                    <table class="table table-sm align-middle">
+                        <thead><tr><th>Columna</th><th>Ejemplo</th><th>Campo</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <div class="invalid-feedback d-block" data-mapping-error></div>
+            `,
+            confirmText: 'Importar',
+            size: 'modal-lg',
+            onOpen: modal => {
+                modal.querySelectorAll('select[data-header-index]').forEach(select => {
+                    select.value = suggested[parsed.headers[select.dataset.headerIndex]] || '';
+                });
+            },
+            onConfirm: modal => {
+                const mapping = {};
+                modal.querySelectorAll('select[data-header-index]').forEach(select => {
+                    mapping[parsed.headers[select.dataset.headerIndex]] = select.value || null;
+                });
+
+                const fields = Object.values(mapping).filter(Boolean);
+                const error = !fields.includes('nombre') || !fields.includes('email')
+                    ? 'Debe asignar las columnas de nombre y email'
+                    : new Set(fields).size !== fields.length ? 'Cada campo solo puede asignarse a una columna' : '';
+
+                if (error) {
+                    modal.querySelector('[data-mapping-error]').textContent = error;
+                    return undefined;
+                }
+                return mapping;
+            }
+        });
+    }
+
+    /**
+     * Indica si una exportación cifrada se puede leer con la clave desbloqueada
+     * @param {string} text Contenido del archivo
+     * @returns {Promise<boolean>} true si no hace falta pedir la frase
+     */
+    async canDecryptExport(text) {
+        try {
+            await this.facade.repository.decryptExport(JSON.parse(text));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * ContactPrivacyPanel - Diálogo de privacidad de los contactos
+ * Patrón: Delegation (colaborador de ContactFacade)
+ *
+ * Configura la política de retención de ContactRepository y atiende las solicitudes
+ * de acceso o borrado de los datos de un email. Usa los modales y avisos de la fachada.
+ */
+class ContactPrivacyPanel {
+    /**
+     * @param {ContactFacade} facade Fachada que provee el repositorio, los modales y los avisos
+     */
+    constructor(facade) {
+        this.facade = facade;
+    }
+
+    /**
+     * Muestra la configuración de privacidad: la política de retención y las
+     * solicitudes de acceso o borrado de los datos de un email
+     * @returns {Promise<void>}
+     */
+    async configurar() {
+        const policy = this.facade.repository.getRetentionPolicy();
+        const fieldLabels = { mensaje: 'Mensaje', telefono: 'Teléfono' };
+        const days = (name, label, value) => `
+            <div class="col-6">
+                <label class="form-label small" for="privacidad_${name}">${label}</label>
+                <input type="number" min="1" step="1" class="form-control" id="privacidad_${name}"
+                       data-field="${name}" value="${value ?? ''}" placeholder="Nunca">
+            </div>
+        `;
+
+        const body = `
+            <h6>Retención</h6>
+            <p class="small text-muted">Se cuenta desde la fecha de creación del contacto. Deje el campo vacío para no aplicar la regla.</p>
+            <div class="row g-2 mb-2">
+                ${days('anonymizeAfterDays', 'Anonimizar después de (días)', policy.anonymizeAfterDays)}
+                ${days('deleteAfterDays', 'Eliminar después de (días)', policy.deleteAfterDays)}
+            </div>
+            <div class="mb-2">
+                ${ContactRetention.FIELDS.map(field => `
+                    <div class="form-check form-check-inline">
+                        <input class="form-check-input" type="checkbox" id="privacidad_${field}" value="${field}"
+                               data-anonymize-field ${policy.anonymizeFields.includes(field) ? 'checked' : ''}>
+                        <label class="form-check-label small" for="privacidad_${field}">Anonimizar ${fieldLabels[field] || field}</label>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="invalid-feedback d-block mb-3" data-retention-error></div>
+            <h6>Solicitudes por email</h6>
+            <p class="small text-muted">Incluye los contactos de la papelera, las copias de seguridad, la cuarentena y la auditoría.</p>
+            <div class="input-group">
+                <input type="email" class="form-control" data-field="email" placeholder="correo@ejemplo.com" aria-label="Email">
+                <button type="button" class="btn btn-outline-secondary" data-privacy-export>
+                    <i class="fas fa-file-export me-1"></i>Exportar
+                </button>
+                <button type="button" class="btn btn-outline-danger" data-privacy-forget>
+                    <i class="fas fa-user-slash me-1"></i>Olvidar
+                </button>
+            </div>
+        `;
+
+        const result = await this.facade.openModal({
+            title: 'Privacidad',
+            body,
+            confirmText: 'Guardar retención',
+            onOpen: modal => {
+                const email = () => modal.querySelector('[data-field="email"]').value;
+                modal.querySelector('[data-privacy-export]').addEventListener('click', () => this.exportarDatos(email()));
+                modal.querySelector('[data-privacy-forget]').addEventListener('click', () => this.olvidar(email()));
+            },
+            onConfirm: async modal => {
+                try {
+                    return await this.facade.repository.setRetentionPolicy({
+                        deleteAfterDays: modal.querySelector('[data-field="deleteAfterDays"]').value,
+                        anonymizeAfterDays: modal.querySelector('[data-field="anonymizeAfterDays"]').value,
+                        anonymizeFields: [...modal.querySelectorAll('[data-anonymize-field]:checked')].map(input => input.value)
+                    });
+                } catch (error) {
+                    modal.querySelector('[data-retention-error]').textContent = error.message;
+                    return undefined;
+                }
+            }
+        });
+
+        if (result) {
+            const applied = result.deleted + result.anonymized > 0
+                ? `: ${result.deleted} eliminados y ${result.anonymized} anonimizados`
+                : '';
+            this.facade.showSuccess(`Política de retención guardada${applied}`);
+        }
+    }
+
+    /**
+     * Descarga todos los datos guardados de un email
+     * @param {string} email Email
+     * @returns {Promise<void>}
+     */
+    async exportarDatos(email) {
+        try {
+            const jsonData = await this.facade.repository.exportEmailData(email);
+            const date = new Date().toISOString().split('T')[0];
+            const name = email.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_');
+            this.facade.downloadFile(jsonData, `datos_${name}_${date}.json`, 'application/json');
+            this.facade.showSuccess('Datos del email exportados');
+        } catch (error) {
+            console.error('Error al exportar los datos del email:', error);
+            this.facade.showError('Error al exportar los datos: ' + error.message);
+        }
+    }
+
+    /**
+     * Elimina todos los datos guardados de un email, previa confirmación
+     * @param {string} email Email
+     * @returns {Promise<void>}
+     */
+    async olvidar(email) {
+        try {
+            if (!email.trim()) {
+                this.facade.showWarning('Indique el email cuyos datos desea eliminar');
+                return;
+            }
+
+            if (!confirm(`¿Eliminar todos los datos de ${email.trim()}, incluidas las copias de seguridad y la auditoría? Esta acción no se puede deshacer.`)) {
+                return;
+            }
+
+            const submissions = this.facade.spamGuard.forgetEmail(email);
+            const result = await this.facade.repository.forgetEmail(email);
+            if (submissions === 0 && Object.values(result).every(count => count === 0)) {
+                this.facade.showInfo('No hay datos guardados de ese email');
+                return;
+            }
+            this.facade.showSuccess(`Datos eliminados: ${result.contacts} contactos y ${result.audit} entradas de auditoría`);
+        } catch (error) {
+            console.error('Error al eliminar los datos del email:', error);
+            this.facade.showError('Error al eliminar los datos: ' + error.message);
+        }
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * SpamGuard - Protección del formulario de contacto contra envíos automatizados
+ * Patrón: Chain of Responsibility (las comprobaciones se evalúan en orden)
+ *
+ * check() revisa un envío antes de guardarlo:
+ *  - honeypot: un campo oculto que una persona no ve ni completa; si trae valor
+ *    el envío se descarta sin avisar al remitente.
+ *  - tiempo mínimo: un formulario enviado pocos segundos después de mostrarse.
+ *  - límite de envíos: demasiados envíos desde este navegador en la ventana de tiempo.
+ *  - duplicados: el mismo email con un mensaje casi igual dentro de la ventana.
+ * Las tres últimas no rechazan el envío: piden resolver un desafío (createChallenge).
+ *
+ * Los envíos aceptados se registran en localStorage con la fecha y un hash del
+ * email y de cada palabra del mensaje: alcanza para comparar envíos sin guardar
+ * los datos en texto plano. Se descartan al salir de la ventana más larga.
+ */
+class SpamGuard {
+    /**
+     * @param {object} options Opciones de la protección
+     * @param {string} options.storageKey Clave de localStorage del registro de envíos
+     * @param {number} options.minFillSeconds Segundos mínimos entre mostrar y enviar el formulario
+     * @param {number} options.maxSubmissions Envíos permitidos en la ventana de rateWindowMinutes
+     * @param {number} options.rateWindowMinutes Ventana del límite de envíos
+     * @param {number} options.duplicateWindowHours Ventana para detectar mensajes repetidos
+     * @param {number} options.similarity Similitud (0 a 1) desde la que dos mensajes se consideran iguales
+     * @param {number} options.maxChallengeAttempts Respuestas incorrectas permitidas en un desafío
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'contactos_envios';
+        this.minFillSeconds = options.minFillSeconds ?? 3;
+        this.maxSubmissions = options.maxSubmissions ?? 3;
+        this.rateWindowMinutes = options.rateWindowMinutes ?? 10;
+        this.duplicateWindowHours = options.duplicateWindowHours ?? 24;
+        this.similarity = options.similarity ?? 0.8;
+        this.maxChallengeAttempts = options.maxChallengeAttempts ?? 3;
+    }
+
+    /**
+     * Nombre del campo honeypot del formulario
+     * @returns {string} Nombre e id del input
+     */
+    static get HONEYPOT_FIELD() {
+        return 'website';
+    }
+
+    /**
+     * Descripción de cada motivo por el que se pide el desafío
+     * @returns {object} Mapa motivo → texto
+     */
+    static get REASONS() {
+        return {
+            tooFast: 'El formulario se completó demasiado rápido',
+            rateLimit: 'Se enviaron varios mensajes desde este navegador en poco tiempo',
+            duplicate: 'Ya se envió un mensaje muy parecido con este correo electrónico'
+        };
+    }
+
+    /**
+     * Lee el registro de envíos, sin los que ya salieron de las ventanas
+     * @returns {Array<object>} Envíos { at, email, words } con email y palabras en hash
+     */
+    loadSubmissions() {
+        const horizon = Date.now() - Math.max(this.rateWindowMinutes * 60000, this.duplicateWindowHours * 3600000);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!Array.isArray(saved)) return [];
+
+            const submissions = saved.filter(entry => entry && entry.at > horizon);
+            // Los registros anteriores guardaban el email y las palabras en texto plano
+            const legacy = submissions.filter(entry => entry.email === '' || String(entry.email).includes('@'));
+            if (legacy.length > 0) {
+                legacy.forEach(entry => Object.assign(entry, SpamGuard.fingerprint(entry.email, entry.words)));
+                this.saveSubmissions(submissions);
+            }
+            return submissions;
+        } catch (error) {
+            console.error('Error al leer el registro de envíos:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Guarda el registro de envíos
+     * @param {Array<object>} submissions Envíos
+     */
+    saveSubmissions(submissions) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(submissions));
+        } catch (error) {
+            console.error('Error al guardar el registro de envíos:', error);
+        }
+    }
+
+    /**
+     * Palabras de un mensaje, normalizadas y sin repetir
+     * @param {string} text Mensaje
+     * @returns {Array<string>} Palabras ordenadas
+     */
+    static words(text) {
+        const normalized = ContactQuery.normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+        return [...new Set(normalized)].sort();
+    }
+
+    /**
+     * Hash de 53 bits (cyrb53) de un texto, en base 36
+     * @param {string} text Texto
+     * @returns {string} Hash
+     */
+    static hash(text) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < text.length; i++) {
+            const char = text.charCodeAt(i);
+            h1 = Math.imul(h1 ^ char, 2654435761);
+            h2 = Math.imul(h2 ^ char, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+    }
+
+    /**
+     * Datos de un envío tal como se guardan en el registro
+     * @param {string} email Email del remitente
+     * @param {Array<string>} words Palabras del mensaje (ver words)
+     * @returns {object} { email, words } en hash; email es null si no se indicó
+     */
+    static fingerprint(email, words) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return {
+            email: normalized ? SpamGuard.hash(normalized) : null,
+            words: (words || []).map(word => SpamGuard.hash(word))
+        };
+    }
+
+    /**
+     * Similitud entre dos conjuntos de palabras (índice de Jaccard)
+     * @param {Array<string>} a Palabras del primer mensaje
+     * @param {Array<string>} b Palabras del segundo mensaje
+     * @returns {number} 1 si son iguales, 0 si no comparten palabras
+     */
+    static similarityOf(a, b) {
+        if (a.length === 0 && b.length === 0) return 1;
+        const other = new Set(b);
+        const shared = a.filter(word => other.has(word)).length;
+        return shared / (a.length + b.length - shared);
+    }
+
+    /**
+     * Revisa un envío del formulario
+     * @param {object} data Datos del formulario (email y mensaje)
+     * @param {object} options Datos del envío
+     * @param {string} options.honeypot Valor del campo honeypot
+     * @param {number|null} options.startedAt Momento en que se mostró el formulario (ms)
+     * @returns {object} { action: 'allow' | 'challenge' | 'block', reasons }
+     */
+    check(data, options = {}) {
+        if (options.honeypot && options.honeypot.trim()) {
+            return { action: 'block', reasons: ['honeypot'] };
+        }
+
+        const now = Date.now();
+        const reasons = [];
+
+        if (!options.startedAt || now - options.startedAt < this.minFillSeconds * 1000) {
+            reasons.push('tooFast');
+        }
+
+        const submissions = this.loadSubmissions();
+        const recent = submissions.filter(entry => now - entry.at < this.rateWindowMinutes * 60000);
+        if (recent.length >= this.maxSubmissions) {
+            reasons.push('rateLimit');
+        }
+
+        const { email, words } = SpamGuard.fingerprint(data.email, SpamGuard.words(data.mensaje));
+        const duplicate = submissions.some(entry => entry.email === email &&
+            now - entry.at < this.duplicateWindowHours * 3600000 &&
+            SpamGuard.similarityOf(entry.words, words) >= this.similarity);
+        if (email && duplicate) {
+            reasons.push('duplicate');
+        }
+
+        return { action: reasons.length ? 'challenge' : 'allow', reasons };
+    }
+
+    /**
+     * Registra un envío aceptado
+     * @param {object} data Datos del formulario (email y mensaje)
+     */
+    recordSubmission(data) {
+        const submissions = this.loadSubmissions();
+        submissions.push({
+            at: Date.now(),
+            ...SpamGuard.fingerprint(data.email, SpamGuard.words(data.mensaje))
+        });
+        this.saveSubmissions(submissions);
+    }
+
+    /**
+     * Elimina del registro los envíos de un email (solicitudes de borrado)
+     * @param {string} email Email
+     * @returns {number} Envíos eliminados
+     */
+    forgetEmail(email) {
+        const hashed = SpamGuard.fingerprint(email, []).email;
+        const submissions = this.loadSubmissions();
+        const kept = submissions.filter(entry => entry.email !== hashed);
+        this.saveSubmissions(kept);
+        return submissions.length - kept.length;
+    }
+
+    /**
+     * Crea un desafío aritmético sencillo
+     * @returns {object} { question, answer }
+     */
+    createChallenge() {
+        const random = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+        const a = random(2, 9);
+        const b = random(2, 9);
+
+        switch (random(0, 2)) {
+            case 0:
+                return { question: `¿Cuánto es ${a} + ${b}?`, answer: a + b };
+            case 1:
+                return { question: `¿Cuánto es ${a + b} − ${b}?`, answer: a };
+            default:
+                return { question: `¿Cuánto es ${a} × ${b}?`, answer: a * b };
+        }
+    }
+
+    /**
+     * Verifica la respuesta de un desafío
+     * @param {object} challenge Desafío creado con createChallenge
+     * @param {string} value Respuesta ingresada
+     * @returns {boolean} true si es correcta
+     */
+    static verifyChallenge(challenge, value) {
+        const answer = String(value || '').trim();
+        return /^-?\d+$/.test(answer) && Number(answer) === challenge.answer;
+    }
+}
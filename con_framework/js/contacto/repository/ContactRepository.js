@@ -1,34 +1,525 @@
 /**
- * ContactRepository - Maneja la persistencia de contactos en localStorage
+ * ContactRepository - Maneja la persistencia de contactos
  * Patrón: Repository Pattern
+ *
+ * El backend se elige al construir el repositorio mediante un StorageAdapter
+ * (localStorage por defecto, o IndexedDB). Todos los métodos de acceso a datos son
+ * asíncronos y retornan promesas, para que backends lentos puedan conectarse sin
+ * cambiar la capa de presentación.
+ *
+ * Los contactos se mantienen en una caché en memoria indexada por id y por email,
+ * y cada mutación se notifica a los suscriptores (ver subscribe()). Los cambios hechos
+ * en otras pestañas llegan por el evento 'storage' o por BroadcastChannel y se
+ * notifican con remote: true.
+ *
+ * Eliminar un contacto lo envía a la papelera (deletedAt); desde allí puede
+ * restaurarse o purgarse, y se purga solo pasados trashRetentionDays días.
+ *
+ * Cada registro guarda su schemaVersion. Al cargar, los registros de versiones
+ * anteriores (p. ej. los que escribe sin_framework bajo la misma clave) se
+ * actualizan con MIGRATIONS y se vuelven a guardar.
+ *
+ * repair() corrige el almacenamiento sin perder datos (ContactIntegrity, ver checkIntegrity):
+ * los registros inválidos o duplicados pasan a la cuarentena y antes de reescribir
+ * se guarda un respaldo.
+ *
+ * Se conservan copias de seguridad rotativas (ContactSnapshots, ver getSnapshots): una
+ * automática cada snapshotIntervalMinutes como máximo y otra antes de cada operación
+ * que borra datos. Cualquiera de ellas puede compararse y restaurarse.
+ *
+ * Cada mutación queda en el registro de auditoría (ContactAuditLog, ver getAuditLog)
+ * con la operación, el contacto y los campos que cambiaron.
+ *
+ * En modo cifrado (ContactEncryption, ver enableEncryption) los contactos y sus claves
+ * auxiliares se guardan con AES-GCM mediante EncryptedStorageAdapter. Hasta llamar a
+ * unlock() con la frase de contraseña el repositorio está bloqueado y no lee ni escribe datos.
+ *
+ * La política de retención (ContactRetention, ver setRetentionPolicy) elimina o anonimiza
+ * los contactos antiguos al iniciar. forgetEmail() y exportEmailData() atienden las
+ * solicitudes de borrado y de acceso de una persona por su email, incluidas copias y auditoría.
+ *
+ * Las importaciones (ContactImporter, ver importFromJSON) se pueden revisar antes con
+ * dryRun, y los contactos que ya existen se resuelven con una estrategia de conflicto.
  */
 class ContactRepository {
-    constructor() {
+    /**
+     * @param {object} options Opciones del repositorio
+     * @param {string|StorageAdapter} options.storage 'localStorage', 'indexedDB' o una instancia de adaptador
+     * @param {boolean} options.autoMigrate Migrar a IndexedDB cuando localStorage supere el umbral de uso
+     * @param {number} options.trashRetentionDays Días que un contacto permanece en la papelera
+     * @param {number} options.snapshotCount Copias de seguridad que se conservan (0 desactiva las automáticas)
+     * @param {number} options.snapshotIntervalMinutes Minutos mínimos entre copias automáticas
+     * @param {number} options.auditMaxEntries Entradas de auditoría que se conservan
+     * @param {number} options.auditMaxAgeDays Días que se conserva una entrada de auditoría
+     * @param {object} options.retention Política de retención inicial (ver setRetentionPolicy)
+     */
+    constructor(options = {}) {
         this.storageKey = 'contactos';
+        this.backendKey = 'contactos_backend';
+        this.encryption = new ContactEncryption(this);
+        // Mutaciones de los contactos en curso, una a la vez (ver enqueueMutation)
+        this.mutationQueue = Promise.resolve();
+        this.auxiliaryAdapters = new Map();
+        this.autoMigrate = options.autoMigrate !== false;
+        this.trashRetentionDays = options.trashRetentionDays ?? 30;
+        this.snapshots = new ContactSnapshots(this, {
+            count: options.snapshotCount,
+            intervalMinutes: options.snapshotIntervalMinutes
+        });
+        this.audit = new ContactAuditLog(this, {
+            maxEntries: options.auditMaxEntries,
+            maxAgeDays: options.auditMaxAgeDays
+        });
+        this.retention = new ContactRetention(this, options.retention || {});
+        this.integrity = new ContactIntegrity(this);
+        this.importer = new ContactImporter(this);
+        this.migrationPromise = null;
+        // Registros actualizados de esquema durante esta sesión (ver checkIntegrity)
+        this.schemaMigrations = [];
+        this.cache = null;
+        this.cachePromise = null;
+        this.listeners = new Set();
+        this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(this.storageKey) : null;
+        this.adapter = this.createAdapter(options.storage || this.getPreferredBackend());
         this.initializeStorage();
+        this.listenToStorageEvents();
+    }
+
+    /**
+     * Crea el adaptador de almacenamiento solicitado
+     * @param {string|StorageAdapter} storage Nombre del backend o instancia de adaptador
+     * @returns {StorageAdapter} Adaptador a utilizar
+     */
+    createAdapter(storage) {
+        if (storage instanceof StorageAdapter) {
+            return storage;
+        }
+
+        if (storage === 'indexedDB' && IndexedDBAdapter.isSupported()) {
+            return new IndexedDBAdapter(this.storageKey);
+        }
+
+        return new LocalStorageAdapter(this.storageKey);
     }
 
     /**
-     * Inicializa el almacenamiento si no existe
+     * Obtiene el backend guardado tras una migración previa
+     * @returns {string} Nombre del backend ('localStorage' o 'indexedDB')
+     */
+    getPreferredBackend() {
+        try {
+            return localStorage.getItem(this.backendKey) || 'localStorage';
+        } catch (error) {
+            return 'localStorage';
+        }
+    }
+
+    /**
+     * Inicializa el almacenamiento si no existe.
+     * Si el backend elegido falla se recurre a localStorage.
      */
     initializeStorage() {
-        if (!localStorage.getItem(this.storageKey)) {
-            localStorage.setItem(this.storageKey, JSON.stringify([]));
+        this.readyPromise = this.adapter.init().catch(error => {
+            console.error(`No se pudo inicializar ${this.adapter.name}, usando localStorage:`, error);
+            this.adapter = this.wrapAdapter(new LocalStorageAdapter(this.storageKey));
+            return this.adapter.init();
+        });
+
+        this.readyPromise
+            .then(() => this.purgeExpiredTrash())
+            .then(() => this.retention.load())
+            .then(() => this.retention.apply());
+    }
+
+    /**
+     * Indica cuándo el backend está listo para usarse
+     * @returns {Promise<void>} Se resuelve cuando el almacenamiento está inicializado
+     */
+    ready() {
+        return this.readyPromise;
+    }
+
+    /**
+     * Escucha los cambios hechos por otras pestañas: el evento 'storage' cubre
+     * localStorage y el BroadcastChannel cubre backends que no lo disparan (IndexedDB)
+     */
+    listenToStorageEvents() {
+        if (typeof window === 'undefined') return;
+
+        window.addEventListener('storage', (event) => {
+            // Otra pestaña migró los contactos a otro backend
+            if (event.key === this.backendKey && event.newValue) {
+                this.switchBackend(event.newValue);
+                return;
+            }
+
+            // Otra pestaña activó, cambió o desactivó el cifrado: hay que volver a desbloquear
+            if (event.key === this.encryption.key) {
+                this.encryption.settings = this.encryption.loadSettings();
+                this.lock();
+                return;
+            }
+
+            if (event.key === this.retention.key) {
+                this.retention.load();
+                return;
+            }
+
+            // event.key es null cuando se ejecuta localStorage.clear()
+            if (event.key === this.storageKey || event.key === null) {
+                this.syncFromStorage();
+            }
+        });
+
+        if (this.channel) {
+            this.channel.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'retentionChanged') {
+                    this.retention.load();
+                    return;
+                }
+                this.syncFromStorage();
+            });
+        }
+    }
+
+    /**
+     * Cambia al backend elegido por otra pestaña y resincroniza la caché
+     * @param {string} backend Nombre del backend ('localStorage' o 'indexedDB')
+     */
+    switchBackend(backend) {
+        if (this.adapter.name === backend) return;
+
+        this.adapter = this.wrapAdapter(this.createAdapter(backend));
+        this.initializeStorage();
+        this.syncFromStorage();
+    }
+
+    /**
+     * Vuelve a leer el backend y notifica como remotos los contactos agregados,
+     * actualizados o eliminados desde otra pestaña
+     * @returns {Promise<void>}
+     */
+    async syncFromStorage() {
+        return this.enqueueMutation(async () => {
+            if (this.isLocked()) return;
+
+            const previous = this.cache;
+            this.invalidateCache();
+
+            let current;
+            try {
+                current = await this.loadCache();
+            } catch (error) {
+                console.error('Error al sincronizar contactos:', error);
+                return;
+            }
+
+            // Si nadie había leído los contactos no hay nada que comparar
+            if (!previous) return;
+
+            if (current.list.length === 0 && previous.list.length > 0) {
+                this.emit('cleared', { count: previous.list.length, remote: true });
+            } else {
+                current.list.forEach(contact => {
+                    const before = previous.byId.get(contact.id);
+                    if (!before) {
+                        const type = previous.trashById.has(contact.id) ? 'restored' : 'added';
+                        this.emit(type, { contact: contact.clone(), id: contact.id, remote: true });
+                    } else if (JSON.stringify(before.toJSON()) !== JSON.stringify(contact.toJSON())) {
+                        this.emit('updated', { contact: contact.clone(), id: contact.id, remote: true });
+                    }
+                });
+
+                previous.list.forEach(contact => {
+                    if (!current.byId.has(contact.id)) {
+                        this.emit('removed', { contact, id: contact.id, remote: true });
+                    }
+                });
+            }
+
+            // Contactos purgados de la papelera en otra pestaña
+            const purgedIds = [...previous.trashById.keys()]
+                .filter(id => !current.trashById.has(id) && !current.byId.has(id));
+            if (purgedIds.length > 0) {
+                this.emit('purged', { ids: purgedIds, count: purgedIds.length, remote: true });
+            }
+        });
+    }
+
+    /**
+     * Carga la caché desde el backend si no está disponible
+     * @returns {Promise<object>} Caché con la lista de contactos y sus índices
+     */
+    async loadCache() {
+        if (this.cache) {
+            return this.cache;
+        }
+
+        if (this.isLocked()) {
+            throw ContactCipher.createError('ContactsLockedError', 'Los contactos están cifrados. Desbloquéelos con la frase de contraseña.');
+        }
+
+        if (!this.cachePromise) {
+            this.cachePromise = (async () => {
+                await this.ready();
+                const contactsData = await this.adapter.read();
+                return this.setCache(await this.migrateStoredRecords(contactsData));
+            })().finally(() => {
+                this.cachePromise = null;
+            });
+        }
+
+        return this.cachePromise;
+    }
+
+    /**
+     * Migraciones de esquema: la función de la clave n convierte un registro
+     * de la versión n a la versión n + 1
+     * - 1: registros de sin_framework (id numérico de Date.now(), correo, terminos, fechaEdicion)
+     * - 2: registros de Contacto (id de texto, email, aceptaTerminos, fechaActualizacion)
+     * - 3: registro del consentimiento (versionTerminos, fechaAceptacionTerminos, textoConsentimiento)
+     * @returns {object} Mapa versión de origen → función de migración
+     */
+    static get MIGRATIONS() {
+        return {
+            1: record => {
+                const { correo, terminos, fechaEdicion, motivo, ...rest } = record;
+                return {
+                    ...rest,
+                    id: String(record.id),
+                    email: rest.email || correo || '',
+                    asunto: rest.asunto || motivo || '',
+                    aceptaTerminos: Boolean(rest.aceptaTerminos ?? terminos),
+                    fechaActualizacion: rest.fechaActualizacion || fechaEdicion || rest.fechaCreacion,
+                    deletedAt: rest.deletedAt || null,
+                    schemaVersion: 2
+                };
+            },
+            // Los contactos anteriores no registraron qué términos aceptaron
+            2: record => ({
+                ...record,
+                versionTerminos: record.versionTerminos || null,
+                fechaAceptacionTerminos: record.fechaAceptacionTerminos || null,
+                textoConsentimiento: record.textoConsentimiento || '',
+                schemaVersion: 3
+            }),
+            // Los teléfonos se guardaban tal como se escribían; los que se pueden interpretar pasan a E.164
+            3: record => ({
+                ...record,
+                telefono: PhoneNumber.toE164(record.telefono) || record.telefono || '',
+                schemaVersion: 4
+            })
+        };
+    }
+
+    /**
+     * Detecta la versión de esquema de un registro almacenado
+     * @param {object} record Registro plano
+     * @returns {number} Versión; los registros sin schemaVersion se deducen por sus campos
+     */
+    static detectSchemaVersion(record) {
+        if (Number.isInteger(record.schemaVersion)) {
+            return record.schemaVersion;
+        }
+
+        const isLegacy = typeof record.id === 'number' ||
+            ('correo' in record && !('email' in record)) ||
+            'terminos' in record ||
+            'fechaEdicion' in record;
+
+        return isLegacy ? 1 : 2;
+    }
+
+    /**
+     * Lleva un registro hasta la versión actual de Contacto aplicando las migraciones en orden
+     * @param {object} record Registro plano
+     * @returns {object} { record, fromVersion, migrated }
+     */
+    static migrateRecord(record) {
+        const fromVersion = ContactRepository.detectSchemaVersion(record);
+        const migrations = ContactRepository.MIGRATIONS;
+        let current = record;
+
+        // Registros de una versión más nueva de la aplicación: no se tocan
+        if (fromVersion > Contacto.SCHEMA_VERSION) {
+            return { record, fromVersion, migrated: false };
+        }
+
+        for (let version = fromVersion; version < Contacto.SCHEMA_VERSION; version++) {
+            if (!migrations[version]) {
+                throw new Error(`No hay migración desde la versión de esquema ${version}`);
+            }
+            current = migrations[version](current);
+        }
+
+        // Registros de Contacto anteriores al versionado: solo falta la marca
+        const migrated = current !== record || record.schemaVersion !== Contacto.SCHEMA_VERSION;
+        return {
+            record: migrated ? { ...current, schemaVersion: Contacto.SCHEMA_VERSION } : current,
+            fromVersion,
+            migrated
+        };
+    }
+
+    /**
+     * Migra los registros leídos del backend y, si alguno cambió, los vuelve a guardar.
+     * Un registro que no se puede migrar se deja como está.
+     * @param {Array<object>} contactsData Registros leídos del backend
+     * @returns {Promise<Array<object>>} Registros en la versión actual
+     */
+    async migrateStoredRecords(contactsData) {
+        const upgraded = [];
+        let changed = false;
+
+        const records = contactsData.map((record, index) => {
+            try {
+                const result = ContactRepository.migrateRecord(record);
+                if (!result.migrated) {
+                    return record;
+                }
+
+                changed = true;
+                // Los registros que solo reciben la marca de versión no se reportan
+                if (result.fromVersion < Contacto.SCHEMA_VERSION) {
+                    upgraded.push({
+                        id: result.record.id,
+                        index,
+                        fromVersion: result.fromVersion,
+                        toVersion: Contacto.SCHEMA_VERSION
+                    });
+                }
+                return result.record;
+            } catch (error) {
+                console.error(`No se pudo migrar el registro en índice ${index}:`, error);
+                return record;
+            }
+        });
+
+        if (changed) {
+            try {
+                await this.waitForMigration();
+                await this.adapter.write(records);
+            } catch (error) {
+                console.error('Error al guardar los contactos migrados:', error);
+            }
+        }
+
+        if (upgraded.length > 0) {
+            this.schemaMigrations.push(...upgraded);
+            console.log(`${upgraded.length} contactos migrados al esquema ${Contacto.SCHEMA_VERSION}`);
+        }
+
+        return records;
+    }
+
+    /**
+     * Reconstruye la caché y sus índices a partir de objetos planos.
+     * all conserva el orden de almacenamiento; list y los índices solo incluyen
+     * contactos activos, y trash los que están en la papelera.
+     * @param {Array<object>} contactsData Contactos en formato JSON
+     * @returns {object} Caché con la lista de contactos y sus índices
+     */
+    setCache(contactsData) {
+        const all = contactsData.map(contactData => Contacto.fromJSON(contactData));
+        const list = all.filter(contact => !contact.isDeleted());
+        const trash = all.filter(contact => contact.isDeleted());
+        const byId = new Map();
+        const byEmail = new Map();
+        const trashById = new Map(trash.map(contact => [contact.id, contact]));
+
+        list.forEach(contact => {
+            byId.set(contact.id, contact);
+
+            const email = contact.email.toLowerCase();
+            if (!byEmail.has(email)) {
+                byEmail.set(email, new Set());
+            }
+            byEmail.get(email).add(contact.id);
+        });
+
+        this.cache = { all, list, trash, byId, byEmail, trashById };
+        return this.cache;
+    }
+
+    /**
+     * Descarta la caché para que la próxima lectura vaya al backend
+     */
+    invalidateCache() {
+        this.cache = null;
+    }
+
+    /**
+     * Suscribe una función a los cambios del repositorio.
+     * Eventos: 'added', 'updated', 'removed', 'cleared', 'restored', 'purged',
+     * 'retentionApplied' y 'forgotten', además de los de copias, reparación y cifrado,
+     * 'retentionChanged' al guardar otra política de retención y 'auditFailed' cuando
+     * no se pudo guardar el registro de auditoría.
+     * @param {Function} listener Función que recibe { type, contact, id, count, remote }
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.unsubscribe(listener);
+    }
+
+    /**
+     * Cancela la suscripción de una función
+     * @param {Function} listener Función suscrita previamente
+     */
+    unsubscribe(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * Notifica un cambio a todos los suscriptores y, si es local, a las demás pestañas
+     * @param {string} type Tipo de evento
+     * @param {object} payload Datos del evento
+     */
+    emit(type, payload = {}) {
+        const event = { type, remote: false, ...payload };
+
+        // localStorage ya dispara 'storage' en las demás pestañas
+        if (!event.remote && this.channel && this.adapter.name !== 'localStorage') {
+            this.channel.postMessage({ type, id: event.id || null });
         }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Error en suscriptor del evento ${type}:`, error);
+            }
+        });
     }
 
     /**
-     * Obtiene todos los contactos del localStorage
-     * @returns {Array<Contacto>} Array de contactos
+     * Ejecuta una mutación de los contactos cuando terminan las anteriores. Cada
+     * mutación lee la caché y escribe la colección completa: si dos se solaparan,
+     * la segunda escribiría sin los cambios de la primera. Una mutación encolada
+     * no debe esperar a otra (se bloquearían entre sí).
+     * @param {Function} task Función async que lee la caché y guarda los cambios
+     * @returns {Promise<any>} Resultado de task
      */
-    getAll() {
+    enqueueMutation(task) {
+        const run = this.mutationQueue.then(task);
+        this.mutationQueue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Obtiene todos los contactos del almacenamiento
+     * @returns {Promise<Array<Contacto>>} Array de contactos (copias independientes de la caché)
+     */
+    async getAll() {
         try {
-            const data = localStorage.getItem(this.storageKey);
-            const contactsData = JSON.parse(data) || [];
-            return contactsData.map(contactData => Contacto.fromJSON(contactData));
+            const cache = await this.loadCache();
+            return cache.list.map(contact => contact.clone());
         } catch (error) {
             console.error('Error al obtener contactos:', error);
-            this.handleStorageError();
+            // Bloqueado o con otra clave no hay nada que reparar
+            if (error.name !== 'ContactsLockedError' && error.name !== 'ContactsPassphraseError') {
+                await this.handleStorageError();
+            }
             return [];
         }
     }
@@ -36,12 +527,13 @@ class ContactRepository {
     /**
      * Obtiene un contacto por su ID
      * @param {string} id ID del contacto
-     * @returns {Contacto|null} Contacto encontrado o null
+     * @returns {Promise<Contacto|null>} Contacto encontrado o null
      */
-    getById(id) {
+    async getById(id) {
         try {
-            const contacts = this.getAll();
-            return contacts.find(contact => contact.id === id) || null;
+            const cache = await this.loadCache();
+            const contact = cache.byId.get(id);
+            return contact ? contact.clone() : null;
         } catch (error) {
             console.error('Error al obtener contacto por ID:', error);
             return null;
@@ -51,11 +543,11 @@ class ContactRepository {
     /**
      * Busca contactos por criterios
      * @param {object} criteria Criterios de búsqueda
-     * @returns {Array<Contacto>} Array de contactos que coinciden
+     * @returns {Promise<Array<Contacto>>} Array de contactos que coinciden
      */
-    findBy(criteria) {
+    async findBy(criteria) {
         try {
-            const contacts = this.getAll();
+            const contacts = await this.getAll();
             return contacts.filter(contact => {
                 return Object.keys(criteria).every(key => {
                     if (typeof criteria[key] === 'string') {
@@ -71,125 +563,371 @@ class ContactRepository {
     }
 
     /**
-     * Agrega un nuevo contacto
-     * @param {Contacto} contacto Contacto a agregar
-     * @returns {boolean} true si se agregó correctamente
+     * Busca contactos con una consulta de texto libre
+     * @param {ContactQuery|string} query Consulta o texto de búsqueda
+     * @returns {Promise<Array<Contacto>>} Contactos que coinciden
      */
-    add(contacto) {
+    async search(query) {
         try {
-            if (!(contacto instanceof Contacto)) {
-                throw new Error('El objeto debe ser una instancia de Contacto');
-            }
+            const contactQuery = query instanceof ContactQuery ? query : new ContactQuery(query);
+            const contacts = await this.getAll();
+            return contactQuery.isEmpty() ? contacts : contacts.filter(contact => contactQuery.matches(contact));
+        } catch (error) {
+            console.error('Error en búsqueda:', error);
+            return [];
+        }
+    }
 
-            // Validar el contacto antes de guardarlo
-            const validation = contacto.validate();
-            if (!validation.isValid) {
-                throw new Error('Contacto inválido: ' + validation.errors.map(e => e.message).join(', '));
-            }
+    /**
+     * Obtiene una página de contactos activos aplicando búsqueda, filtros y orden
+     * @param {object} options Opciones de la consulta
+     * @param {ContactQuery|string|null} options.query Búsqueda de texto libre
+     * @param {Array<string>} options.asuntos Asuntos permitidos (vacío = todos)
+     * @param {Array<string>} options.preferencias Preferencias de contacto permitidas (vacío = todas)
+     * @param {string} options.sortBy Campo de orden: 'fechaCreacion', 'nombre' o 'asunto'
+     * @param {string} options.sortDir Dirección: 'asc' o 'desc'
+     * @param {number} options.page Página solicitada (empieza en 1)
+     * @param {number} options.pageSize Contactos por página
+     * @returns {Promise<object>} { items, total, page, pageSize, totalPages }
+     */
+    async list(options = {}) {
+        const {
+            query = null,
+            asuntos = [],
+            preferencias = [],
+            sortBy = 'fechaCreacion',
+            sortDir = 'desc',
+            page = 1,
+            pageSize = 10
+        } = options;
 
-            // Verificar que no exista un contacto con el mismo ID
-            if (this.getById(contacto.id)) {
-                throw new Error('Ya existe un contacto con el mismo ID');
-            }
+        try {
+            const contacts = query ? await this.search(query) : await this.getAll();
 
-            const contacts = this.getAll();
-            contacts.push(contacto);
-            this.saveToStorage(contacts);
-            
-            console.log('Contacto agregado:', contacto.getSummary());
-            return true;
+            const filtered = contacts.filter(contact =>
+                (asuntos.length === 0 || asuntos.includes(contact.asunto)) &&
+                (preferencias.length === 0 || preferencias.includes(contact.preferenciaContacto))
+            );
+
+            const direction = sortDir === 'asc' ? 1 : -1;
+            // El asunto se ordena por su etiqueta ("Entrevista"), no por el valor guardado
+            const labels = sortBy === 'asunto' ? Contacto.ASUNTOS : {};
+            const sortValue = contact => String(labels[contact[sortBy]] || contact[sortBy] || '');
+            filtered.sort((a, b) => {
+                const primary = sortBy === 'fechaCreacion'
+                    ? a.fechaCreacion.localeCompare(b.fechaCreacion)
+                    : sortValue(a).localeCompare(sortValue(b), 'es', { sensitivity: 'base' });
+                // Desempatar por fecha para que el orden sea estable entre renderizados
+                return (primary || a.fechaCreacion.localeCompare(b.fechaCreacion)) * direction;
+            });
+
+            const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
+            const currentPage = Math.min(Math.max(1, page), totalPages);
+            const start = (currentPage - 1) * pageSize;
+
+            return {
+                items: filtered.slice(start, start + pageSize),
+                total: filtered.length,
+                page: currentPage,
+                pageSize,
+                totalPages
+            };
         } catch (error) {
-            console.error('Error al agregar contacto:', error);
-            throw error;
+            console.error('Error al listar contactos:', error);
+            return { items: [], total: 0, page: 1, pageSize, totalPages: 1 };
         }
     }
 
     /**
-     * Actualiza un contacto existente
-     * @param {Contacto} contacto Contacto a actualizar
-     * @returns {boolean} true si se actualizó correctamente
+     * Agrega un nuevo contacto
+     * @param {Contacto} contacto Contacto a agregar
+     * @returns {Promise<boolean>} true si se agregó correctamente
      */
-    update(contacto) {
-        try {
-            if (!(contacto instanceof Contacto)) {
-                throw new Error('El objeto debe ser una instancia de Contacto');
-            }
+    async add(contacto) {
+        return this.enqueueMutation(async () => {
+            try {
+                if (!(contacto instanceof Contacto)) {
+                    throw new Error('El objeto debe ser una instancia de Contacto');
+                }
 
-            // Validar el contacto antes de actualizarlo
-            const validation = contacto.validate();
-            if (!validation.isValid) {
-                throw new Error('Contacto inválido: ' + validation.errors.map(e => e.message).join(', '));
-            }
+                // Validar el contacto antes de guardarlo; debe aceptar los términos vigentes
+                const validation = contacto.validate({ requireCurrentTerms: true, strictPhone: true });
+                if (!validation.isValid) {
+                    throw new Error('Contacto inválido: ' + validation.errors.map(e => e.message).join(', '));
+                }
 
-            const contacts = this.getAll();
-            const index = contacts.findIndex(c => c.id === contacto.id);
+                const cache = await this.loadCache();
+
+                // Verificar que no exista un contacto con el mismo ID (incluida la papelera)
+                if (cache.byId.has(contacto.id) || cache.trashById.has(contacto.id)) {
+                    throw new Error('Ya existe un contacto con el mismo ID');
+                }
+
+                await this.saveToStorage([...cache.all, contacto]);
+                await this.audit.record('add', [{ id: contacto.id, before: null, after: contacto }]);
             
-            if (index === -1) {
-                throw new Error('Contacto no encontrado');
+                console.log('Contacto agregado:', contacto.getSummary());
+                this.emit('added', { contact: contacto.clone(), id: contacto.id });
+                return true;
+            } catch (error) {
+                console.error('Error al agregar contacto:', error);
+                throw error;
             }
+        });
+    }
 
-            // Actualizar fecha de modificación
-            contacto.touch();
-            contacts[index] = contacto;
-            this.saveToStorage(contacts);
+    /**
+     * Actualiza un contacto existente
+     * @param {Contacto} contacto Contacto a actualizar
+     * @returns {Promise<boolean>} true si se actualizó correctamente
+     */
+    async update(contacto) {
+        return this.enqueueMutation(async () => {
+            try {
+                if (!(contacto instanceof Contacto)) {
+                    throw new Error('El objeto debe ser una instancia de Contacto');
+                }
+
+                const contacts = [...(await this.loadCache()).all];
+                const index = contacts.findIndex(c => c.id === contacto.id && !c.isDeleted());
             
-            console.log('Contacto actualizado:', contacto.getSummary());
-            return true;
-        } catch (error) {
-            console.error('Error al actualizar contacto:', error);
-            throw error;
-        }
+                if (index === -1) {
+                    throw new Error('Contacto no encontrado');
+                }
+
+                // Una edición no cambia el consentimiento: se conserva el que registró el
+                // visitante, aunque sea de una versión anterior de los términos
+                const before = contacts[index];
+                Contacto.CAMPOS_CONSENTIMIENTO.forEach(field => {
+                    contacto[field] = before[field];
+                });
+
+                // Validar el contacto antes de actualizarlo
+                const validation = contacto.validate({ strictPhone: true });
+                if (!validation.isValid) {
+                    throw new Error('Contacto inválido: ' + validation.errors.map(e => e.message).join(', '));
+                }
+
+                // Actualizar fecha de modificación
+                contacto.touch();
+                contacts[index] = contacto;
+                await this.saveToStorage(contacts);
+                await this.audit.record('update', [{ id: contacto.id, before, after: contacto }]);
+            
+                console.log('Contacto actualizado:', contacto.getSummary());
+                this.emit('updated', { contact: contacto.clone(), id: contacto.id });
+                return true;
+            } catch (error) {
+                console.error('Error al actualizar contacto:', error);
+                throw error;
+            }
+        });
     }
 
     /**
-     * Elimina un contacto por su ID
+     * Envía un contacto a la papelera
      * @param {string} id ID del contacto a eliminar
-     * @returns {boolean} true si se eliminó correctamente
+     * @returns {Promise<boolean>} true si se eliminó correctamente
      */
-    remove(id) {
-        try {
-            const contacts = this.getAll();
-            const index = contacts.findIndex(contact => contact.id === id);
+    async remove(id) {
+        return this.enqueueMutation(async () => {
+            try {
+                const cache = await this.loadCache();
+                const removedContact = cache.byId.get(id);
             
-            if (index === -1) {
-                throw new Error('Contacto no encontrado');
-            }
+                if (!removedContact) {
+                    throw new Error('Contacto no encontrado');
+                }
 
-            const removedContact = contacts[index];
-            contacts.splice(index, 1);
-            this.saveToStorage(contacts);
+                const trashed = this.withDeletedAt(removedContact, new Date().toISOString());
+                await this.saveToStorage(cache.all.map(contact => (contact.id === id ? trashed : contact)));
+                await this.audit.record('remove', [{ id, before: removedContact, after: trashed }]);
             
-            console.log('Contacto eliminado:', removedContact.getSummary());
-            return true;
+                console.log('Contacto enviado a la papelera:', removedContact.getSummary());
+                this.emit('removed', { contact: removedContact, id });
+                return true;
+            } catch (error) {
+                console.error('Error al eliminar contacto:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Envía todos los contactos activos a la papelera
+     * @returns {Promise<boolean>} true si se eliminaron correctamente
+     */
+    async clear() {
+        return this.enqueueMutation(async () => {
+            try {
+                const cache = await this.loadCache();
+                const ids = cache.list.map(contact => contact.id);
+                const deletedAt = new Date().toISOString();
+
+                await this.snapshots.tryCreate('clear');
+                await this.saveToStorage(cache.all.map(contact =>
+                    contact.isDeleted() ? contact : this.withDeletedAt(contact, deletedAt)
+                ));
+                await this.audit.record('clear', cache.list.map(contact => ({
+                    id: contact.id,
+                    before: contact,
+                    after: this.withDeletedAt(contact, deletedAt)
+                })));
+
+                console.log(`${ids.length} contactos enviados a la papelera`);
+                this.emit('cleared', { count: ids.length, ids });
+                return true;
+            } catch (error) {
+                console.error('Error al limpiar contactos:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Obtiene los contactos de la papelera, del más reciente al más antiguo
+     * @returns {Promise<Array<Contacto>>} Contactos eliminados
+     */
+    async getTrash() {
+        try {
+            const cache = await this.loadCache();
+            return cache.trash
+                .map(contact => contact.clone())
+                .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
         } catch (error) {
-            console.error('Error al eliminar contacto:', error);
-            throw error;
+            console.error('Error al obtener la papelera:', error);
+            return [];
         }
     }
 
     /**
-     * Elimina todos los contactos
-     * @returns {boolean} true si se eliminaron correctamente
+     * Restaura uno o varios contactos de la papelera
+     * @param {string|Array<string>} ids ID o IDs de los contactos a restaurar
+     * @returns {Promise<number>} Número de contactos restaurados
      */
-    clear() {
+    async restore(ids) {
+        return this.enqueueMutation(async () => {
+            try {
+                const idList = Array.isArray(ids) ? ids : [ids];
+                const cache = await this.loadCache();
+                const toRestore = idList.map(id => cache.trashById.get(id)).filter(Boolean);
+
+                if (toRestore.length === 0) {
+                    throw new Error('Contacto no encontrado en la papelera');
+                }
+
+                // No restaurar si otro contacto activo ya usa el mismo email
+                const conflict = toRestore.find(contact => cache.byEmail.has(contact.email.toLowerCase()));
+                if (conflict) {
+                    throw new Error(`Ya existe un contacto activo con el correo ${conflict.email}`);
+                }
+
+                const restoreIds = new Set(toRestore.map(contact => contact.id));
+                await this.saveToStorage(cache.all.map(contact =>
+                    restoreIds.has(contact.id) ? this.withDeletedAt(contact, null) : contact
+                ));
+                await this.audit.record('restore', toRestore.map(contact => ({
+                    id: contact.id,
+                    before: contact,
+                    after: this.withDeletedAt(contact, null)
+                })));
+
+                toRestore.forEach(contact => {
+                    const restored = this.withDeletedAt(contact, null);
+                    this.emit('restored', { contact: restored, id: restored.id });
+                });
+
+                console.log(`${toRestore.length} contactos restaurados`);
+                return toRestore.length;
+            } catch (error) {
+                console.error('Error al restaurar contacto:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Elimina definitivamente contactos de la papelera
+     * @param {string|Array<string>} ids ID o IDs de los contactos a purgar
+     * @returns {Promise<number>} Número de contactos purgados
+     */
+    async purge(ids) {
+        return this.enqueueMutation(async () => {
+            try {
+                const purgeIds = new Set(Array.isArray(ids) ? ids : [ids]);
+                const cache = await this.loadCache();
+                const purged = cache.trash.filter(contact => purgeIds.has(contact.id));
+
+                if (purged.length === 0) {
+                    return 0;
+                }
+
+                await this.snapshots.tryCreate('purge');
+                await this.saveToStorage(cache.all.filter(contact =>
+                    !(contact.isDeleted() && purgeIds.has(contact.id))
+                ));
+                await this.audit.record('purge', purged.map(contact => ({ id: contact.id, before: contact, after: null })));
+
+                const purgedIds = purged.map(contact => contact.id);
+                console.log(`${purged.length} contactos eliminados definitivamente`);
+                this.emit('purged', { ids: purgedIds, count: purged.length });
+                return purged.length;
+            } catch (error) {
+                console.error('Error al purgar contactos:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Vacía la papelera
+     * @returns {Promise<number>} Número de contactos purgados
+     */
+    async emptyTrash() {
+        const cache = await this.loadCache();
+        return this.purge(cache.trash.map(contact => contact.id));
+    }
+
+    /**
+     * Purga los contactos que llevan más de trashRetentionDays días en la papelera
+     * @returns {Promise<number>} Número de contactos purgados
+     */
+    async purgeExpiredTrash() {
+        if (this.isLocked()) return 0;
+
         try {
-            const count = this.getAll().length;
-            localStorage.setItem(this.storageKey, JSON.stringify([]));
-            console.log(`${count} contactos eliminados`);
-            return true;
+            const cache = await this.loadCache();
+            const limit = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+            const expired = cache.trash
+                .filter(contact => new Date(contact.deletedAt).getTime() < limit)
+                .map(contact => contact.id);
+
+            return expired.length > 0 ? await this.purge(expired) : 0;
         } catch (error) {
-            console.error('Error al limpiar contactos:', error);
-            throw error;
+            console.error('Error al purgar la papelera:', error);
+            return 0;
         }
     }
 
+    /**
+     * Crea una copia de un contacto con la fecha de eliminación indicada
+     * @param {Contacto} contact Contacto original
+     * @param {string|null} deletedAt Fecha ISO de eliminación o null para restaurar
+     * @returns {Contacto} Copia del contacto
+     */
+    withDeletedAt(contact, deletedAt) {
+        const copy = contact.clone();
+        copy.deletedAt = deletedAt;
+        return copy;
+    }
+
     /**
      * Cuenta el número total de contactos
-     * @returns {number} Número de contactos
+     * @returns {Promise<number>} Número de contactos
      */
-    count() {
+    async count() {
         try {
-            return this.getAll().length;
+            return (await this.loadCache()).list.length;
         } catch (error) {
             console.error('Error al contar contactos:', error);
             return 0;
@@ -200,15 +938,13 @@ class ContactRepository {
      * Verifica si existe un contacto con el email dado
      * @param {string} email Email a verificar
      * @param {string} excludeId ID a excluir de la búsqueda (para actualizaciones)
-     * @returns {boolean} true si existe
+     * @returns {Promise<boolean>} true si existe
      */
-    existsByEmail(email, excludeId = null) {
+    async existsByEmail(email, excludeId = null) {
         try {
-            const contacts = this.getAll();
-            return contacts.some(contact => 
-                contact.email.toLowerCase() === email.toLowerCase() && 
-                contact.id !== excludeId
-            );
+            const cache = await this.loadCache();
+            const ids = cache.byEmail.get(email.toLowerCase());
+            return !!ids && [...ids].some(id => id !== excludeId);
         } catch (error) {
             console.error('Error al verificar email:', error);
             return false;
@@ -217,15 +953,16 @@ class ContactRepository {
 
     /**
      * Obtiene estadísticas de los contactos
-     * @returns {object} Objeto con estadísticas
+     * @returns {Promise<object>} Objeto con estadísticas
      */
-    getStats() {
+    async getStats() {
         try {
-            const contacts = this.getAll();
+            const contacts = (await this.loadCache()).list;
             const stats = {
                 total: contacts.length,
                 bySubject: {},
                 byContactPreference: {},
+                byDay: {},
                 recentContacts: 0
             };
 
@@ -245,6 +982,10 @@ class ContactRepository {
                 if (diffHours <= 24) {
                     stats.recentContacts++;
                 }
+
+                // Envíos por día (fecha local en formato AAAA-MM-DD)
+                const day = ContactRepository.toDayKey(created);
+                stats.byDay[day] = (stats.byDay[day] || 0) + 1;
             });
 
             return stats;
@@ -254,19 +995,42 @@ class ContactRepository {
                 total: 0,
                 bySubject: {},
                 byContactPreference: {},
+                byDay: {},
                 recentContacts: 0
             };
         }
     }
 
     /**
-     * Exporta todos los contactos a JSON
-     * @returns {string} JSON string con todos los contactos
+     * Convierte una fecha a la clave de día usada en getStats().byDay
+     * @param {Date} date Fecha
+     * @returns {string} Día en formato AAAA-MM-DD (hora local)
+     */
+    static toDayKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Exporta todos los contactos a JSON. En modo cifrado, o si se indica una frase,
+     * el archivo es un sobre cifrado que solo importFromJSON puede leer.
+     * @param {object} options Opciones de exportación
+     * @param {string} options.passphrase Cifrar con esta frase en lugar de la del almacenamiento
+     * @returns {Promise<string>} JSON string con todos los contactos
      */
-    exportToJSON() {
+    async exportToJSON(options = {}) {
         try {
-            const contacts = this.getAll();
-            return JSON.stringify(contacts.map(c => c.toJSON()), null, 2);
+            const contacts = (await this.loadCache()).list;
+            const data = contacts.map(c => c.toJSON());
+
+            // En modo cifrado la exportación también sale cifrada
+            let cipher = this.encryption.cipher;
+            if (options.passphrase) {
+                cipher = await ContactCipher.fromPassphrase(options.passphrase);
+            }
+
+            return JSON.stringify(cipher ? await cipher.encrypt(data) : data, null, 2);
         } catch (error) {
             console.error('Error al exportar:', error);
             throw error;
@@ -274,53 +1038,84 @@ class ContactRepository {
     }
 
     /**
-     * Importa contactos desde JSON
+     * Exporta los contactos activos a CSV (RFC 4180)
+     * @returns {Promise<string>} Texto CSV con encabezado
+     */
+    async exportToCSV() {
+        try {
+            const contacts = (await this.loadCache()).list;
+            return CsvFormat.stringify(contacts.map(c => c.toJSON()));
+        } catch (error) {
+            console.error('Error al exportar:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Exporta contactos activos a vCard
+     * @param {Array<string>|null} ids IDs de los contactos a exportar (null = todos)
+     * @param {string} version Versión de vCard ('3.0' o '4.0')
+     * @returns {Promise<string>} Contenido del archivo .vcf
+     */
+    async exportToVCard(ids = null, version = '3.0') {
+        try {
+            const contacts = (await this.loadCache()).list
+                .filter(contact => !ids || ids.includes(contact.id));
+            return VCardFormat.stringify(contacts.map(c => c.toJSON()), version);
+        } catch (error) {
+            console.error('Error al exportar:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Importa contactos desde JSON (también exportaciones cifradas)
      * @param {string} jsonString JSON string con contactos
-     * @returns {object} Resultado de la importación
+     * @param {object} options Opciones de importación (ver ContactImporter.importRecords); options.passphrase
+     *        descifra una exportación hecha con otra frase de contraseña
+     * @returns {Promise<object>} Resultado de la importación, o la vista previa si options.dryRun
      */
-    importFromJSON(jsonString) {
+    async importFromJSON(jsonString, options = {}) {
         try {
-            const data = JSON.parse(jsonString);
+            let data = JSON.parse(jsonString);
+
+            if (ContactCipher.isEnvelope(data)) {
+                data = await this.decryptExport(data, options.passphrase);
+            }
+
             if (!Array.isArray(data)) {
                 throw new Error('El JSON debe contener un array de contactos');
             }
 
-            const currentContacts = this.getAll();
-            let imported = 0;
-            let skipped = 0;
-            let errors = [];
-
-            data.forEach((contactData, index) => {
+            // Los respaldos de versiones anteriores (p. ej. de sin_framework) se migran antes de validarlos
+            const records = data.map(record => {
                 try {
-                    const contacto = Contacto.fromJSON(contactData);
-                    const validation = contacto.validate();
-                    
-                    if (!validation.isValid) {
-                        errors.push(`Contacto ${index + 1}: ${validation.errors.map(e => e.message).join(', ')}`);
-                        return;
-                    }
-
-                    // Verificar si ya existe
-                    if (this.getById(contacto.id)) {
-                        skipped++;
-                        return;
-                    }
-
-                    currentContacts.push(contacto);
-                    imported++;
+                    return ContactRepository.migrateRecord(record).record;
                 } catch (error) {
-                    errors.push(`Contacto ${index + 1}: ${error.message}`);
+                    return error;
                 }
             });
 
-            this.saveToStorage(currentContacts);
+            return await this.importer.importRecords(records, 'Contacto', options);
+        } catch (error) {
+            console.error('Error al importar:', error);
+            throw error;
+        }
+    }
 
-            return {
-                imported,
-                skipped,
-                errors,
-                total: data.length
-            };
+    /**
+     * Importa contactos desde CSV
+     * @param {string|object} csv Contenido del archivo CSV, o el resultado de CsvFormat.parse
+     * @param {object|null} mapping Mapa encabezado → campo de Contacto; si es null
+     *        se usa CsvFormat.suggestMapping con los encabezados del archivo
+     * @param {object} options Opciones de importación (ver ContactImporter.importRecords)
+     * @returns {Promise<object>} Resultado de la importación, o la vista previa si options.dryRun
+     */
+    async importFromCSV(csv, mapping = null, options = {}) {
+        try {
+            const parsed = typeof csv === 'string' ? CsvFormat.parse(csv) : csv;
+            const columnMapping = mapping || CsvFormat.suggestMapping(parsed.headers);
+            return await this.importer.importRecords(CsvFormat.toRecords(parsed, columnMapping), 'Fila', options);
         } catch (error) {
             console.error('Error al importar:', error);
             throw error;
@@ -328,13 +1123,264 @@ class ContactRepository {
     }
 
     /**
-     * Guarda el array de contactos en localStorage
+     * Importa contactos desde un archivo vCard con una o varias tarjetas
+     * @param {string} vcfText Contenido del archivo .vcf
+     * @param {object} options Opciones de importación (ver ContactImporter.importRecords)
+     * @returns {Promise<object>} Resultado de la importación (errores por tarjeta), o la vista previa si options.dryRun
+     */
+    async importFromVCard(vcfText, options = {}) {
+        try {
+            const entries = VCardFormat.parse(vcfText);
+            const data = entries.map(entry => (entry.error ? new Error(entry.error) : entry.record));
+            return await this.importer.importRecords(data, 'Tarjeta', options);
+        } catch (error) {
+            console.error('Error al importar:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Campos editables en los que difieren dos contactos
+     * (no se comparan id, deletedAt ni fechaActualizacion)
+     * @param {Contacto} existing Contacto guardado
+     * @param {Contacto} incoming Contacto importado
+     * @returns {Array<string>} Nombres de los campos distintos
+     */
+    static diffContacts(existing, incoming) {
+        const before = existing.toJSON();
+        const after = incoming.toJSON();
+        return Object.keys(after)
+            .filter(field => !['id', 'deletedAt', 'fechaActualizacion'].includes(field))
+            .filter(field => before[field] !== after[field]);
+    }
+
+    /**
+     * Consulta el registro de auditoría (ver ContactAuditLog.query)
+     * @param {object} filters Filtros { contactId, from, to, operation }
+     * @returns {Promise<Array<object>>} Entradas, de la más reciente a la más antigua
+     */
+    async getAuditLog(filters = {}) {
+        return this.audit.query(filters);
+    }
+
+    /**
+     * Exporta el registro de auditoría a JSON
+     * @param {object} filters Filtros (ver getAuditLog)
+     * @returns {Promise<string>} JSON con las entradas
+     */
+    async exportAuditLog(filters = {}) {
+        return this.audit.export(filters);
+    }
+
+    /**
+     * Obtiene la política de retención vigente
+     * @returns {object} { deleteAfterDays, anonymizeAfterDays, anonymizeFields }
+     */
+    getRetentionPolicy() {
+        return this.retention.getPolicy();
+    }
+
+    /**
+     * Guarda una política de retención y la aplica de inmediato (ver ContactRetention.setPolicy)
+     * @param {object} policy Política { deleteAfterDays, anonymizeAfterDays, anonymizeFields }
+     * @returns {Promise<object>} { deleted, anonymized }
+     */
+    async setRetentionPolicy(policy) {
+        return this.retention.setPolicy(policy);
+    }
+
+    /**
+     * Aplica la política de retención vigente (ver ContactRetention.apply)
+     * @returns {Promise<object>} { deleted, anonymized }
+     */
+    async applyRetentionPolicy() {
+        return this.retention.apply();
+    }
+
+    /**
+     * Exporta todos los datos guardados de un email (ver ContactRetention.exportEmailData)
+     * @param {string} email Email
+     * @returns {Promise<string>} JSON con los datos
+     */
+    async exportEmailData(email) {
+        return this.retention.exportEmailData(email);
+    }
+
+    /**
+     * Borra todos los datos de un email (ver ContactRetention.forgetEmail)
+     * @param {string} email Email
+     * @returns {Promise<object>} { contacts, snapshots, quarantine, audit } con los registros eliminados
+     */
+    async forgetEmail(email) {
+        return this.retention.forgetEmail(email);
+    }
+
+    /**
+     * Indica si el modo cifrado está activo (ver ContactEncryption)
+     * @returns {boolean} true si los datos se guardan cifrados
+     */
+    isEncrypted() {
+        return this.encryption.isEncrypted();
+    }
+
+    /**
+     * Indica si falta desbloquear los datos cifrados
+     * @returns {boolean} true si el repositorio está bloqueado
+     */
+    isLocked() {
+        return this.encryption.isLocked();
+    }
+
+    /**
+     * Obtiene el adaptador que persiste los datos, sin la capa de cifrado
+     * @returns {StorageAdapter} Adaptador del backend
+     */
+    getBaseAdapter() {
+        return this.adapter instanceof EncryptedStorageAdapter ? this.adapter.inner : this.adapter;
+    }
+
+    /**
+     * Envuelve un adaptador con la capa de cifrado si hay una clave desbloqueada
+     * @param {StorageAdapter} adapter Adaptador del backend
+     * @returns {StorageAdapter} Adaptador a utilizar
+     */
+    wrapAdapter(adapter) {
+        const base = adapter instanceof EncryptedStorageAdapter ? adapter.inner : adapter;
+        const { cipher, previousCipher } = this.encryption;
+        return cipher ? new EncryptedStorageAdapter(base, cipher, previousCipher) : base;
+    }
+
+    /**
+     * Vuelve a envolver el adaptador con la clave vigente y descarta los auxiliares
+     */
+    refreshAdapters() {
+        this.adapter = this.wrapAdapter(this.adapter);
+        this.auxiliaryAdapters.clear();
+    }
+
+    /**
+     * Verifica una frase de contraseña contra la configuración guardada
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<ContactCipher>} Cifrador con la clave vigente
+     */
+    async verifyPassphrase(passphrase) {
+        return this.encryption.verifyPassphrase(passphrase);
+    }
+
+    /**
+     * Desbloquea los datos cifrados y completa un cambio de frase interrumpido
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<void>} Falla con ContactsPassphraseError si la frase no es correcta
+     */
+    async unlock(passphrase) {
+        await this.ready();
+        await this.encryption.unlock(passphrase);
+
+        console.log('Contactos desbloqueados');
+        this.emit('unlocked');
+        await this.purgeExpiredTrash();
+        await this.retention.load();
+        await this.retention.apply();
+    }
+
+    /**
+     * Olvida la clave y vuelve a bloquear los datos cifrados
+     */
+    lock() {
+        const wasUnlocked = this.encryption.forgetKeys();
+        this.adapter = this.getBaseAdapter();
+        this.auxiliaryAdapters.clear();
+        this.invalidateCache();
+
+        if (wasUnlocked || this.isEncrypted()) {
+            this.emit('locked');
+        }
+    }
+
+    /**
+     * Lee los contactos y sus claves auxiliares (ver getAuxiliaryKeys)
+     * @returns {Promise<object>} Mapa clave → registros
+     */
+    async readAllData() {
+        const data = { [this.storageKey]: await this.adapter.read() };
+        for (const key of this.getAuxiliaryKeys()) {
+            data[key] = ContactRepository.toRecordArray(await (await this.getAuxiliaryAdapter(key)).read());
+        }
+        return data;
+    }
+
+    /**
+     * Vuelve a guardar los contactos y sus claves auxiliares con otro cifrador
+     * (null para guardarlos en texto plano)
+     * @param {ContactCipher|null} cipher Cifrador nuevo
+     * @param {object} data Datos leídos con readAllData
+     * @returns {Promise<void>}
+     */
+    async writeAllData(cipher, data) {
+        await this.waitForMigration();
+        // La clave anterior se conserva para leer lo que aún no se reescribió
+        this.encryption.cipher = cipher;
+        this.refreshAdapters();
+
+        for (const [key, records] of Object.entries(data)) {
+            const adapter = key === this.storageKey ? this.adapter : await this.createAuxiliaryAdapter(key);
+            await adapter.write(records);
+        }
+
+        this.invalidateCache();
+    }
+
+    /**
+     * Activa el modo cifrado y cifra los datos guardados (ver ContactEncryption.enable)
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<void>}
+     */
+    async enableEncryption(passphrase) {
+        return this.encryption.enable(passphrase);
+    }
+
+    /**
+     * Cambia la frase de contraseña volviendo a cifrar todos los datos (ver ContactEncryption.change)
+     * @param {string} currentPassphrase Frase actual
+     * @param {string} newPassphrase Frase nueva
+     * @returns {Promise<void>}
+     */
+    async changePassphrase(currentPassphrase, newPassphrase) {
+        return this.encryption.change(currentPassphrase, newPassphrase);
+    }
+
+    /**
+     * Desactiva el modo cifrado y guarda los datos en texto plano
+     * @param {string} passphrase Frase de contraseña actual
+     * @returns {Promise<void>}
+     */
+    async disableEncryption(passphrase) {
+        return this.encryption.disable(passphrase);
+    }
+
+    /**
+     * Descifra una exportación cifrada (ver ContactEncryption.decryptExport)
+     * @param {object} envelope Sobre cifrado
+     * @param {string} passphrase Frase de contraseña (opcional si coincide con la del almacenamiento)
+     * @returns {Promise<any>} Datos exportados
+     */
+    async decryptExport(envelope, passphrase = null) {
+        return this.encryption.decryptExport(envelope, passphrase);
+    }
+
+    /**
+     * Guarda el array de contactos en el almacenamiento y actualiza la caché
      * @param {Array<Contacto>} contacts Array de contactos
+     * @returns {Promise<void>}
      */
-    saveToStorage(contacts) {
+    async saveToStorage(contacts) {
         try {
             const data = contacts.map(contact => contact.toJSON());
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            await this.snapshots.createIfDue();
+            await this.waitForMigration();
+            await this.adapter.write(data);
+            this.setCache(data);
+            await this.checkStorageQuota();
         } catch (error) {
             if (error.name === 'QuotaExceededError') {
                 throw new Error('Espacio de almacenamiento insuficiente. Considere usar IndexedDB para mayor capacidad.');
@@ -344,96 +1390,269 @@ class ContactRepository {
     }
 
     /**
-     * Maneja errores de almacenamiento reinicializando si es necesario
+     * Dispara la migración automática a IndexedDB cuando localStorage supera el umbral de uso
      */
-    handleStorageError() {
-        console.warn('Reinicializando almacenamiento debido a errores...');
+    async checkStorageQuota() {
+        if (!this.autoMigrate || this.migrationPromise) return;
+
+        const storageInfo = await this.getStorageInfo();
+        if (storageInfo.shouldConsiderIndexedDB) {
+            // No se espera la migración para no demorar la operación en curso;
+            // las escrituras siguientes esperan a que termine (ver waitForMigration)
+            this.migrateToIndexedDB();
+        }
+    }
+
+    /**
+     * Espera a que termine la migración a IndexedDB si está en curso. Las escrituras
+     * pasan por aquí: durante la migración irían a las claves de localStorage que se
+     * copian y después se borran, y se perderían.
+     * @returns {Promise<void>}
+     */
+    async waitForMigration() {
+        if (this.migrationPromise) {
+            await this.migrationPromise;
+        }
+    }
+
+    /**
+     * Migra una única vez los contactos guardados en localStorage a IndexedDB.
+     * Tras una migración exitosa se recuerda el backend y se libera la clave de localStorage.
+     * @returns {Promise<boolean>} true si se migró, false si no era necesario o posible
+     */
+    migrateToIndexedDB() {
+        if (this.migrationPromise) {
+            return this.migrationPromise;
+        }
+
+        this.migrationPromise = (async () => {
+            if (!(this.getBaseAdapter() instanceof LocalStorageAdapter) || !IndexedDBAdapter.isSupported()) {
+                return false;
+            }
+
+            // Se copian los datos tal como están guardados (cifrados o no)
+            const source = this.getBaseAdapter();
+            const target = new IndexedDBAdapter(this.storageKey);
+
+            try {
+                await target.init();
+                const records = await source.read();
+                await target.write(records);
+
+                this.adapter = this.wrapAdapter(target);
+                localStorage.setItem(this.backendKey, target.name);
+                await source.destroy();
+
+                // Las claves auxiliares se mudan con los contactos
+                for (const key of this.getAuxiliaryKeys()) {
+                    const auxiliarySource = new LocalStorageAdapter(key);
+                    const auxiliaryTarget = new IndexedDBAdapter(key);
+                    await auxiliaryTarget.init();
+                    await auxiliaryTarget.write(ContactRepository.toRecordArray(await auxiliarySource.read()));
+                    await auxiliarySource.destroy();
+                }
+                this.auxiliaryAdapters.clear();
+
+                console.log('Contactos migrados a IndexedDB');
+                return true;
+            } catch (error) {
+                console.error('Error al migrar contactos a IndexedDB:', error);
+                return false;
+            }
+        })();
+
+        return this.migrationPromise;
+    }
+
+    /**
+     * Maneja errores de almacenamiento reparando los datos guardados.
+     * Solo se pierden los fragmentos ilegibles, y quedan en el respaldo (ver repair).
+     * @returns {Promise<void>}
+     */
+    async handleStorageError() {
+        console.warn('Reparando almacenamiento debido a errores...');
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify([]));
+            const report = await this.repair();
+            console.warn(`Almacenamiento reparado: ${report.kept} contactos conservados, ${report.quarantined.length} en cuarentena`);
         } catch (error) {
-            console.error('No se pudo reinicializar el almacenamiento:', error);
+            console.error('No se pudo reparar el almacenamiento:', error);
         }
     }
 
     /**
-     * Verifica la integridad del almacenamiento
-     * @returns {object} Resultado de la verificación
+     * Claves auxiliares que se guardan con el mismo backend y cifrado que los contactos
+     * @returns {Array<string>} Cuarentena, copias de seguridad, auditoría y política de retención
      */
-    checkIntegrity() {
-        try {
-            const contacts = this.getAll();
-            let valid = 0;
-            let invalid = 0;
-            let duplicates = 0;
-            const seen = new Set();
-            const errors = [];
-
-            contacts.forEach((contact, index) => {
-                // Verificar duplicados
-                if (seen.has(contact.id)) {
-                    duplicates++;
-                    errors.push(`Contacto duplicado en índice ${index}: ${contact.id}`);
-                    return;
-                }
-                seen.add(contact.id);
-
-                // Verificar validez
-                const validation = contact.validate();
-                if (validation.isValid) {
-                    valid++;
-                } else {
-                    invalid++;
-                    errors.push(`Contacto inválido en índice ${index}: ${validation.errors.map(e => e.message).join(', ')}`);
-                }
-            });
+    getAuxiliaryKeys() {
+        return [this.integrity.key, this.snapshots.key, this.audit.key, this.retention.key];
+    }
 
-            return {
-                total: contacts.length,
-                valid,
-                invalid,
-                duplicates,
-                errors
-            };
+    /**
+     * Asegura que lo leído de una clave auxiliar sea un array. La política de retención
+     * se guardaba antes como un objeto suelto en localStorage; así se muda intacta.
+     * @param {*} stored Valor leído
+     * @returns {Array} Registros
+     */
+    static toRecordArray(stored) {
+        if (Array.isArray(stored)) return stored;
+        return stored ? [stored] : [];
+    }
+
+    /**
+     * Obtiene un adaptador del mismo backend para una clave auxiliar (cuarentena, respaldo)
+     * @param {string} key Clave auxiliar
+     * @returns {Promise<StorageAdapter>} Adaptador inicializado
+     */
+    async getAuxiliaryAdapter(key) {
+        await this.ready();
+        await this.waitForMigration();
+
+        if (this.isLocked()) {
+            throw ContactCipher.createError('ContactsLockedError', 'Los contactos están cifrados. Desbloquéelos con la frase de contraseña.');
+        }
+
+        const cached = this.auxiliaryAdapters.get(key);
+        if (cached && cached.constructor === this.adapter.constructor && cached.name === this.adapter.name) {
+            return cached;
+        }
+
+        const adapter = await this.createAuxiliaryAdapter(key);
+        this.auxiliaryAdapters.set(key, adapter);
+        return adapter;
+    }
+
+    /**
+     * Crea e inicializa el adaptador de una clave auxiliar con el backend y el cifrado actuales
+     * @param {string} key Clave auxiliar
+     * @returns {Promise<StorageAdapter>} Adaptador inicializado
+     */
+    async createAuxiliaryAdapter(key) {
+        const adapter = this.wrapAdapter(new (this.getBaseAdapter().constructor)(key));
+        await adapter.init();
+        return adapter;
+    }
+
+    /**
+     * Repara el almacenamiento (ver ContactIntegrity.repair)
+     * @param {object} options Opciones de reparación { dedupe, quarantineInvalid, dryRun }
+     * @returns {Promise<object>} Informe { total, kept, corrupted, recovered, discarded, quarantined, backup, dryRun }
+     */
+    async repair(options = {}) {
+        return this.integrity.repair(options);
+    }
+
+    /**
+     * Obtiene los registros apartados por repair()
+     * @returns {Promise<Array<object>>} Registros { index, id, reason, errors, record, quarantinedAt }
+     */
+    async getQuarantine() {
+        return this.integrity.getQuarantine();
+    }
+
+    /**
+     * Vacía la cuarentena
+     * @returns {Promise<void>}
+     */
+    async clearQuarantine() {
+        return this.integrity.clearQuarantine();
+    }
+
+    /**
+     * Verifica la integridad del almacenamiento (ver ContactIntegrity.check). Los problemas
+     * encontrados se pueden corregir con repair().
+     * @returns {Promise<object>} { total, valid, invalid, duplicates, schemaVersion, migrated, issues, errors }
+     */
+    async checkIntegrity() {
+        return this.integrity.check();
+    }
+
+    /**
+     * Lee los registros de un texto almacenado, recuperando los legibles si está dañado
+     * @param {string} raw Datos serializados
+     * @returns {Array<object>} Registros (objetos planos)
+     */
+    static parseStoredData(raw) {
+        let records;
+        try {
+            records = JSON.parse(raw);
         } catch (error) {
-            console.error('Error al verificar integridad:', error);
-            return {
-                total: 0,
-                valid: 0,
-                invalid: 0,
-                duplicates: 0,
-                errors: ['Error al acceder al almacenamiento']
-            };
+            records = null;
         }
+
+        if (!Array.isArray(records)) {
+            records = ContactIntegrity.recoverRecords(raw).records;
+        }
+
+        return records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    }
+
+    /**
+     * Guarda una copia de seguridad de los datos actuales (ver ContactSnapshots.create)
+     * @param {string} reason Motivo de la copia
+     * @returns {Promise<object>} Datos de la copia sin su contenido
+     */
+    async createSnapshot(reason) {
+        return this.snapshots.create(reason);
+    }
+
+    /**
+     * Lista las copias de seguridad disponibles, de la más reciente a la más antigua
+     * @returns {Promise<Array<object>>} Copias { id, createdAt, reason, backend, count, sizeBytes }
+     */
+    async getSnapshots() {
+        return this.snapshots.list();
+    }
+
+    /**
+     * Compara una copia de seguridad con los datos actuales (ver ContactSnapshots.compare)
+     * @param {string} id ID de la copia
+     * @returns {Promise<object>} { snapshot, added, removed, changed, unchanged }
+     */
+    async compareSnapshot(id) {
+        return this.snapshots.compare(id);
+    }
+
+    /**
+     * Reemplaza los contactos por los de una copia de seguridad (ver ContactSnapshots.restore)
+     * @param {string} id ID de la copia
+     * @returns {Promise<number>} Cantidad de contactos activos restaurados
+     */
+    async restoreSnapshot(id) {
+        return this.snapshots.restore(id);
     }
 
     /**
      * Obtiene información sobre el uso del almacenamiento
-     * @returns {object} Información del almacenamiento
+     * @returns {Promise<object>} Información del almacenamiento
      */
-    getStorageInfo() {
+    async getStorageInfo() {
         try {
-            const data = localStorage.getItem(this.storageKey);
-            const sizeBytes = new Blob([data]).size;
+            await this.ready();
+            const sizeBytes = await this.adapter.getSizeBytes();
             const sizeKB = Math.round(sizeBytes / 1024 * 100) / 100;
             const sizeMB = Math.round(sizeKB / 1024 * 100) / 100;
 
-            // Estimación del límite de localStorage (usualmente ~5MB)
-            const estimatedLimit = 5 * 1024; // KB
+            // Límite estimado del backend actual (localStorage usualmente ~5MB)
+            const estimatedLimit = this.adapter.estimatedLimitKB;
             const usagePercentage = Math.round((sizeKB / estimatedLimit) * 100);
 
             return {
+                backend: this.adapter.name,
                 sizeBytes,
                 sizeKB,
                 sizeMB,
+                limitKB: estimatedLimit,
                 usagePercentage,
-                shouldConsiderIndexedDB: usagePercentage > 70
+                shouldConsiderIndexedDB: usagePercentage > 70 && this.adapter.name !== 'indexedDB'
             };
         } catch (error) {
             console.error('Error al obtener información de almacenamiento:', error);
             return {
+                backend: this.adapter.name,
                 sizeBytes: 0,
                 sizeKB: 0,
                 sizeMB: 0,
+                limitKB: this.adapter.estimatedLimitKB,
                 usagePercentage: 0,
                 shouldConsiderIndexedDB: false
             };
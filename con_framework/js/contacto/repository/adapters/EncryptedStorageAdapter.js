@@ -0,0 +1,86 @@
+/**
+ * EncryptedStorageAdapter - Cifra los registros antes de entregarlos a otro adaptador
+ * Patrón: Decorator Pattern (sobre un StorageAdapter)
+ *
+ * El adaptador interno guarda un array con un único sobre cifrado (ver ContactCipher),
+ * así localStorage e IndexedDB siguen recibiendo un array. Los datos que aún están
+ * en texto plano se leen tal cual y quedan cifrados en la siguiente escritura.
+ *
+ * Durante un cambio de frase de contraseña algunas claves pueden seguir cifradas con
+ * la clave anterior: cada sobre se descifra con la clave cuya sal coincide.
+ */
+class EncryptedStorageAdapter extends StorageAdapter {
+    /**
+     * @param {StorageAdapter} inner Adaptador que persiste los datos cifrados
+     * @param {ContactCipher} cipher Cifrador con la clave desbloqueada
+     * @param {ContactCipher|null} previous Cifrador de la clave anterior, solo para leer
+     */
+    constructor(inner, cipher, previous = null) {
+        super(inner.storageKey);
+        this.inner = inner;
+        this.cipher = cipher;
+        this.previous = previous;
+        this.name = inner.name;
+        this.estimatedLimitKB = inner.estimatedLimitKB;
+    }
+
+    /**
+     * Inicializa el adaptador interno
+     */
+    async init() {
+        await this.inner.init();
+    }
+
+    /**
+     * Lee y descifra los registros
+     * @returns {Promise<Array<object>>} Array de objetos planos
+     */
+    async read() {
+        const stored = await this.inner.read();
+
+        if (stored.length === 1 && ContactCipher.isEnvelope(stored[0])) {
+            const cipher = this.previous && this.previous.matches(stored[0]) ? this.previous : this.cipher;
+            const records = await cipher.decrypt(stored[0]);
+            return Array.isArray(records) ? records : [];
+        }
+
+        return stored;
+    }
+
+    /**
+     * Cifra y guarda los registros
+     * @param {Array<object>} records Array de objetos planos
+     */
+    async write(records) {
+        await this.inner.write([await this.cipher.encrypt(records)]);
+    }
+
+    /**
+     * Obtiene los datos descifrados; si el contenedor está dañado se devuelve
+     * el texto guardado para que repair() intente recuperarlo
+     * @returns {Promise<string>} Datos serializados
+     */
+    async readRaw() {
+        try {
+            return JSON.stringify(await this.read());
+        } catch (error) {
+            if (error.name === 'ContactsPassphraseError') throw error;
+            return this.inner.readRaw();
+        }
+    }
+
+    /**
+     * Elimina la clave del adaptador interno
+     */
+    async destroy() {
+        await this.inner.destroy();
+    }
+
+    /**
+     * Obtiene el tamaño de los datos cifrados
+     * @returns {Promise<number>} Tamaño en bytes
+     */
+    async getSizeBytes() {
+        return this.inner.getSizeBytes();
+    }
+}
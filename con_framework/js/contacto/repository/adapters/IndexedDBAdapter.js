@@ -0,0 +1,103 @@
+/**
+ * IndexedDBAdapter - Guarda los contactos en IndexedDB
+ * Patrón: Adapter Pattern
+ */
+class IndexedDBAdapter extends StorageAdapter {
+    /**
+     * @param {string} storageKey Clave bajo la que se guardan los contactos
+     * @param {object} options Opciones del adaptador
+     * @param {string} options.dbName Nombre de la base de datos
+     * @param {string} options.storeName Nombre del object store
+     */
+    constructor(storageKey, options = {}) {
+        super(storageKey);
+        this.name = 'indexedDB';
+        this.dbName = options.dbName || 'contactosDB';
+        this.storeName = options.storeName || 'almacen';
+        // IndexedDB permite mucho más espacio que localStorage; usamos una estimación conservadora
+        this.estimatedLimitKB = 50 * 1024;
+        this.db = null;
+    }
+
+    /**
+     * Abre la base de datos
+     * @returns {Promise<void>} Se resuelve cuando la conexión está abierta
+     */
+    async init() {
+        this.db = await this.openDatabase();
+    }
+
+    /**
+     * Abre (o crea) la base de datos
+     * @returns {Promise<IDBDatabase>} Conexión abierta
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const openRequest = indexedDB.open(this.dbName, 1);
+
+            openRequest.onupgradeneeded = () => {
+                const db = openRequest.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            openRequest.onsuccess = () => resolve(openRequest.result);
+            openRequest.onerror = () => reject(openRequest.error);
+        });
+    }
+
+    /**
+     * Ejecuta una operación sobre el object store dentro de una transacción
+     * @param {string} mode Modo de la transacción ('readonly' o 'readwrite')
+     * @param {Function} operation Función que recibe el store y retorna un IDBRequest
+     * @returns {Promise<any>} Resultado de la operación
+     */
+    request(mode, operation) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) {
+                reject(new Error('La base de datos IndexedDB no está abierta'));
+                return;
+            }
+
+            const transaction = this.db.transaction(this.storeName, mode);
+            const idbRequest = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(idbRequest.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Lee los registros guardados en IndexedDB
+     * @returns {Promise<Array<object>>} Array de objetos planos
+     */
+    async read() {
+        const stored = await this.request('readonly', store => store.get(this.storageKey));
+        return Array.isArray(stored) ? stored : [];
+    }
+
+    /**
+     * Reemplaza los registros guardados en IndexedDB
+     * @param {Array<object>} records Array de objetos planos
+     */
+    async write(records) {
+        await this.request('readwrite', store => store.put(records, this.storageKey));
+    }
+
+    /**
+     * Elimina la clave de IndexedDB
+     */
+    async destroy() {
+        await this.request('readwrite', store => store.delete(this.storageKey));
+    }
+
+    /**
+     * Verifica que IndexedDB exista en el navegador
+     * @returns {boolean} true si se puede usar
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+}
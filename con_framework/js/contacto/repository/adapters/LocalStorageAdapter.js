@@ -0,0 +1,70 @@
+/**
+ * LocalStorageAdapter - Guarda los contactos como un único JSON en localStorage
+ * Patrón: Adapter Pattern
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(storageKey) {
+        super(storageKey);
+        this.name = 'localStorage';
+        // Estimación del límite de localStorage (usualmente ~5MB)
+        this.estimatedLimitKB = 5 * 1024;
+    }
+
+    /**
+     * Inicializa la clave si no existe
+     */
+    async init() {
+        if (!localStorage.getItem(this.storageKey)) {
+            localStorage.setItem(this.storageKey, JSON.stringify([]));
+        }
+    }
+
+    /**
+     * Lee y parsea el JSON almacenado
+     * @returns {Promise<Array<object>>} Array de objetos planos
+     */
+    async read() {
+        const data = localStorage.getItem(this.storageKey);
+        return JSON.parse(data) || [];
+    }
+
+    /**
+     * Obtiene el JSON almacenado tal cual, aunque esté dañado
+     * @returns {Promise<string>} Texto guardado bajo la clave
+     */
+    async readRaw() {
+        return localStorage.getItem(this.storageKey) || '[]';
+    }
+
+    /**
+     * Serializa y guarda los registros
+     * @param {Array<object>} records Array de objetos planos
+     */
+    async write(records) {
+        localStorage.setItem(this.storageKey, JSON.stringify(records));
+    }
+
+    /**
+     * Elimina la clave de localStorage
+     */
+    async destroy() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Obtiene el tamaño del JSON almacenado
+     * @returns {Promise<number>} Tamaño en bytes
+     */
+    async getSizeBytes() {
+        const data = localStorage.getItem(this.storageKey) || '';
+        return new Blob([data]).size;
+    }
+
+    /**
+     * Verifica que localStorage exista en el navegador
+     * @returns {boolean} true si se puede usar
+     */
+    static isSupported() {
+        return typeof localStorage !== 'undefined';
+    }
+}
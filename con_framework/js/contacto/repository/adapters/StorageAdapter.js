@@ -0,0 +1,75 @@
+/**
+ * StorageAdapter - Interfaz base para los backends de almacenamiento de contactos
+ * Patrón: Adapter Pattern
+ *
+ * Cada adaptador guarda el array completo de contactos (objetos planos) bajo una clave
+ * y expone la misma API asíncrona, de modo que ContactRepository no dependa del backend
+ * concreto (localStorage, IndexedDB o un servicio REST local).
+ */
+class StorageAdapter {
+    /**
+     * @param {string} storageKey Clave bajo la que se guardan los contactos
+     */
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+        this.name = 'base';
+        // Límite estimado del backend en KB (usado por getStorageInfo)
+        this.estimatedLimitKB = 5 * 1024;
+    }
+
+    /**
+     * Prepara el backend (abrir conexiones, cargar datos, crear la clave vacía)
+     * @returns {Promise<void>} Se resuelve cuando el adaptador está listo
+     */
+    async init() {}
+
+    /**
+     * Lee todos los registros almacenados
+     * @returns {Promise<Array<object>>} Array de objetos planos
+     */
+    async read() {
+        throw new Error(`read() no está implementado en el adaptador ${this.name}`);
+    }
+
+    /**
+     * Lee los datos almacenados sin interpretarlos, para poder respaldarlos o
+     * recuperar registros cuando read() falla
+     * @returns {Promise<string>} Datos serializados
+     */
+    async readRaw() {
+        return JSON.stringify(await this.read());
+    }
+
+    /**
+     * Reemplaza todos los registros almacenados
+     * @param {Array<object>} records Array de objetos planos
+     * @returns {Promise<void>} Se resuelve cuando los datos están persistidos
+     */
+    async write(records) {
+        throw new Error(`write() no está implementado en el adaptador ${this.name}`);
+    }
+
+    /**
+     * Elimina por completo la clave del backend
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        throw new Error(`destroy() no está implementado en el adaptador ${this.name}`);
+    }
+
+    /**
+     * Obtiene el tamaño aproximado de los datos almacenados
+     * @returns {Promise<number>} Tamaño en bytes
+     */
+    async getSizeBytes() {
+        return new Blob([JSON.stringify(await this.read())]).size;
+    }
+
+    /**
+     * Indica si el backend está disponible en el navegador actual
+     * @returns {boolean} true si se puede usar
+     */
+    static isSupported() {
+        return true;
+    }
+}
@@ -0,0 +1,269 @@
+/**
+ * ContactAuditLog - Registro de auditoría de las mutaciones de ContactRepository
+ * Patrón: Delegation (colaborador del repositorio)
+ *
+ * Cada mutación queda en un registro de solo anexado con la operación, el contacto
+ * y los campos que cambiaron. Las entradas se guardan en una clave auxiliar del
+ * repositorio, con su mismo backend y cifrado. El registro rota: se descartan las
+ * entradas más antiguas que maxAgeDays o que excedan maxEntries.
+ */
+class ContactAuditLog {
+    /**
+     * @param {ContactRepository} repository Repositorio que provee el almacenamiento y los eventos
+     * @param {object} options Opciones del registro
+     * @param {number} options.maxEntries Entradas que se conservan
+     * @param {number} options.maxAgeDays Días que se conserva una entrada
+     */
+    constructor(repository, options = {}) {
+        this.repository = repository;
+        this.key = 'contactos_auditoria';
+        this.maxEntries = options.maxEntries ?? 2000;
+        this.maxAgeDays = options.maxAgeDays ?? 365;
+        // Identifica a esta pestaña en el registro
+        this.sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        // Escrituras del registro en curso, una a la vez
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Operaciones que registra la auditoría
+     * @returns {Array<string>} Operaciones
+     */
+    static get OPERATIONS() {
+        return ['add', 'update', 'remove', 'clear', 'restore', 'purge', 'import', 'repair', 'snapshotRestore',
+            'anonymize', 'retention', 'erasure'];
+    }
+
+    /**
+     * Largo máximo de un valor de texto en una entrada; los más largos
+     * (p. ej. el mensaje) se guardan recortados
+     * @returns {number} Caracteres
+     */
+    static get VALUE_MAX_LENGTH() {
+        return 200;
+    }
+
+    /**
+     * Valor que reemplaza a los datos anonimizados en el registro
+     * @returns {string} Marcador
+     */
+    static get REDACTED() {
+        return '[anonimizado]';
+    }
+
+    /**
+     * Campos que cambiaron entre dos versiones de un registro
+     * (no se registran id, schemaVersion ni fechaActualizacion)
+     * @param {object|null} before Registro anterior (null si se creó)
+     * @param {object|null} after Registro posterior (null si se eliminó)
+     * @returns {object} Mapa campo → { before, after }; los valores vacíos se registran como null
+     */
+    static diffRecords(before, after) {
+        const previous = before || {};
+        const next = after || {};
+        const changes = {};
+        // Un campo vacío y uno inexistente se registran igual
+        const normalize = value => (value === undefined || value === '' ? null : value);
+
+        new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(field => {
+            if (['id', 'schemaVersion', 'fechaActualizacion'].includes(field)) return;
+
+            const from = normalize(previous[field]);
+            const to = normalize(next[field]);
+            if (from !== to) {
+                changes[field] = { before: from, after: to };
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * Contactos que difieren entre dos listas completas, para auditar reemplazos masivos
+     * @param {Array<Contacto>} before Contactos anteriores
+     * @param {Array<Contacto>} after Contactos posteriores
+     * @returns {Array<object>} Cambios { id, before, after }
+     */
+    static diffCollections(before, after) {
+        const previous = new Map(before.map(contact => [contact.id, contact]));
+        const next = new Map(after.map(contact => [contact.id, contact]));
+
+        return [...new Set([...previous.keys(), ...next.keys()])]
+            .map(id => ({ id, before: previous.get(id) || null, after: next.get(id) || null }))
+            .filter(item => JSON.stringify(item.before && item.before.toJSON()) !== JSON.stringify(item.after && item.after.toJSON()));
+    }
+
+    /**
+     * Recorta los valores de texto largos de los cambios de una entrada
+     * @param {object} changes Mapa campo → { before, after }
+     * @returns {object} Cambios con los textos recortados
+     */
+    static truncateChanges(changes) {
+        const max = ContactAuditLog.VALUE_MAX_LENGTH;
+        const truncate = value => (typeof value === 'string' && value.length > max ? `${value.slice(0, max)}…` : value);
+
+        return Object.fromEntries(Object.entries(changes).map(([field, change]) => [
+            field,
+            { before: truncate(change.before), after: truncate(change.after) }
+        ]));
+    }
+
+    /**
+     * Reemplaza por REDACTED los valores de los campos indicados en una entrada
+     * @param {object} entry Entrada de auditoría
+     * @param {Array<string>} fields Campos anonimizados
+     * @returns {object} La misma entrada si no tenía esos campos, o una copia
+     */
+    static redactEntry(entry, fields) {
+        const changes = entry.changes || {};
+        if (!fields.some(field => changes[field])) return entry;
+
+        const redact = value => (value === null ? null : ContactAuditLog.REDACTED);
+        const redacted = { ...changes };
+        fields.filter(field => changes[field]).forEach(field => {
+            redacted[field] = { before: redact(changes[field].before), after: redact(changes[field].after) };
+        });
+
+        return { ...entry, changes: redacted };
+    }
+
+    /**
+     * Descarta las entradas más antiguas que maxAgeDays y, de las restantes,
+     * las que excedan maxEntries
+     * @param {Array<object>} entries Entradas en orden de registro
+     * @returns {Array<object>} Entradas que se conservan
+     */
+    rotate(entries) {
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+        const recent = entries.filter(entry => !(new Date(entry.timestamp).getTime() < cutoff));
+        return recent.slice(-Math.max(1, this.maxEntries));
+    }
+
+    /**
+     * Agrega entradas al registro. Las escrituras se encolan para no pisarse entre
+     * sí, y un fallo al registrar no interrumpe la operación auditada: el repositorio
+     * emite 'auditFailed'. Si no hay espacio se descartan más entradas antiguas
+     * antes de fallar.
+     * @param {string} operation Operación (ver OPERATIONS)
+     * @param {Array<object>} items Cambios { id, before, after } con Contacto o null; changes reemplaza
+     *        al cálculo de diferencias y un id null registra la operación sin contacto asociado
+     * @param {object|null} details Datos adicionales de la operación
+     * @returns {Promise<void>}
+     */
+    record(operation, items, details = null) {
+        const timestamp = new Date().toISOString();
+        const entries = items
+            .map(({ id, before = null, after = null, changes = null }) => ({
+                id: `audit_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                timestamp,
+                operation,
+                contactId: id,
+                session: this.sessionId,
+                changes: ContactAuditLog.truncateChanges(
+                    changes || ContactAuditLog.diffRecords(before && before.toJSON(), after && after.toJSON())
+                ),
+                ...(details ? { details } : {})
+            }))
+            .filter(entry => entry.contactId === null || Object.keys(entry.changes).length > 0);
+
+        if (entries.length === 0) {
+            return this.queue;
+        }
+
+        this.queue = this.queue
+            .then(async () => {
+                const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+                let log = this.rotate([...(await adapter.read()), ...entries]);
+
+                for (;;) {
+                    try {
+                        await adapter.write(log);
+                        break;
+                    } catch (error) {
+                        const older = log.length - entries.length;
+                        if (error.name !== 'QuotaExceededError' || older <= 0) {
+                            throw error;
+                        }
+                        console.warn(`Sin espacio para la auditoría: se descartan ${Math.ceil(older / 2)} entradas antiguas`);
+                        log = log.slice(Math.ceil(older / 2));
+                    }
+                }
+            })
+            .catch(error => {
+                console.error('No se pudo registrar la auditoría:', error);
+                this.repository.emit('auditFailed', { operation, error: error.message, quota: error.name === 'QuotaExceededError' });
+            });
+
+        return this.queue;
+    }
+
+    /**
+     * Consulta el registro, de la entrada más reciente a la más antigua
+     * @param {object} filters Filtros opcionales
+     * @param {string} filters.contactId Solo las entradas de este contacto
+     * @param {string|Date} filters.from Desde esta fecha (incluida)
+     * @param {string|Date} filters.to Hasta esta fecha (incluida)
+     * @param {string} filters.operation Solo esta operación
+     * @returns {Promise<Array<object>>} Entradas { id, timestamp, operation, contactId, session, changes, details }
+     */
+    async query(filters = {}) {
+        const { contactId = null, from = null, to = null, operation = null } = filters;
+        const fromTime = from ? new Date(from).getTime() : -Infinity;
+        const toTime = to ? new Date(to).getTime() : Infinity;
+
+        await this.queue;
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        const entries = await adapter.read();
+
+        // Las entradas se anexan en orden; invertirlas mantiene el orden entre las de la misma fecha
+        return entries
+            .reverse()
+            .filter(entry => {
+                const time = new Date(entry.timestamp).getTime();
+                return (!contactId || entry.contactId === contactId) &&
+                    (!operation || entry.operation === operation) &&
+                    time >= fromTime && time <= toTime;
+            })
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    /**
+     * Exporta el registro a JSON
+     * @param {object} filters Filtros (ver query)
+     * @returns {Promise<string>} JSON con las entradas
+     */
+    async export(filters = {}) {
+        try {
+            return JSON.stringify(await this.query(filters), null, 2);
+        } catch (error) {
+            console.error('Error al exportar la auditoría:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reescribe las entradas guardadas en la cola del registro, para no perder
+     * las que se estén anexando
+     * @param {Function} transform Recibe una entrada y retorna la misma, una copia modificada o null para eliminarla
+     * @returns {Promise<number>} Entradas modificadas o eliminadas
+     */
+    async rewrite(transform) {
+        let changed = 0;
+        const task = this.queue.then(async () => {
+            const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+            const entries = (await adapter.read()).reduce((kept, entry) => {
+                const next = transform(entry);
+                if (next !== entry) changed++;
+                if (next) kept.push(next);
+                return kept;
+            }, []);
+            if (changed > 0) {
+                await adapter.write(entries);
+            }
+        });
+        this.queue = task.catch(() => {});
+        await task;
+
+        return changed;
+    }
+}
@@ -0,0 +1,246 @@
+/**
+ * ContactSnapshots - Copias de seguridad rotativas de los contactos guardados
+ * Patrón: Memento Pattern (guarda y restaura el estado del almacenamiento)
+ *
+ * Cada copia guarda los datos tal como están en el backend, en una clave auxiliar
+ * del repositorio con su mismo backend y cifrado. Se toma una automática cada
+ * intervalMinutes como máximo y otra antes de cada operación que borra datos; se
+ * conservan las count más recientes. Cualquiera de ellas puede compararse con los
+ * datos actuales y restaurarse.
+ */
+class ContactSnapshots {
+    /**
+     * @param {ContactRepository} repository Repositorio que provee el almacenamiento y los contactos
+     * @param {object} options Opciones de las copias
+     * @param {number} options.count Copias que se conservan (0 desactiva las automáticas)
+     * @param {number} options.intervalMinutes Minutos mínimos entre copias automáticas
+     */
+    constructor(repository, options = {}) {
+        this.repository = repository;
+        this.key = 'contactos_respaldos';
+        this.count = options.count ?? 5;
+        this.intervalMinutes = options.intervalMinutes ?? 60;
+        // Fecha (ms) de la última copia; null hasta consultarla en el almacenamiento
+        this.lastSnapshotAt = null;
+    }
+
+    /**
+     * Quita el contenido de una copia para listarla
+     * @param {object} snapshot Copia completa
+     * @returns {object} { id, createdAt, reason, backend, count, sizeBytes }
+     */
+    static describe(snapshot) {
+        const { data, ...info } = snapshot;
+        return { ...info, sizeBytes: new Blob([data]).size };
+    }
+
+    /**
+     * Lee las copias guardadas, de la más reciente a la más antigua
+     * @returns {Promise<Array<object>>} Copias completas (con data)
+     */
+    async read() {
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        const snapshots = await adapter.read();
+        return snapshots.filter(snapshot => snapshot && snapshot.id && typeof snapshot.data === 'string');
+    }
+
+    /**
+     * Guarda una copia de los datos actuales y descarta las más antiguas hasta
+     * dejar count. Si no hay espacio se descartan más copias antiguas antes de fallar.
+     * @param {string} reason Motivo ('auto', 'clear', 'purge', 'repair' o 'restore')
+     * @param {string|null} raw Datos serializados; por defecto se leen del backend
+     * @returns {Promise<object>} Datos de la copia sin su contenido (ver list)
+     */
+    async create(reason, raw = null) {
+        const repository = this.repository;
+        await repository.ready();
+
+        const data = raw !== null ? raw : await repository.adapter.readRaw();
+        const snapshot = {
+            id: `snapshot_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+            createdAt: new Date().toISOString(),
+            reason,
+            backend: repository.adapter.name,
+            count: ContactRepository.parseStoredData(data).filter(record => !record.deletedAt).length,
+            data
+        };
+
+        const adapter = await repository.getAuxiliaryAdapter(this.key);
+        let snapshots = [snapshot, ...(await this.read())].slice(0, Math.max(1, this.count));
+
+        for (;;) {
+            try {
+                await adapter.write(snapshots);
+                break;
+            } catch (error) {
+                if (error.name !== 'QuotaExceededError' || snapshots.length === 1) {
+                    throw error;
+                }
+                snapshots = snapshots.slice(0, -1);
+            }
+        }
+
+        this.lastSnapshotAt = Date.parse(snapshot.createdAt);
+        return ContactSnapshots.describe(snapshot);
+    }
+
+    /**
+     * Toma una copia sin interrumpir la operación en curso si falla
+     * @param {string} reason Motivo de la copia
+     * @returns {Promise<object|null>} Datos de la copia, o null si no se pudo tomar
+     */
+    async tryCreate(reason) {
+        if (this.count <= 0) return null;
+
+        try {
+            return await this.create(reason);
+        } catch (error) {
+            console.error('No se pudo crear la copia de seguridad:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Toma una copia automática si pasaron intervalMinutes desde la última
+     * y hay contactos que respaldar
+     * @returns {Promise<void>}
+     */
+    async createIfDue() {
+        if (this.count <= 0) return;
+
+        if (this.lastSnapshotAt === null) {
+            const [latest] = await this.read();
+            this.lastSnapshotAt = latest ? Date.parse(latest.createdAt) : 0;
+        }
+
+        if (Date.now() - this.lastSnapshotAt < this.intervalMinutes * 60 * 1000) return;
+        const cache = this.repository.cache;
+        if (!cache || cache.all.length === 0) return;
+
+        await this.tryCreate('auto');
+    }
+
+    /**
+     * Lista las copias disponibles, de la más reciente a la más antigua
+     * @returns {Promise<Array<object>>} Copias { id, createdAt, reason, backend, count, sizeBytes }
+     */
+    async list() {
+        const snapshots = await this.read();
+        return snapshots.map(snapshot => ContactSnapshots.describe(snapshot));
+    }
+
+    /**
+     * Obtiene los contactos guardados en una copia
+     * @param {string} id ID de la copia
+     * @returns {Promise<object>} { snapshot, contacts } con los datos de la copia y sus Contacto
+     */
+    async load(id) {
+        const snapshot = (await this.read()).find(item => item.id === id);
+        if (!snapshot) {
+            throw new Error('La copia de seguridad no existe');
+        }
+
+        const contacts = [];
+        ContactRepository.parseStoredData(snapshot.data).forEach(record => {
+            try {
+                contacts.push(Contacto.fromJSON(ContactRepository.migrateRecord(record).record));
+            } catch (error) {
+                console.error('Registro ilegible en la copia de seguridad:', error);
+            }
+        });
+
+        return { snapshot: ContactSnapshots.describe(snapshot), contacts };
+    }
+
+    /**
+     * Compara una copia con los datos actuales, desde el punto de vista de restaurarla
+     * @param {string} id ID de la copia
+     * @returns {Promise<object>} { snapshot, added, removed, changed, unchanged }: added son los
+     *          contactos que volverían, removed los que se perderían y changed ({ contact, current, fields })
+     *          los que volverían a su versión de la copia
+     */
+    async compare(id) {
+        const { snapshot, contacts } = await this.load(id);
+        const cache = await this.repository.loadCache();
+        const current = new Map(cache.all.map(contact => [contact.id, contact]));
+        const inSnapshot = new Set(contacts.map(contact => contact.id));
+        const changed = [];
+        let unchanged = 0;
+
+        contacts.filter(contact => current.has(contact.id)).forEach(contact => {
+            const existing = current.get(contact.id);
+            const fields = ContactRepository.diffContacts(existing, contact);
+            if (existing.isDeleted() !== contact.isDeleted()) {
+                fields.push('deletedAt');
+            }
+
+            if (fields.length > 0) {
+                changed.push({ contact: contact.clone(), current: existing.clone(), fields });
+            } else {
+                unchanged++;
+            }
+        });
+
+        return {
+            snapshot,
+            added: contacts.filter(contact => !current.has(contact.id)).map(contact => contact.clone()),
+            removed: cache.all.filter(contact => !inSnapshot.has(contact.id)).map(contact => contact.clone()),
+            changed,
+            unchanged
+        };
+    }
+
+    /**
+     * Reemplaza los contactos por los de una copia. Antes se guarda una copia
+     * de los datos actuales para poder deshacer la restauración.
+     * @param {string} id ID de la copia
+     * @returns {Promise<number>} Cantidad de contactos activos restaurados
+     */
+    async restore(id) {
+        const repository = this.repository;
+        return repository.enqueueMutation(async () => {
+            try {
+                const { snapshot, contacts } = await this.load(id);
+
+                await this.create('restore');
+                const before = (await repository.loadCache()).all;
+                await repository.saveToStorage(contacts);
+                await repository.audit.record('snapshotRestore', ContactAuditLog.diffCollections(before, contacts), { snapshotId: id });
+
+                const count = contacts.filter(contact => !contact.isDeleted()).length;
+                console.log(`Copia de seguridad del ${snapshot.createdAt} restaurada: ${count} contactos`);
+                repository.emit('snapshotRestored', { id, count });
+                return count;
+            } catch (error) {
+                console.error('Error al restaurar la copia de seguridad:', error);
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Reescribe los registros guardados en las copias
+     * @param {Function} transform Recibe un registro plano y retorna el mismo, una copia modificada o null para eliminarlo
+     * @returns {Promise<number>} Registros modificados o eliminados
+     */
+    async rewrite(transform) {
+        let changed = 0;
+        const snapshots = (await this.read()).map(snapshot => {
+            const before = changed;
+            const records = ContactRepository.parseStoredData(snapshot.data).reduce((kept, record) => {
+                const next = transform(record);
+                if (next !== record) changed++;
+                if (next) kept.push(next);
+                return kept;
+            }, []);
+            if (changed === before) return snapshot;
+
+            return { ...snapshot, data: JSON.stringify(records), count: records.filter(record => !record.deletedAt).length };
+        });
+
+        if (changed > 0) {
+            await (await this.repository.getAuxiliaryAdapter(this.key)).write(snapshots);
+        }
+        return changed;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * ContactCipher - Cifra y descifra datos de contactos con Web Crypto
+ * Patrón: Facade Pattern (sobre la API crypto.subtle)
+ *
+ * La clave AES-GCM de 256 bits se deriva de una frase de contraseña con PBKDF2
+ * (SHA-256). Cada valor cifrado se guarda en un sobre JSON que incluye la sal,
+ * las iteraciones y el vector de inicialización, de modo que un archivo exportado
+ * puede descifrarse en otro navegador conociendo solo la frase.
+ */
+class ContactCipher {
+    /**
+     * @param {CryptoKey} key Clave AES-GCM derivada
+     * @param {Uint8Array} salt Sal usada en la derivación
+     * @param {number} iterations Iteraciones de PBKDF2
+     */
+    constructor(key, salt, iterations) {
+        this.key = key;
+        this.salt = salt;
+        this.iterations = iterations;
+    }
+
+    /**
+     * Iteraciones de PBKDF2 para las claves nuevas
+     * @returns {number} Iteraciones
+     */
+    static get ITERATIONS() {
+        return 310000;
+    }
+
+    /**
+     * Longitud mínima de la frase de contraseña
+     * @returns {number} Caracteres
+     */
+    static get MIN_PASSPHRASE_LENGTH() {
+        return 8;
+    }
+
+    /**
+     * Verifica que el navegador tenga Web Crypto (requiere HTTPS o localhost)
+     * @returns {boolean} true si se puede cifrar
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+    }
+
+    /**
+     * Crea un error con nombre, para distinguirlo de los errores de almacenamiento
+     * @param {string} name 'ContactsLockedError' o 'ContactsPassphraseError'
+     * @param {string} message Mensaje
+     * @returns {Error} Error
+     */
+    static createError(name, message) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Deriva la clave a partir de una frase de contraseña
+     * @param {string} passphrase Frase de contraseña
+     * @param {Uint8Array|null} salt Sal existente, o null para generar una nueva
+     * @param {number} iterations Iteraciones de PBKDF2
+     * @returns {Promise<ContactCipher>} Cifrador listo para usar
+     */
+    static async fromPassphrase(passphrase, salt = null, iterations = ContactCipher.ITERATIONS) {
+        if (!ContactCipher.isSupported()) {
+            throw new Error('El navegador no permite cifrar datos (Web Crypto no disponible)');
+        }
+
+        const saltBytes = salt || crypto.getRandomValues(new Uint8Array(16));
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(passphrase),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        const key = await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+
+        return new ContactCipher(key, saltBytes, iterations);
+    }
+
+    /**
+     * Descifra un sobre derivando la clave con su propia sal (p. ej. un archivo exportado)
+     * @param {object} envelope Sobre cifrado
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<any>} Valor descifrado
+     */
+    static async decryptWithPassphrase(envelope, passphrase) {
+        const cipher = await ContactCipher.fromPassphrase(
+            passphrase,
+            ContactCipher.fromBase64(envelope.kdf.salt),
+            envelope.kdf.iterations
+        );
+        return cipher.decrypt(envelope);
+    }
+
+    /**
+     * Indica si un valor es un sobre cifrado
+     * @param {any} value Valor a revisar
+     * @returns {boolean} true si es un sobre de ContactCipher
+     */
+    static isEnvelope(value) {
+        return Boolean(value) && value.encrypted === 'AES-GCM' &&
+            Boolean(value.kdf) && typeof value.iv === 'string' && typeof value.data === 'string';
+    }
+
+    /**
+     * Cifra un valor serializable a JSON
+     * @param {any} value Valor a cifrar
+     * @returns {Promise<object>} Sobre { encrypted, version, kdf, iv, data }
+     */
+    async encrypt(value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            this.key,
+            new TextEncoder().encode(JSON.stringify(value))
+        );
+
+        return {
+            encrypted: 'AES-GCM',
+            version: 1,
+            kdf: {
+                name: 'PBKDF2',
+                hash: 'SHA-256',
+                iterations: this.iterations,
+                salt: ContactCipher.toBase64(this.salt)
+            },
+            iv: ContactCipher.toBase64(iv),
+            data: ContactCipher.toBase64(new Uint8Array(encrypted))
+        };
+    }
+
+    /**
+     * Descifra un sobre creado con esta misma clave
+     * @param {object} envelope Sobre cifrado
+     * @returns {Promise<any>} Valor original
+     */
+    async decrypt(envelope) {
+        if (!ContactCipher.isEnvelope(envelope)) {
+            throw new Error('Los datos no están cifrados con un formato reconocido');
+        }
+        if (!this.matches(envelope)) {
+            throw ContactCipher.createError('ContactsPassphraseError', 'Los datos se cifraron con otra frase de contraseña');
+        }
+
+        let decrypted;
+        try {
+            decrypted = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: ContactCipher.fromBase64(envelope.iv) },
+                this.key,
+                ContactCipher.fromBase64(envelope.data)
+            );
+        } catch (error) {
+            // AES-GCM rechaza la clave equivocada y los datos alterados por igual
+            throw ContactCipher.createError('ContactsPassphraseError', 'Frase de contraseña incorrecta o datos alterados');
+        }
+
+        return JSON.parse(new TextDecoder().decode(decrypted));
+    }
+
+    /**
+     * Indica si un sobre se cifró con la sal e iteraciones de esta clave
+     * @param {object} envelope Sobre cifrado
+     * @returns {boolean} true si esta clave puede descifrarlo
+     */
+    matches(envelope) {
+        return envelope.kdf.salt === ContactCipher.toBase64(this.salt) &&
+            envelope.kdf.iterations === this.iterations;
+    }
+
+    /**
+     * Codifica bytes en base64
+     * @param {Uint8Array} bytes Bytes
+     * @returns {string} Texto base64
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        // Por bloques para no superar el límite de argumentos de fromCharCode
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Decodifica un texto base64
+     * @param {string} text Texto base64
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
@@ -0,0 +1,284 @@
+/**
+ * ContactEncryption - Modo cifrado de ContactRepository: claves, frase de contraseña y configuración
+ * Patrón: Delegation (colaborador del repositorio)
+ *
+ * La configuración guarda en localStorage un sobre de verificación de la clave, nunca
+ * la clave ni la frase. Con la clave desbloqueada el repositorio envuelve sus
+ * adaptadores con EncryptedStorageAdapter (ver ContactRepository.wrapAdapter).
+ *
+ * Cambiar la frase vuelve a cifrar todos los datos; mientras tanto la configuración
+ * conserva la clave anterior junto a la nueva, y cualquiera de las dos frases
+ * desbloquea los datos y completa el cambio.
+ */
+class ContactEncryption {
+    /**
+     * @param {ContactRepository} repository Repositorio cuyos datos se cifran
+     */
+    constructor(repository) {
+        this.repository = repository;
+        this.key = 'contactos_cifrado';
+        // Cifrador con la clave desbloqueada (null sin cifrado o mientras está bloqueado)
+        this.cipher = null;
+        // Clave anterior mientras se completa un cambio de frase de contraseña (solo lectura)
+        this.previousCipher = null;
+        this.settings = this.loadSettings();
+    }
+
+    /**
+     * Verifica que una frase de contraseña sea aceptable
+     * @param {string} passphrase Frase de contraseña
+     */
+    static validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < ContactCipher.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`La frase de contraseña debe tener al menos ${ContactCipher.MIN_PASSPHRASE_LENGTH} caracteres`);
+        }
+    }
+
+    /**
+     * Deriva la clave de una frase con la sal de un sobre de verificación y la comprueba
+     * @param {string} passphrase Frase de contraseña
+     * @param {object} check Sobre de verificación
+     * @returns {Promise<ContactCipher>} Cifrador con la clave derivada
+     */
+    static async cipherForCheck(passphrase, check) {
+        const cipher = await ContactCipher.fromPassphrase(
+            passphrase,
+            ContactCipher.fromBase64(check.kdf.salt),
+            check.kdf.iterations
+        );
+        await cipher.decrypt(check);
+        return cipher;
+    }
+
+    /**
+     * Lee la configuración de cifrado guardada
+     * @returns {object|null} { check, pending } con un sobre de verificación de la clave y,
+     *          si un cambio de frase no terminó, los datos para completarlo; null sin cifrado
+     */
+    loadSettings() {
+        try {
+            const settings = JSON.parse(localStorage.getItem(this.key));
+            if (!settings || !ContactCipher.isEnvelope(settings.check)) return null;
+
+            const { pending } = settings;
+            const complete = pending && ['check', 'previous', 'next'].every(key => ContactCipher.isEnvelope(pending[key]));
+            return complete ? settings : { check: settings.check };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Guarda la configuración de cifrado con un sobre de verificación de la clave
+     * @param {ContactCipher|null} cipher Cifrador, o null para desactivar el cifrado
+     * @param {object|null} pending Cambio de frase en curso { check, previous, next }
+     * @returns {Promise<void>}
+     */
+    async saveSettings(cipher, pending = null) {
+        if (cipher) {
+            this.settings = { check: await cipher.encrypt('contactos') };
+            if (pending) {
+                this.settings.pending = pending;
+            }
+            localStorage.setItem(this.key, JSON.stringify(this.settings));
+        } else {
+            this.settings = null;
+            localStorage.removeItem(this.key);
+        }
+    }
+
+    /**
+     * Indica si el modo cifrado está activo
+     * @returns {boolean} true si los datos se guardan cifrados
+     */
+    isEncrypted() {
+        return this.settings !== null;
+    }
+
+    /**
+     * Indica si falta desbloquear los datos cifrados
+     * @returns {boolean} true si el repositorio está bloqueado
+     */
+    isLocked() {
+        return this.isEncrypted() && this.cipher === null;
+    }
+
+    /**
+     * Obtiene las claves de una frase de contraseña. Si un cambio de frase quedó a
+     * medias sirven la frase anterior y la nueva: con cualquiera se recupera la otra
+     * y se obtienen ambas claves, porque los datos pueden estar cifrados con una o con otra.
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<object>} { cipher, previous, passphrase } con la clave vigente, la
+     *          anterior (null si no hay un cambio pendiente) y la frase de la clave vigente
+     */
+    async deriveKeys(passphrase) {
+        if (!this.isEncrypted()) {
+            throw new Error('El cifrado no está activado');
+        }
+
+        const { check, pending } = this.settings;
+        if (!pending) {
+            return { cipher: await ContactEncryption.cipherForCheck(passphrase, check), previous: null, passphrase };
+        }
+
+        try {
+            const previous = await ContactEncryption.cipherForCheck(passphrase, check);
+            const next = await previous.decrypt(pending.next);
+            return { cipher: await ContactEncryption.cipherForCheck(next, pending.check), previous, passphrase: next };
+        } catch (error) {
+            if (error.name !== 'ContactsPassphraseError') throw error;
+        }
+
+        const cipher = await ContactEncryption.cipherForCheck(passphrase, pending.check);
+        const previous = await ContactEncryption.cipherForCheck(await cipher.decrypt(pending.previous), check);
+        return { cipher, previous, passphrase };
+    }
+
+    /**
+     * Verifica una frase de contraseña contra la configuración guardada
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<ContactCipher>} Cifrador con la clave vigente
+     */
+    async verifyPassphrase(passphrase) {
+        return (await this.deriveKeys(passphrase)).cipher;
+    }
+
+    /**
+     * Empieza a usar las claves obtenidas con deriveKeys
+     * @param {object} keys { cipher, previous }
+     */
+    useKeys(keys) {
+        this.cipher = keys.cipher;
+        this.previousCipher = keys.previous;
+        this.repository.refreshAdapters();
+        this.repository.invalidateCache();
+    }
+
+    /**
+     * Desbloquea los datos con una frase y completa un cambio de frase interrumpido
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<void>} Falla con ContactsPassphraseError si la frase no es correcta
+     */
+    async unlock(passphrase) {
+        this.useKeys(await this.deriveKeys(passphrase));
+
+        if (this.previousCipher) {
+            console.warn('Completando un cambio de frase de contraseña interrumpido...');
+            await this.reencryptWith(this.cipher);
+        }
+    }
+
+    /**
+     * Olvida las claves desbloqueadas
+     * @returns {boolean} true si había una clave desbloqueada
+     */
+    forgetKeys() {
+        const wasUnlocked = this.cipher !== null;
+        this.cipher = null;
+        this.previousCipher = null;
+        return wasUnlocked;
+    }
+
+    /**
+     * Vuelve a cifrar todos los datos con la clave indicada y, una vez escritos, la deja
+     * como única clave de la configuración. Hasta entonces la configuración conserva la
+     * clave anterior junto a la nueva (ver change).
+     * @param {ContactCipher} cipher Cifrador nuevo
+     * @returns {Promise<void>}
+     */
+    async reencryptWith(cipher) {
+        const repository = this.repository;
+        await repository.writeAllData(cipher, await repository.readAllData());
+        await this.saveSettings(cipher);
+        this.previousCipher = null;
+        repository.refreshAdapters();
+    }
+
+    /**
+     * Activa el modo cifrado y cifra los datos guardados
+     * @param {string} passphrase Frase de contraseña
+     * @returns {Promise<void>}
+     */
+    async enable(passphrase) {
+        if (this.isEncrypted()) {
+            throw new Error('El cifrado ya está activado');
+        }
+        ContactEncryption.validatePassphrase(passphrase);
+
+        const repository = this.repository;
+        await repository.ready();
+        const cipher = await ContactCipher.fromPassphrase(passphrase);
+        const data = await repository.readAllData();
+        // La configuración se guarda antes de cifrar: los datos aún sin cifrar se siguen pudiendo leer
+        await this.saveSettings(cipher);
+        await repository.writeAllData(cipher, data);
+
+        console.log('Cifrado de contactos activado');
+        repository.emit('encryptionChanged', { encrypted: true });
+    }
+
+    /**
+     * Cambia la frase de contraseña volviendo a cifrar todos los datos con una clave nueva.
+     * Antes de reescribir se guarda la clave nueva junto a la actual, cada frase cifrada
+     * con la clave de la otra: si una escritura falla o se cierra la pestaña, cualquiera
+     * de las dos frases desbloquea los datos y unlock() completa el cambio.
+     * @param {string} currentPassphrase Frase actual
+     * @param {string} newPassphrase Frase nueva
+     * @returns {Promise<void>}
+     */
+    async change(currentPassphrase, newPassphrase) {
+        ContactEncryption.validatePassphrase(newPassphrase);
+
+        const keys = await this.deriveKeys(currentPassphrase);
+        this.useKeys(keys);
+        if (keys.previous) {
+            await this.reencryptWith(keys.cipher);
+        }
+
+        const cipher = await ContactCipher.fromPassphrase(newPassphrase);
+        await this.saveSettings(keys.cipher, {
+            check: await cipher.encrypt('contactos'),
+            previous: await cipher.encrypt(keys.passphrase),
+            next: await keys.cipher.encrypt(newPassphrase)
+        });
+        this.previousCipher = keys.cipher;
+        await this.reencryptWith(cipher);
+
+        console.log('Frase de contraseña cambiada');
+        this.repository.emit('encryptionChanged', { encrypted: true });
+    }
+
+    /**
+     * Desactiva el modo cifrado y guarda los datos en texto plano
+     * @param {string} passphrase Frase de contraseña actual
+     * @returns {Promise<void>}
+     */
+    async disable(passphrase) {
+        const repository = this.repository;
+        this.useKeys(await this.deriveKeys(passphrase));
+
+        await repository.writeAllData(null, await repository.readAllData());
+        this.previousCipher = null;
+        await this.saveSettings(null);
+
+        console.log('Cifrado de contactos desactivado');
+        repository.emit('encryptionChanged', { encrypted: false });
+    }
+
+    /**
+     * Descifra una exportación cifrada, con la clave del almacenamiento o con la frase indicada
+     * @param {object} envelope Sobre cifrado
+     * @param {string} passphrase Frase de contraseña (opcional si coincide con la del almacenamiento)
+     * @returns {Promise<any>} Datos exportados
+     */
+    async decryptExport(envelope, passphrase = null) {
+        if (passphrase) {
+            return ContactCipher.decryptWithPassphrase(envelope, passphrase);
+        }
+        if (this.cipher && this.cipher.matches(envelope)) {
+            return this.cipher.decrypt(envelope);
+        }
+
+        throw ContactCipher.createError('ContactsPassphraseError', 'El archivo está cifrado; indique su frase de contraseña');
+    }
+}
@@ -0,0 +1,265 @@
+/**
+ * CsvFormat - Convierte contactos desde y hacia CSV (RFC 4180)
+ * Patrón: Strategy Pattern (formato de importación/exportación)
+ *
+ * Los campos con comas, comillas o saltos de línea se encierran entre comillas
+ * dobles y las comillas internas se duplican. Al leer se aceptan CRLF o LF, el
+ * BOM de UTF-8 y el punto y coma como separador (Excel en configuración regional
+ * en español).
+ *
+ * Los campos que una hoja de cálculo interpretaría como fórmula se exportan con un
+ * apóstrofo delante, que se quita al importarlos.
+ */
+class CsvFormat {
+    /**
+     * Columnas exportadas, en orden (nombres de los campos de Contacto)
+     * @returns {Array<string>} Nombres de columna
+     */
+    static get COLUMNS() {
+        return [
+            'id',
+            'nombre',
+            'email',
+            'telefono',
+            'asunto',
+            'mensaje',
+            'preferenciaContacto',
+            'aceptaTerminos',
+            'versionTerminos',
+            'fechaAceptacionTerminos',
+            'textoConsentimiento',
+            'fechaCreacion',
+            'fechaActualizacion'
+        ];
+    }
+
+    /**
+     * Encabezados alternativos reconocidos para cada campo (normalizados, ver normalizeHeader)
+     * @returns {object} Mapa campo → alias
+     */
+    static get HEADER_ALIASES() {
+        return {
+            id: ['id', 'identificador'],
+            nombre: ['nombre', 'nombrecompleto', 'name', 'fullname'],
+            email: ['email', 'correo', 'correoelectronico', 'mail', 'emailaddress'],
+            telefono: ['telefono', 'tel', 'celular', 'movil', 'phone', 'phonenumber'],
+            asunto: ['asunto', 'motivo', 'subject'],
+            mensaje: ['mensaje', 'comentario', 'comentarios', 'message', 'notes'],
+            preferenciaContacto: ['preferenciacontacto', 'preferencia', 'medio', 'contactpreference'],
+            aceptaTerminos: ['aceptaterminos', 'terminos', 'consentimiento', 'terms'],
+            versionTerminos: ['versionterminos', 'termsversion'],
+            fechaAceptacionTerminos: ['fechaaceptacionterminos', 'fechaaceptacion', 'acceptedat', 'consentedat'],
+            textoConsentimiento: ['textoconsentimiento', 'consenttext'],
+            fechaCreacion: ['fechacreacion', 'fecha', 'creado', 'createdat', 'date'],
+            fechaActualizacion: ['fechaactualizacion', 'actualizado', 'updatedat']
+        };
+    }
+
+    /**
+     * Convierte registros planos a texto CSV
+     * @param {Array<object>} records Registros (p. ej. resultado de Contacto.toJSON)
+     * @param {Array<string>} columns Columnas a incluir
+     * @returns {string} CSV con encabezado y líneas terminadas en CRLF
+     */
+    static stringify(records, columns = CsvFormat.COLUMNS) {
+        const lines = [columns.map(column => CsvFormat.escapeField(column))];
+        records.forEach(record => {
+            lines.push(columns.map(column => CsvFormat.escapeField(record[column])));
+        });
+        return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Indica si una hoja de cálculo interpretaría el valor como fórmula
+     * (los teléfonos como "+57 300..." no cuentan)
+     * @param {string} text Valor del campo
+     * @returns {boolean} true si hay que protegerlo con un apóstrofo
+     */
+    static looksLikeFormula(text) {
+        return /^[=@\t\r]/.test(text) || /^[+-](?![\d\s().-]+$)/.test(text);
+    }
+
+    /**
+     * Escapa un valor para usarlo como campo CSV
+     * @param {any} value Valor del campo
+     * @returns {string} Campo escapado
+     */
+    static escapeField(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+
+        // También se protegen los apóstrofos ya escritos delante de una fórmula, para que
+        // unescapeFormula devuelva el valor tal cual
+        if (CsvFormat.looksLikeFormula(text.replace(/^'+/, ''))) {
+            text = `'${text}`;
+        }
+
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    /**
+     * Lee un texto CSV
+     * @param {string} text Contenido del archivo
+     * @returns {object} { headers: Array<string>, rows: Array<Array<string>> }
+     */
+    static parse(text) {
+        const source = String(text || '').replace(/^\uFEFF/, '');
+        const delimiter = CsvFormat.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (inQuotes) {
+            throw new Error('El CSV tiene un campo entre comillas sin cerrar');
+        }
+
+        // Última línea sin salto de línea final
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Ignorar líneas vacías
+        const nonEmpty = rows.filter(fields => fields.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) {
+            throw new Error('El CSV está vacío');
+        }
+
+        const [headers, ...data] = nonEmpty;
+        return { headers: headers.map(header => header.trim()), rows: data };
+    }
+
+    /**
+     * Detecta el separador mirando la primera línea (coma o punto y coma)
+     * @param {string} text Contenido del archivo
+     * @returns {string} Separador
+     */
+    static detectDelimiter(text) {
+        const firstLine = text.split(/\r?\n/, 1)[0];
+        const commas = (firstLine.match(/,/g) || []).length;
+        const semicolons = (firstLine.match(/;/g) || []).length;
+        return semicolons > commas ? ';' : ',';
+    }
+
+    /**
+     * Normaliza un encabezado para compararlo con los alias
+     * @param {string} header Encabezado original
+     * @returns {string} Encabezado sin acentos, espacios ni símbolos, en minúsculas
+     */
+    static normalizeHeader(header) {
+        return String(header)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Propone qué campo de Contacto corresponde a cada encabezado
+     * @param {Array<string>} headers Encabezados del CSV
+     * @returns {object} Mapa encabezado → campo (null si no se reconoce)
+     */
+    static suggestMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+
+        headers.forEach(header => {
+            const normalized = CsvFormat.normalizeHeader(header);
+            const field = Object.keys(CsvFormat.HEADER_ALIASES)
+                .find(candidate => !used.has(candidate) && CsvFormat.HEADER_ALIASES[candidate].includes(normalized));
+            mapping[header] = field || null;
+            if (field) used.add(field);
+        });
+
+        return mapping;
+    }
+
+    /**
+     * Indica si un mapeo necesita revisión del usuario: hay columnas sin reconocer
+     * o faltan los campos obligatorios (nombre y email)
+     * @param {object} mapping Mapa encabezado → campo
+     * @returns {boolean} true si se debe mostrar el paso de mapeo
+     */
+    static needsReview(mapping) {
+        const fields = Object.values(mapping);
+        return fields.includes(null) || !fields.includes('nombre') || !fields.includes('email');
+    }
+
+    /**
+     * Convierte las filas del CSV en objetos planos con los campos de Contacto
+     * @param {object} parsed Resultado de parse()
+     * @param {object} mapping Mapa encabezado → campo (las columnas con null se ignoran)
+     * @returns {Array<object>} Registros listos para Contacto.fromJSON; solo conservan
+     *          el id los que cumplen Contacto.ID_PATTERN
+     */
+    static toRecords(parsed, mapping) {
+        return parsed.rows.map(fields => {
+            const record = {};
+            parsed.headers.forEach((header, index) => {
+                const field = mapping[header];
+                if (!field) return;
+
+                const value = CsvFormat.unescapeFormula((fields[index] || '').trim());
+                record[field] = field === 'aceptaTerminos' ? CsvFormat.parseBoolean(value) : value;
+            });
+            // Las columnas vacías no deben pisar los valores por defecto de Contacto
+            Object.keys(record).forEach(field => {
+                if (record[field] === '') delete record[field];
+            });
+            // Un id de otra aplicación (o manipulado) no se conserva: el contacto recibe uno nuevo
+            if (record.id && !Contacto.isValidId(record.id)) {
+                delete record.id;
+            }
+            return record;
+        });
+    }
+
+    /**
+     * Quita el apóstrofo que escapeField agrega a los valores que parecen fórmulas
+     * @param {string} value Valor de la celda
+     * @returns {string} Valor original
+     */
+    static unescapeFormula(value) {
+        return value.startsWith("'") && CsvFormat.looksLikeFormula(value.replace(/^'+/, '')) ? value.slice(1) : value;
+    }
+
+    /**
+     * Interpreta un valor booleano escrito en el CSV
+     * @param {string} value Valor de la celda
+     * @returns {boolean} true para "true", "1", "sí", "si", "yes" o "x"
+     */
+    static parseBoolean(value) {
+        return ['true', '1', 'si', 'sí', 'yes', 'x', 'verdadero'].includes(value.toLowerCase());
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * VCardFormat - Convierte contactos desde y hacia vCard (.vcf) 3.0 y 4.0
+ * Patrón: Strategy Pattern (formato de importación/exportación)
+ *
+ * Cada contacto es una tarjeta BEGIN:VCARD ... END:VCARD. Los campos sin
+ * equivalente estándar (asunto, preferencia de contacto, términos y fecha de
+ * creación) se guardan como propiedades X- para no perderlos al reimportar.
+ */
+class VCardFormat {
+    /**
+     * Versiones de vCard soportadas
+     * @returns {Array<string>} Versiones
+     */
+    static get VERSIONS() {
+        return ['3.0', '4.0'];
+    }
+
+    /**
+     * Convierte registros planos a un archivo .vcf con una tarjeta por contacto
+     * @param {Array<object>} records Registros (resultado de Contacto.toJSON)
+     * @param {string} version '3.0' o '4.0'
+     * @returns {string} Contenido del archivo con líneas terminadas en CRLF
+     */
+    static stringify(records, version = '3.0') {
+        if (!VCardFormat.VERSIONS.includes(version)) {
+            throw new Error(`Versión de vCard no soportada: ${version}`);
+        }
+
+        return records.map(record => VCardFormat.stringifyCard(record, version)).join('');
+    }
+
+    /**
+     * Convierte un registro en una tarjeta vCard
+     * @param {object} record Registro de contacto
+     * @param {string} version '3.0' o '4.0'
+     * @returns {string} Tarjeta con líneas plegadas a 75 octetos
+     */
+    static stringifyCard(record, version) {
+        const escape = VCardFormat.escapeValue;
+        const lines = [
+            'BEGIN:VCARD',
+            `VERSION:${version}`,
+            `UID:${escape(record.id)}`,
+            `FN:${escape(record.nombre)}`,
+            // N es obligatorio en 3.0; el nombre completo va como nombre de pila
+            `N:;${escape(record.nombre)};;;`,
+            version === '4.0' ? `EMAIL:${escape(record.email)}` : `EMAIL;TYPE=INTERNET:${escape(record.email)}`
+        ];
+
+        if (record.telefono) {
+            lines.push(version === '4.0'
+                ? `TEL;VALUE=uri;TYPE=cell:tel:${record.telefono.replace(/[^\d+]/g, '')}`
+                : `TEL;TYPE=CELL:${escape(record.telefono)}`);
+        }
+        if (record.mensaje) {
+            lines.push(`NOTE:${escape(record.mensaje)}`);
+        }
+
+        lines.push(`X-ASUNTO:${escape(record.asunto)}`);
+        lines.push(`X-PREFERENCIA-CONTACTO:${escape(record.preferenciaContacto)}`);
+        lines.push(`X-ACEPTA-TERMINOS:${record.aceptaTerminos ? 'TRUE' : 'FALSE'}`);
+        if (record.versionTerminos) {
+            lines.push(`X-VERSION-TERMINOS:${escape(record.versionTerminos)}`);
+        }
+        if (record.fechaAceptacionTerminos) {
+            lines.push(`X-FECHA-ACEPTACION-TERMINOS:${record.fechaAceptacionTerminos}`);
+        }
+        if (record.textoConsentimiento) {
+            lines.push(`X-TEXTO-CONSENTIMIENTO:${escape(record.textoConsentimiento)}`);
+        }
+        if (record.fechaCreacion) {
+            lines.push(`X-FECHA-CREACION:${record.fechaCreacion}`);
+        }
+        if (record.fechaActualizacion) {
+            lines.push(`REV:${record.fechaActualizacion}`);
+        }
+        lines.push('END:VCARD');
+
+        return lines.map(line => VCardFormat.foldLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Escapa un valor de texto (barra invertida, coma, punto y coma y saltos de línea)
+     * @param {any} value Valor
+     * @returns {string} Valor escapado
+     */
+    static escapeValue(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/\\/g, '\\\\')
+            .replace(/,/g, '\\,')
+            .replace(/;/g, '\\;')
+            .replace(/\r\n|\r|\n/g, '\\n');
+    }
+
+    /**
+     * Revierte escapeValue
+     * @param {string} value Valor escapado
+     * @returns {string} Texto original
+     */
+    static unescapeValue(value) {
+        return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Pliega una línea en fragmentos de 75 octetos UTF-8 como máximo, sin cortar caracteres
+     * @param {string} line Línea completa
+     * @returns {string} Línea plegada (continuaciones con CRLF + espacio)
+     */
+    static foldLine(line) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            // Las continuaciones empiezan con un espacio que también cuenta
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + bytes > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += bytes;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    /**
+     * Lee un archivo .vcf con una o varias tarjetas
+     * @param {string} text Contenido del archivo
+     * @returns {Array<object>} Una entrada por tarjeta: { record } o { error }
+     */
+    static parse(text) {
+        // Desplegar las líneas de continuación (empiezan con espacio o tabulación)
+        const lines = String(text || '')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r?\n[ \t]/g, '')
+            .split(/\r?\n/);
+
+        const cards = [];
+        let properties = null;
+
+        lines.forEach(line => {
+            if (/^BEGIN:VCARD$/i.test(line.trim())) {
+                properties = [];
+            } else if (/^END:VCARD$/i.test(line.trim())) {
+                if (properties) {
+                    cards.push(VCardFormat.toEntry(properties));
+                }
+                properties = null;
+            } else if (properties && line.trim()) {
+                const property = VCardFormat.parseProperty(line);
+                if (property) properties.push(property);
+            }
+        });
+
+        if (properties) {
+            cards.push({ error: 'La tarjeta no termina con END:VCARD' });
+        }
+        if (cards.length === 0) {
+            throw new Error('El archivo no contiene tarjetas vCard');
+        }
+
+        return cards;
+    }
+
+    /**
+     * Separa una línea de contenido en nombre, parámetros y valor
+     * @param {string} line Línea desplegada (p. ej. "item1.EMAIL;TYPE=INTERNET:ana@correo.com")
+     * @returns {object|null} { name, params, value } o null si la línea no es válida
+     */
+    static parseProperty(line) {
+        const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;[^:]*)?):(.*)$/);
+        if (!match) return null;
+
+        const params = {};
+        match[2].split(';').filter(Boolean).forEach(param => {
+            const [key, value = ''] = param.split('=');
+            params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+        });
+
+        return { name: match[1].toUpperCase(), params, value: match[3] };
+    }
+
+    /**
+     * Convierte las propiedades de una tarjeta en un registro de contacto
+     * @param {Array<object>} properties Propiedades de la tarjeta
+     * @returns {object} { record } con los campos de Contacto
+     */
+    static toEntry(properties) {
+        const first = name => properties.find(property => property.name === name);
+        const text = name => {
+            const property = first(name);
+            return property ? VCardFormat.unescapeValue(property.value).trim() : '';
+        };
+
+        let nombre = text('FN');
+        if (!nombre && first('N')) {
+            // N = apellidos;nombres;adicionales;prefijos;sufijos
+            const [family = '', given = ''] = first('N').value.split(/(?<!\\);/).map(VCardFormat.unescapeValue);
+            nombre = `${given} ${family}`.trim();
+        }
+
+        // Solo se conserva el UID de las tarjetas exportadas desde aquí; el de otras
+        // aplicaciones (o uno manipulado) se descarta y el contacto recibe un id nuevo
+        const uid = text('UID').replace(/^urn:uuid:/i, '');
+
+        const tel = first('TEL');
+        const record = {
+            id: Contacto.isValidId(uid) ? uid : '',
+            nombre,
+            email: text('EMAIL'),
+            telefono: tel ? tel.value.replace(/^tel:/i, '').trim() : '',
+            mensaje: text('NOTE'),
+            asunto: text('X-ASUNTO'),
+            preferenciaContacto: text('X-PREFERENCIA-CONTACTO'),
+            aceptaTerminos: text('X-ACEPTA-TERMINOS').toUpperCase() === 'TRUE',
+            versionTerminos: text('X-VERSION-TERMINOS'),
+            fechaAceptacionTerminos: text('X-FECHA-ACEPTACION-TERMINOS'),
+            textoConsentimiento: text('X-TEXTO-CONSENTIMIENTO'),
+            fechaCreacion: text('X-FECHA-CREACION'),
+            fechaActualizacion: text('REV')
+        };
+
+        // Los campos vacíos no deben pisar los valores por defecto de Contacto
+        Object.keys(record).forEach(field => {
+            if (record[field] === '') delete record[field];
+        });
+
+        return { record };
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * ContactImporter - Vista previa e importación de registros en ContactRepository
+ * Patrón: Strategy Pattern (estrategias para resolver los conflictos)
+ *
+ * Los formatos (JSON, CSV y vCard) entregan registros planos; aquí se clasifican
+ * frente a los contactos guardados y se aplican. Los que coinciden con un contacto
+ * existente se resuelven con una de STRATEGIES, global o por registro.
+ */
+class ContactImporter {
+    /**
+     * @param {ContactRepository} repository Repositorio en el que se importan los contactos
+     */
+    constructor(repository) {
+        this.repository = repository;
+    }
+
+    /**
+     * Estrategias para resolver conflictos de importación
+     * - skip: conservar el contacto existente
+     * - overwrite: reemplazarlo por el importado
+     * - newest: quedarse con el de fechaActualizacion más reciente
+     * - merge: combinar campos; los valores no vacíos del más reciente tienen prioridad
+     * @returns {Array<string>} Estrategias válidas
+     */
+    static get STRATEGIES() {
+        return ['skip', 'overwrite', 'newest', 'merge'];
+    }
+
+    /**
+     * Clasifica los registros a importar frente a los contactos guardados, sin modificar nada.
+     * Los registros con un id que no cumple Contacto.ID_PATTERN quedan como inválidos.
+     * @param {Array<object|Error>} data Registros a importar
+     * @param {string} label Nombre de cada elemento en los mensajes
+     * @returns {Promise<object>} { new, identical, changed, invalid, emailCollisions, total }.
+     *          Cada entrada tiene index, label, incoming (Contacto) y, según la categoría,
+     *          existing (Contacto), changedFields o errors.
+     */
+    async preview(data, label = 'Contacto') {
+        const cache = await this.repository.loadCache();
+        const allById = new Map(cache.all.map(contact => [contact.id, contact]));
+        const fileEmails = new Map();
+        const preview = { new: [], identical: [], changed: [], invalid: [], emailCollisions: [], total: data.length };
+
+        data.forEach((contactData, index) => {
+            const entry = { index, label: `${label} ${index + 1}` };
+
+            try {
+                if (contactData instanceof Error) {
+                    throw contactData;
+                }
+                // Un id con otro formato no se importa: iría a los atributos de la lista
+                if (contactData.id && !Contacto.isValidId(contactData.id)) {
+                    throw new Error('El id no tiene el formato de los contactos exportados (contact_<fecha>_<código>)');
+                }
+
+                const incoming = Contacto.fromJSON(contactData);
+                entry.incoming = incoming;
+
+                const validation = incoming.validate();
+                if (!validation.isValid) {
+                    entry.errors = validation.errors.map(e => e.message);
+                    preview.invalid.push(entry);
+                    return;
+                }
+
+                const email = incoming.email.trim().toLowerCase();
+                if (fileEmails.has(email)) {
+                    entry.errors = [`El email ${email} ya aparece en ${fileEmails.get(email)}`];
+                    preview.invalid.push(entry);
+                    return;
+                }
+                fileEmails.set(email, entry.label);
+
+                const existing = allById.get(incoming.id);
+                if (existing) {
+                    entry.existing = existing;
+                    entry.changedFields = ContactRepository.diffContacts(existing, incoming);
+                    if (entry.changedFields.length === 0) {
+                        preview.identical.push(entry);
+                        return;
+                    }
+
+                    // Al aplicarlo el contacto queda activo (también si estaba en la papelera):
+                    // su email no puede ser el de otro contacto activo
+                    const ownerId = [...(cache.byEmail.get(email) || [])].find(id => id !== incoming.id);
+                    if (ownerId) {
+                        entry.errors = [`El email ${email} ya pertenece a otro contacto activo (${cache.byId.get(ownerId).nombre})`];
+                        preview.invalid.push(entry);
+                        return;
+                    }
+
+                    preview.changed.push(entry);
+                    return;
+                }
+
+                // Mismo email que un contacto activo con otro id
+                const collisionIds = cache.byEmail.get(email);
+                if (collisionIds && collisionIds.size > 0) {
+                    entry.existing = cache.byId.get([...collisionIds][0]);
+                    entry.changedFields = ContactRepository.diffContacts(entry.existing, incoming);
+                    preview.emailCollisions.push(entry);
+                    return;
+                }
+
+                preview.new.push(entry);
+            } catch (error) {
+                entry.errors = [error.message];
+                preview.invalid.push(entry);
+            }
+        });
+
+        return preview;
+    }
+
+    /**
+     * Resuelve un conflicto entre un contacto guardado y uno importado
+     * @param {Contacto} existing Contacto guardado
+     * @param {Contacto} incoming Contacto importado
+     * @param {string} strategy Estrategia (ver STRATEGIES)
+     * @returns {Contacto|null} Contacto resultante (con el id del existente), o null para conservar el existente
+     */
+    static resolveConflict(existing, incoming, strategy) {
+        const incomingIsNewer = incoming.fechaActualizacion > existing.fechaActualizacion;
+
+        switch (strategy) {
+            case 'overwrite':
+                return Contacto.fromJSON({ ...incoming.toJSON(), id: existing.id, deletedAt: null });
+            case 'newest':
+                return incomingIsNewer
+                    ? Contacto.fromJSON({ ...incoming.toJSON(), id: existing.id, deletedAt: null })
+                    : null;
+            case 'merge': {
+                const [older, newer] = incomingIsNewer ? [existing, incoming] : [incoming, existing];
+                const merged = { ...older.toJSON() };
+                Object.entries(newer.toJSON()).forEach(([field, value]) => {
+                    if (value !== '' && value !== null && value !== undefined) {
+                        merged[field] = value;
+                    }
+                });
+                return Contacto.fromJSON({
+                    ...merged,
+                    id: existing.id,
+                    fechaCreacion: older.fechaCreacion < newer.fechaCreacion ? older.fechaCreacion : newer.fechaCreacion,
+                    deletedAt: null
+                });
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Valida y agrega registros planos. Los que coinciden con un contacto guardado
+     * (mismo id con cambios, o mismo email que un contacto activo) se resuelven con
+     * la estrategia indicada; por defecto se omiten. Los que dejarían dos contactos
+     * activos con el mismo email no se aplican y se informan en errors.
+     * @param {Array<object|Error>} data Registros a importar; un Error se reporta
+     *        tal cual (p. ej. una tarjeta que no se pudo leer)
+     * @param {string} label Nombre de cada elemento en los mensajes de error
+     * @param {object} options Opciones de importación
+     * @param {boolean} options.dryRun Solo clasificar los registros (ver preview), sin guardar
+     * @param {string} options.strategy Estrategia global para los conflictos (ver STRATEGIES)
+     * @param {object} options.strategies Estrategias por registro (índice en data → estrategia)
+     * @returns {Promise<object>} { imported, updated, skipped, errors, total }
+     */
+    async importRecords(data, label = 'Contacto', options = {}) {
+        const repository = this.repository;
+        return repository.enqueueMutation(async () => {
+            const { dryRun = false, strategy = 'skip', strategies = {} } = options;
+
+            const preview = await this.preview(data, label);
+            if (dryRun) {
+                return preview;
+            }
+
+            const currentContacts = [...(await repository.loadCache()).all];
+            const positions = new Map(currentContacts.map((contact, position) => [contact.id, position]));
+            const previous = new Map(currentContacts.map(contact => [contact.id, contact]));
+            const importedContacts = [];
+            const updatedContacts = [];
+            const conflictErrors = [];
+            let skipped = preview.identical.length;
+
+            preview.new.forEach(entry => {
+                currentContacts.push(entry.incoming);
+                importedContacts.push(entry.incoming);
+            });
+
+            // Emails de los contactos activos tras cada resolución: una combinación puede
+            // conservar el email del registro de la papelera, que no revisa previewImport
+            const activeEmails = new Map(currentContacts
+                .filter(contact => !contact.isDeleted())
+                .map(contact => [contact.email.trim().toLowerCase(), contact.id]));
+
+            [...preview.changed, ...preview.emailCollisions].forEach(entry => {
+                const chosen = strategies[entry.index] || strategy;
+                if (!ContactImporter.STRATEGIES.includes(chosen)) {
+                    throw new Error(`Estrategia de importación no válida: ${chosen}`);
+                }
+
+                const resolved = ContactImporter.resolveConflict(entry.existing, entry.incoming, chosen);
+                if (!resolved) {
+                    skipped++;
+                    return;
+                }
+
+                const email = resolved.email.trim().toLowerCase();
+                const ownerId = activeEmails.get(email);
+                if (ownerId && ownerId !== resolved.id) {
+                    conflictErrors.push(`${entry.label}: El email ${email} ya pertenece a otro contacto activo`);
+                    return;
+                }
+                if (!entry.existing.isDeleted()) {
+                    activeEmails.delete(entry.existing.email.trim().toLowerCase());
+                }
+                activeEmails.set(email, resolved.id);
+
+                currentContacts[positions.get(entry.existing.id)] = resolved;
+                updatedContacts.push(resolved);
+            });
+
+            if (importedContacts.length > 0 || updatedContacts.length > 0) {
+                await repository.saveToStorage(currentContacts);
+                await repository.audit.record('import', [
+                    ...importedContacts.map(contacto => ({ id: contacto.id, before: null, after: contacto })),
+                    ...updatedContacts.map(contacto => ({ id: contacto.id, before: previous.get(contacto.id), after: contacto }))
+                ]);
+            }
+            importedContacts.forEach(contacto => {
+                repository.emit('added', { contact: contacto.clone(), id: contacto.id });
+            });
+            updatedContacts.forEach(contacto => {
+                repository.emit('updated', { contact: contacto.clone(), id: contacto.id });
+            });
+
+            return {
+                imported: importedContacts.length,
+                updated: updatedContacts.length,
+                skipped,
+                errors: [...preview.invalid.map(entry => `${entry.label}: ${entry.errors.join(', ')}`), ...conflictErrors],
+                total: data.length
+            };
+        });
+    }
+}
@@ -0,0 +1,319 @@
+/**
+ * ContactIntegrity - Verificación y reparación del almacenamiento de ContactRepository
+ * Patrón: Delegation (colaborador del repositorio)
+ *
+ * check() revisa los registros guardados, incluidos los de la papelera, y repair()
+ * corrige el almacenamiento sin perder datos: los registros inválidos o duplicados
+ * pasan a la cuarentena, una clave auxiliar del repositorio con su mismo backend y
+ * cifrado, y antes de reescribir se guarda una copia de seguridad.
+ */
+class ContactIntegrity {
+    /**
+     * @param {ContactRepository} repository Repositorio cuyo almacenamiento se verifica
+     */
+    constructor(repository) {
+        this.repository = repository;
+        // Clave auxiliar de la cuarentena
+        this.key = 'contactos_cuarentena';
+    }
+
+    /**
+     * Repara el almacenamiento: recupera los registros legibles de un JSON dañado,
+     * migra los de esquemas anteriores, envía a la cuarentena los inválidos y los
+     * duplicados (por id y por email activo, se conserva el de fechaActualizacion más
+     * reciente) y guarda un respaldo de los datos originales antes de reescribirlos.
+     * @param {object} options Opciones de reparación
+     * @param {boolean} options.dedupe Eliminar duplicados (por defecto true)
+     * @param {boolean} options.quarantineInvalid Apartar los registros que no pasan validate() (por defecto true)
+     * @param {boolean} options.dryRun Solo calcular el informe, sin modificar nada
+     * @returns {Promise<object>} Informe { total, kept, corrupted, recovered, discarded, quarantined, backup, dryRun };
+     *          backup describe la copia de seguridad tomada antes de reescribir (ver getSnapshots)
+     */
+    async repair(options = {}) {
+        const repository = this.repository;
+        return repository.enqueueMutation(async () => {
+            const { dedupe = true, quarantineInvalid = true, dryRun = false } = options;
+            await repository.ready();
+
+            const raw = await repository.adapter.readRaw();
+            let records;
+            let corrupted = false;
+            let discarded = 0;
+
+            try {
+                records = JSON.parse(raw);
+                if (!Array.isArray(records)) {
+                    throw new Error('Los datos almacenados no son un array');
+                }
+            } catch (error) {
+                corrupted = true;
+                ({ records, discarded } = ContactIntegrity.recoverRecords(raw));
+            }
+
+            const quarantined = [];
+            const quarantine = (record, index, reason, errors) => {
+                quarantined.push({ index, id: record && record.id, reason, errors, record });
+            };
+
+            let candidates = [];
+            records.forEach((record, index) => {
+                try {
+                    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                        throw new Error('El registro no es un objeto');
+                    }
+
+                    const contact = Contacto.fromJSON(ContactRepository.migrateRecord(record).record);
+                    const validation = contact.validate();
+                    if (!validation.isValid && quarantineInvalid) {
+                        quarantine(record, index, 'invalid', validation.errors.map(e => e.message));
+                        return;
+                    }
+
+                    candidates.push({ index, record, contact });
+                } catch (error) {
+                    quarantine(record, index, 'invalid', [error.message]);
+                }
+            });
+
+            if (dedupe) {
+                candidates = ContactIntegrity.removeDuplicates(candidates, c => c.contact.id, 'duplicateId', quarantine);
+                candidates = ContactIntegrity.removeDuplicates(
+                    candidates,
+                    c => (c.contact.isDeleted() ? null : c.contact.email.trim().toLowerCase()),
+                    'duplicateEmail',
+                    quarantine
+                );
+            }
+
+            const report = {
+                total: records.length,
+                kept: candidates.length,
+                corrupted,
+                recovered: corrupted ? records.length : 0,
+                discarded,
+                quarantined: quarantined.map(({ record, ...entry }) => entry),
+                backup: null,
+                dryRun
+            };
+
+            if (dryRun || (!corrupted && quarantined.length === 0)) {
+                return report;
+            }
+
+            // Nunca se reescribe sin respaldo: si falla, la reparación se interrumpe
+            report.backup = await repository.snapshots.create('repair', raw);
+            await this.addToQuarantine(quarantined);
+
+            const before = repository.cache ? repository.cache.all : [];
+            const repaired = candidates
+                .sort((a, b) => a.index - b.index)
+                .map(candidate => candidate.contact);
+            await repository.saveToStorage(repaired);
+            await repository.audit.record('repair', ContactAuditLog.diffCollections(before, repaired));
+
+            repository.emit('repaired', { report });
+            return report;
+        });
+    }
+
+    /**
+     * Conserva un registro por clave (el de fechaActualizacion más reciente) y
+     * envía el resto a la cuarentena
+     * @param {Array<object>} candidates Registros { index, record, contact }
+     * @param {Function} keyOf Clave de cada registro (null para no compararlo)
+     * @param {string} reason Motivo de cuarentena de los descartados
+     * @param {Function} quarantine Recibe (record, index, reason, errors)
+     * @returns {Array<object>} Registros conservados
+     */
+    static removeDuplicates(candidates, keyOf, reason, quarantine) {
+        const winners = new Map();
+        candidates.forEach(candidate => {
+            const key = keyOf(candidate);
+            if (key === null) return;
+
+            const current = winners.get(key);
+            if (!current || candidate.contact.fechaActualizacion > current.contact.fechaActualizacion) {
+                winners.set(key, candidate);
+            }
+        });
+
+        return candidates.filter(candidate => {
+            const key = keyOf(candidate);
+            const winner = winners.get(key);
+            if (key === null || winner === candidate) return true;
+
+            quarantine(candidate.record, candidate.index, reason, [`Duplicado de ${winner.contact.id} (índice ${winner.index})`]);
+            return false;
+        });
+    }
+
+    /**
+     * Recupera los objetos legibles de un array JSON dañado (p. ej. truncado o con
+     * un registro mal escrito), recorriendo el texto y parseando cada objeto de primer nivel
+     * @param {string} text JSON dañado
+     * @returns {object} { records, discarded } con los registros recuperados y los fragmentos ilegibles
+     */
+    static recoverRecords(text) {
+        const source = String(text || '');
+        const records = [];
+        let discarded = 0;
+        let start = -1;
+        let depth = 0;
+        let inString = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                if (depth === 0) start = i;
+                depth++;
+            } else if (char === '}' && depth > 0) {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        records.push(JSON.parse(source.slice(start, i + 1)));
+                    } catch (error) {
+                        discarded++;
+                    }
+                }
+            }
+        }
+
+        // Un objeto sin cerrar al final del texto (datos truncados)
+        if (depth > 0) {
+            discarded++;
+        }
+
+        return { records, discarded };
+    }
+
+    /**
+     * Agrega registros a la cuarentena
+     * @param {Array<object>} entries Registros { index, id, reason, errors, record }
+     * @returns {Promise<void>}
+     */
+    async addToQuarantine(entries) {
+        if (entries.length === 0) return;
+
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        const quarantinedAt = new Date().toISOString();
+        const current = await adapter.read();
+        await adapter.write([...current, ...entries.map(entry => ({ ...entry, quarantinedAt }))]);
+    }
+
+    /**
+     * Obtiene los registros apartados por repair()
+     * @returns {Promise<Array<object>>} Registros { index, id, reason, errors, record, quarantinedAt }
+     */
+    async getQuarantine() {
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        return adapter.read();
+    }
+
+    /**
+     * Vacía la cuarentena
+     * @returns {Promise<void>}
+     */
+    async clearQuarantine() {
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        await adapter.write([]);
+    }
+
+    /**
+     * Verifica la integridad del almacenamiento. Los problemas encontrados se pueden
+     * corregir con repair().
+     * @returns {Promise<object>} Resultado de la verificación; issues detalla cada problema
+     *          ({ type: 'duplicateId' | 'duplicateEmail' | 'invalid', index, id, errors }) y migrated
+     *          lista los registros actualizados de esquema en esta sesión ({ id, index, fromVersion, toVersion })
+     */
+    async check() {
+        const repository = this.repository;
+        try {
+            // Se revisan los registros guardados, incluidos los de la papelera: la caché
+            // ya descartó los ids repetidos
+            await repository.ready();
+            const records = await repository.adapter.read();
+            let valid = 0;
+            let invalid = 0;
+            let duplicates = 0;
+            const seen = new Set();
+            const seenEmails = new Map();
+            const issues = [];
+
+            records.forEach((record, index) => {
+                if (!record || typeof record !== 'object' || Array.isArray(record)) {
+                    invalid++;
+                    issues.push({ type: 'invalid', index, id: null, errors: ['El registro no es un objeto'] });
+                    return;
+                }
+
+                // Verificar duplicados
+                if (seen.has(record.id)) {
+                    duplicates++;
+                    issues.push({ type: 'duplicateId', index, id: record.id, errors: [`Contacto duplicado: ${record.id}`] });
+                    return;
+                }
+                seen.add(record.id);
+
+                // El email solo debe ser único entre los contactos activos
+                const contact = new Contacto(ContactRepository.migrateRecord(record).record);
+                const email = contact.email.trim().toLowerCase();
+                if (!contact.isDeleted() && seenEmails.has(email)) {
+                    duplicates++;
+                    issues.push({ type: 'duplicateEmail', index, id: record.id, errors: [`Email duplicado de ${seenEmails.get(email)}: ${email}`] });
+                    return;
+                }
+                if (!contact.isDeleted()) {
+                    seenEmails.set(email, record.id);
+                }
+
+                // Verificar validez, incluido el formato del id
+                const validation = contact.validate();
+                const errors = validation.errors.map(e => e.message);
+                if (!Contacto.isValidId(record.id)) {
+                    errors.unshift('El id no tiene el formato contact_<fecha>_<código>');
+                }
+                if (errors.length === 0) {
+                    valid++;
+                } else {
+                    invalid++;
+                    issues.push({ type: 'invalid', index, id: record.id, errors });
+                }
+            });
+
+            return {
+                total: records.length,
+                valid,
+                invalid,
+                duplicates,
+                schemaVersion: Contacto.SCHEMA_VERSION,
+                migrated: [...repository.schemaMigrations],
+                issues,
+                errors: issues.map(issue => `Contacto ${issue.type === 'invalid' ? 'inválido' : 'duplicado'} en índice ${issue.index}: ${issue.errors.join(', ')}`)
+            };
+        } catch (error) {
+            console.error('Error al verificar integridad:', error);
+            return {
+                total: 0,
+                valid: 0,
+                invalid: 0,
+                duplicates: 0,
+                schemaVersion: Contacto.SCHEMA_VERSION,
+                migrated: [...repository.schemaMigrations],
+                issues: [],
+                errors: ['Error al acceder al almacenamiento']
+            };
+        }
+    }
+}
@@ -0,0 +1,374 @@
+/**
+ * ContactRetention - Política de retención y solicitudes de privacidad por email
+ * Patrón: Delegation (colaborador de ContactRepository)
+ *
+ * La política elimina o anonimiza los contactos según su antigüedad, al iniciar y
+ * cada vez que cambia; se guarda en una clave auxiliar del repositorio, con su mismo
+ * backend y cifrado. forgetEmail() y exportEmailData() atienden las solicitudes de
+ * borrado y de acceso de una persona por su email.
+ *
+ * Ambas alcanzan también a las copias de seguridad, la cuarentena y la auditoría
+ * (ver scrub), para que los datos no sobrevivan fuera de la lista de contactos.
+ */
+class ContactRetention {
+    /**
+     * @param {ContactRepository} repository Repositorio que provee el almacenamiento y los contactos
+     * @param {object} defaults Política inicial; la guardada con setPolicy() prevalece
+     */
+    constructor(repository, defaults = {}) {
+        this.repository = repository;
+        this.key = 'contactos_retencion';
+        this.defaults = defaults;
+        // Se lee del almacenamiento al iniciar y al desbloquear (ver load)
+        this.policy = this.resolvePolicy(null);
+    }
+
+    /**
+     * Campos que la política de retención puede anonimizar (los opcionales de Contacto)
+     * @returns {Array<string>} Campos
+     */
+    static get FIELDS() {
+        return ['mensaje', 'telefono'];
+    }
+
+    /**
+     * Completa y valida una política de retención
+     * @param {object} policy Política { deleteAfterDays, anonymizeAfterDays, anonymizeFields }
+     * @returns {object} Política normalizada; los días en null desactivan la regla
+     */
+    static normalizePolicy(policy = {}) {
+        const toDays = (value, label) => {
+            if (value === null || value === undefined || value === '') return null;
+
+            const days = Number(value);
+            if (!Number.isInteger(days) || days < 1) {
+                throw new Error(`${label} debe ser un número entero de días mayor que cero`);
+            }
+            return days;
+        };
+
+        const deleteAfterDays = toDays(policy.deleteAfterDays, 'El plazo de eliminación');
+        const anonymizeAfterDays = toDays(policy.anonymizeAfterDays, 'El plazo de anonimización');
+        const anonymizeFields = (policy.anonymizeFields || ContactRetention.FIELDS)
+            .filter(field => ContactRetention.FIELDS.includes(field));
+
+        if (deleteAfterDays !== null && anonymizeAfterDays !== null && anonymizeAfterDays >= deleteAfterDays) {
+            throw new Error('El plazo de anonimización debe ser menor que el de eliminación');
+        }
+
+        return { deleteAfterDays, anonymizeAfterDays, anonymizeFields };
+    }
+
+    /**
+     * Combina una política guardada con la indicada al construir el repositorio
+     * @param {object|null} stored Política guardada
+     * @returns {object} Política normalizada
+     */
+    resolvePolicy(stored) {
+        try {
+            return ContactRetention.normalizePolicy({ ...this.defaults, ...(stored || {}) });
+        } catch (error) {
+            console.error('Política de retención inválida, se ignora:', error);
+            return ContactRetention.normalizePolicy(this.defaults);
+        }
+    }
+
+    /**
+     * Lee la política de retención guardada con el adaptador de la clave auxiliar,
+     * de modo que sigue al backend y al cifrado de los contactos. Mientras el
+     * repositorio está bloqueado se conserva la política vigente.
+     * @returns {Promise<object>} Política normalizada
+     */
+    async load() {
+        try {
+            const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+            const stored = await adapter.read();
+            // Las versiones anteriores guardaban el objeto directamente en localStorage
+            this.policy = this.resolvePolicy(Array.isArray(stored) ? stored[0] : stored);
+        } catch (error) {
+            if (error.name !== 'ContactsLockedError') {
+                console.error('No se pudo leer la política de retención:', error);
+            }
+        }
+        return this.getPolicy();
+    }
+
+    /**
+     * Obtiene la política de retención vigente
+     * @returns {object} { deleteAfterDays, anonymizeAfterDays, anonymizeFields }
+     */
+    getPolicy() {
+        return { ...this.policy, anonymizeFields: [...this.policy.anonymizeFields] };
+    }
+
+    /**
+     * Guarda una política de retención y la aplica de inmediato
+     * @param {object} policy Política { deleteAfterDays, anonymizeAfterDays, anonymizeFields }
+     * @returns {Promise<object>} Resultado de apply()
+     */
+    async setPolicy(policy) {
+        const normalized = ContactRetention.normalizePolicy(policy);
+        const adapter = await this.repository.getAuxiliaryAdapter(this.key);
+        await adapter.write([normalized]);
+        this.policy = normalized;
+
+        console.log('Política de retención actualizada:', this.policy);
+        this.repository.emit('retentionChanged', { policy: this.getPolicy() });
+        return this.apply();
+    }
+
+    /**
+     * Aplica la política de retención según la fecha de creación de cada contacto
+     * (incluidos los de la papelera): elimina definitivamente los que superan
+     * deleteAfterDays y vacía los campos anonymizeFields de los que superan
+     * anonymizeAfterDays. Lo mismo se aplica a las copias de seguridad, la
+     * cuarentena y la auditoría, para que los datos no sobrevivan en ellas.
+     * @returns {Promise<object>} { deleted, anonymized } con la cantidad de contactos afectados
+     */
+    async apply() {
+        return this.repository.enqueueMutation(async () => {
+            const result = { deleted: 0, anonymized: 0 };
+            const { deleteAfterDays, anonymizeAfterDays, anonymizeFields } = this.policy;
+            if (this.repository.isLocked() || (deleteAfterDays === null && anonymizeAfterDays === null)) return result;
+
+            const now = Date.now();
+            const olderThan = (record, days) => days !== null &&
+                now - new Date(record.fechaCreacion).getTime() > days * 24 * 60 * 60 * 1000;
+            const expires = record => olderThan(record, deleteAfterDays);
+            const needsAnonymizing = record => olderThan(record, anonymizeAfterDays) &&
+                anonymizeFields.some(field => record[field]);
+            const anonymize = record => ({ ...record, ...Object.fromEntries(anonymizeFields.map(field => [field, ''])) });
+
+            try {
+                const cache = await this.repository.loadCache();
+                const deletedIds = new Set();
+                const anonymized = [];
+                const contacts = [];
+
+                cache.all.forEach(contact => {
+                    const record = contact.toJSON();
+                    if (expires(record)) {
+                        deletedIds.add(contact.id);
+                    } else if (needsAnonymizing(record)) {
+                        const after = Contacto.fromJSON(anonymize(record));
+                        anonymized.push({ before: contact, after });
+                        contacts.push(after);
+                    } else {
+                        contacts.push(contact);
+                    }
+                });
+
+                if (deletedIds.size > 0 || anonymized.length > 0) {
+                    await this.repository.saveToStorage(contacts);
+                }
+
+                // También se revisan las copias y la cuarentena: pueden guardar contactos ya purgados
+                const anonymizedIds = new Set(anonymized.map(({ after }) => after.id));
+                const scrubbed = await this.scrub(
+                    record => {
+                        if (expires(record)) return null;
+                        return needsAnonymizing(record) ? anonymize(record) : record;
+                    },
+                    entry => {
+                        if (deletedIds.has(entry.contactId)) return null;
+                        return anonymizedIds.has(entry.contactId) ? ContactAuditLog.redactEntry(entry, anonymizeFields) : entry;
+                    }
+                );
+
+                if (deletedIds.size === 0 && anonymized.length === 0 && scrubbed.snapshots + scrubbed.quarantine === 0) {
+                    return result;
+                }
+
+                await this.repository.audit.record('anonymize', anonymized.map(({ after }) => ({
+                    id: after.id,
+                    changes: Object.fromEntries(
+                        anonymizeFields.map(field => [field, { before: ContactAuditLog.REDACTED, after: null }])
+                    )
+                })));
+                await this.repository.audit.record('retention', [{ id: null }], {
+                    deleted: deletedIds.size,
+                    anonymized: anonymized.length,
+                    deleteAfterDays,
+                    anonymizeAfterDays
+                });
+
+                result.deleted = deletedIds.size;
+                result.anonymized = anonymized.length;
+                console.log(`Política de retención aplicada: ${result.deleted} eliminados, ${result.anonymized} anonimizados`);
+                this.repository.emit('retentionApplied', { ...result, ids: [...deletedIds, ...anonymizedIds], deletedIds: [...deletedIds] });
+                return result;
+            } catch (error) {
+                console.error('Error al aplicar la política de retención:', error);
+                return result;
+            }
+        });
+    }
+
+    /**
+     * Transforma los datos personales guardados fuera de la lista de contactos:
+     * los registros de las copias de seguridad y de la cuarentena, y las entradas
+     * de auditoría. La auditoría se reescribe en su cola para no perder entradas.
+     * @param {Function} transformRecord Recibe un registro plano y retorna el mismo registro,
+     *        una copia modificada o null para eliminarlo
+     * @param {Function} transformEntry Igual, para cada entrada de auditoría
+     * @returns {Promise<object>} { snapshots, quarantine, audit } con los registros modificados o eliminados
+     */
+    async scrub(transformRecord, transformEntry) {
+        const repository = this.repository;
+        const result = { snapshots: 0, quarantine: 0, audit: 0 };
+
+        result.snapshots = await repository.snapshots.rewrite(transformRecord);
+
+        const quarantine = (await repository.getQuarantine()).reduce((kept, entry) => {
+            let next = entry;
+            if (entry.record && typeof entry.record === 'object') {
+                const record = transformRecord(entry.record);
+                if (record !== entry.record) next = record ? { ...entry, record } : null;
+            }
+            if (next !== entry) result.quarantine++;
+            if (next) kept.push(next);
+            return kept;
+        }, []);
+        if (result.quarantine > 0) {
+            await (await repository.getAuxiliaryAdapter(repository.integrity.key)).write(quarantine);
+        }
+
+        result.audit = await repository.audit.rewrite(transformEntry);
+
+        return result;
+    }
+
+    /**
+     * Normaliza un email para comparar solicitudes de privacidad
+     * @param {string} email Email
+     * @returns {string} Email sin espacios y en minúsculas
+     */
+    static normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Indica si un registro plano pertenece a un email (acepta registros de sin_framework)
+     * @param {object} record Registro plano
+     * @param {string} email Email normalizado
+     * @returns {boolean} true si el registro es de ese email
+     */
+    static recordMatchesEmail(record, email) {
+        return ContactRetention.normalizeEmail(record.email ?? record.correo) === email;
+    }
+
+    /**
+     * Indica si una entrada de auditoría registra un email como valor anterior o posterior
+     * @param {object} entry Entrada de auditoría
+     * @param {string} email Email normalizado
+     * @returns {boolean} true si la entrada menciona el email
+     */
+    static auditEntryMentionsEmail(entry, email) {
+        return Object.entries(entry.changes || {}).some(([field, change]) =>
+            ['email', 'correo'].includes(field) &&
+            [change.before, change.after].some(value => typeof value === 'string' && ContactRetention.normalizeEmail(value) === email)
+        );
+    }
+
+    /**
+     * Reúne todos los datos guardados de un email: sus contactos (incluida la papelera),
+     * las copias de seguridad y registros en cuarentena que los contienen y su auditoría
+     * @param {string} email Email
+     * @returns {Promise<object>} { email, ids, contacts, snapshots, quarantine, auditLog }
+     */
+    async findEmailData(email) {
+        const target = ContactRetention.normalizeEmail(email);
+        if (!target) {
+            throw new Error('Indique un email');
+        }
+
+        const cache = await this.repository.loadCache();
+        const contacts = cache.all.filter(contact => ContactRetention.recordMatchesEmail(contact, target));
+
+        const snapshots = (await this.repository.snapshots.read())
+            .map(snapshot => ({
+                id: snapshot.id,
+                createdAt: snapshot.createdAt,
+                records: ContactRepository.parseStoredData(snapshot.data)
+                    .filter(record => ContactRetention.recordMatchesEmail(record, target))
+            }))
+            .filter(snapshot => snapshot.records.length > 0);
+
+        const quarantine = (await this.repository.getQuarantine()).filter(entry =>
+            entry.record && typeof entry.record === 'object' && ContactRetention.recordMatchesEmail(entry.record, target)
+        );
+
+        // Los ids de las copias y la cuarentena cubren contactos ya purgados
+        const ids = new Set([
+            ...contacts.map(contact => contact.id),
+            ...snapshots.flatMap(snapshot => snapshot.records.map(record => String(record.id))),
+            ...quarantine.map(entry => String(entry.record.id))
+        ]);
+
+        const auditLog = (await this.repository.audit.query()).filter(entry =>
+            ids.has(entry.contactId) || ContactRetention.auditEntryMentionsEmail(entry, target)
+        );
+
+        return { email: target, ids: [...ids], contacts, snapshots, quarantine, auditLog };
+    }
+
+    /**
+     * Exporta todos los datos guardados de un email (derecho de acceso)
+     * @param {string} email Email
+     * @returns {Promise<string>} JSON con { email, exportedAt, contacts, auditLog, snapshots, quarantine }
+     */
+    async exportEmailData(email) {
+        try {
+            const data = await this.findEmailData(email);
+            return JSON.stringify({
+                email: data.email,
+                exportedAt: new Date().toISOString(),
+                contacts: data.contacts.map(contact => contact.toJSON()),
+                auditLog: data.auditLog,
+                snapshots: data.snapshots,
+                quarantine: data.quarantine
+            }, null, 2);
+        } catch (error) {
+            console.error('Error al exportar los datos del email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Borra todos los datos de un email (derecho al olvido): sus contactos activos y
+     * de la papelera, sus registros en las copias de seguridad y la cuarentena y sus
+     * entradas de auditoría. Solo queda una entrada 'erasure' con las cantidades, sin el email.
+     * @param {string} email Email
+     * @returns {Promise<object>} { contacts, snapshots, quarantine, audit } con los registros eliminados
+     */
+    async forgetEmail(email) {
+        return this.repository.enqueueMutation(async () => {
+            try {
+                const { email: target, ids, contacts } = await this.findEmailData(email);
+                const idSet = new Set(ids);
+
+                if (contacts.length > 0) {
+                    const cache = await this.repository.loadCache();
+                    await this.repository.saveToStorage(cache.all.filter(contact => !idSet.has(contact.id)));
+                }
+
+                const scrubbed = await this.scrub(
+                    record => (idSet.has(String(record.id)) || ContactRetention.recordMatchesEmail(record, target) ? null : record),
+                    entry => (idSet.has(entry.contactId) || ContactRetention.auditEntryMentionsEmail(entry, target) ? null : entry)
+                );
+                const result = { contacts: contacts.length, ...scrubbed };
+
+                if (Object.values(result).some(count => count > 0)) {
+                    await this.repository.audit.record('erasure', [{ id: null }], result);
+                }
+
+                console.log(`Datos de un email eliminados: ${contacts.length} contactos`);
+                this.repository.emit('forgotten', { ids: contacts.map(contact => contact.id), count: contacts.length });
+                return result;
+            } catch (error) {
+                console.error('Error al eliminar los datos del email:', error);
+                throw error;
+            }
+        });
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * ContactOutbox - Cola de envíos de contactos con reintentos
+ * Patrón: Outbox Pattern
+ *
+ * Cada contacto nuevo se encola y se entrega con el transporte configurado. Si el
+ * envío falla se reintenta con espera exponencial hasta maxAttempts; después queda
+ * como fallido hasta el próximo flush(), que se ejecuta al recuperar la conexión
+ * ('online') o a pedido.
+ *
+ * La cola solo guarda en localStorage el id y el estado de entrega de cada contacto:
+ * los datos se piden a resolvePayload al momento de enviar, de modo que siguen
+ * cifrados, retenidos y borrados según ContactRepository.
+ *
+ * Estados: 'pending' (en cola o esperando reintento), 'sent' y 'failed'. Las
+ * entradas enviadas se descartan tras sentRetentionDays (ver prune) para que la cola
+ * no crezca sin límite.
+ */
+class ContactOutbox {
+    /**
+     * @param {object} options Opciones de la cola
+     * @param {ContactTransport|null} options.transport Transporte (null = no se envía nada)
+     * @param {Function} options.resolvePayload Función async id → contacto serializado,
+     *        null si ya no existe (se quita de la cola) o un error para reintentar luego
+     * @param {string} options.storageKey Clave de localStorage de la cola
+     * @param {number} options.maxAttempts Intentos antes de marcar un envío como fallido
+     * @param {number} options.baseDelayMs Espera antes del primer reintento (se duplica en cada uno)
+     * @param {number} options.maxDelayMs Espera máxima entre reintentos
+     * @param {number} options.sentRetentionDays Días que se conserva la entrada de un envío confirmado
+     */
+    constructor(options = {}) {
+        this.transport = options.transport || null;
+        this.resolvePayload = options.resolvePayload || (async () => null);
+        this.storageKey = options.storageKey || 'contactos_bandeja_salida';
+        this.maxAttempts = options.maxAttempts ?? 4;
+        this.baseDelayMs = options.baseDelayMs ?? 2000;
+        this.maxDelayMs = options.maxDelayMs ?? 60000;
+        this.sentRetentionDays = options.sentRetentionDays ?? 30;
+        // Envíos en curso en esta pestaña y reintentos programados
+        this.inFlight = new Set();
+        this.timers = new Map();
+        this.listeners = new Set();
+
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.flush());
+        }
+    }
+
+    /**
+     * Etiquetas de los estados de entrega
+     * @returns {object} Mapa estado → etiqueta
+     */
+    static get STATUS_LABELS() {
+        return {
+            pending: 'Pendiente',
+            sent: 'Enviado',
+            failed: 'Fallido'
+        };
+    }
+
+    /**
+     * Suscribe una función a los cambios de estado ('statusChanged' y 'removed')
+     * @param {Function} listener Función que recibe { type, id, entry }
+     * @returns {Function} Función para cancelar la suscripción
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Notifica un cambio a los suscriptores
+     * @param {string} type Tipo de evento
+     * @param {object} payload Datos del evento
+     */
+    emit(type, payload = {}) {
+        this.listeners.forEach(listener => {
+            try {
+                listener({ type, ...payload });
+            } catch (error) {
+                console.error(`Error en suscriptor del evento ${type}:`, error);
+            }
+        });
+    }
+
+    /**
+     * Lee la cola
+     * @returns {object} Entradas por id { status, attempts, lastError, nextAttemptAt, updatedAt, sentAt }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('Error al leer la bandeja de salida:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Guarda la cola
+     * @param {object} entries Entradas por id
+     */
+    save(entries) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(entries));
+        } catch (error) {
+            console.error('Error al guardar la bandeja de salida:', error);
+        }
+    }
+
+    /**
+     * Actualiza la entrada de un contacto y notifica el cambio
+     * @param {string} id ID del contacto
+     * @param {object} changes Campos a cambiar
+     * @returns {object} Entrada actualizada
+     */
+    updateEntry(id, changes) {
+        const entries = this.load();
+        const entry = { ...(entries[id] || {}), ...changes, updatedAt: new Date().toISOString() };
+        entries[id] = entry;
+        this.save(entries);
+        this.emit('statusChanged', { id, entry });
+        return entry;
+    }
+
+    /**
+     * Estado de entrega de un contacto
+     * @param {string} id ID del contacto
+     * @returns {object|null} Entrada o null si el contacto nunca se encoló
+     */
+    getStatus(id) {
+        return this.load()[id] || null;
+    }
+
+    /**
+     * Cuenta las entradas por estado
+     * @returns {object} { pending, sent, failed }
+     */
+    getSummary() {
+        const summary = { pending: 0, sent: 0, failed: 0 };
+        Object.values(this.load()).forEach(entry => {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+        });
+        return summary;
+    }
+
+    /**
+     * Cambia el transporte y reintenta lo que estaba en cola
+     * @param {ContactTransport|null} transport Transporte nuevo
+     */
+    setTransport(transport) {
+        this.transport = transport;
+        if (transport) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Encola un contacto y comienza a enviarlo
+     * @param {string} id ID del contacto
+     * @returns {boolean} false si no hay transporte configurado
+     */
+    enqueue(id) {
+        if (!this.transport) return false;
+
+        this.updateEntry(id, { status: 'pending', attempts: 0, lastError: null, nextAttemptAt: null, sentAt: null });
+        this.deliver(id);
+        return true;
+    }
+
+    /**
+     * Espera antes del siguiente reintento, con una variación aleatoria para
+     * que varias pestañas no reintenten a la vez
+     * @param {number} attempts Intentos realizados
+     * @returns {number} Milisegundos
+     */
+    getRetryDelay(attempts) {
+        const delay = Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    /**
+     * Intenta enviar un contacto de la cola
+     * @param {string} id ID del contacto
+     * @returns {Promise<object|null>} Entrada resultante, o null si no se intentó
+     */
+    async deliver(id) {
+        const current = this.getStatus(id);
+        if (!current || current.status === 'sent' || this.inFlight.has(id)) return null;
+        // Sin conexión no se gasta un intento: 'online' vuelve a llamar a flush()
+        if (!this.transport || (typeof navigator !== 'undefined' && navigator.onLine === false)) return null;
+
+        clearTimeout(this.timers.get(id));
+        this.timers.delete(id);
+        this.inFlight.add(id);
+
+        try {
+            const payload = await this.resolvePayload(id);
+            if (!payload) {
+                this.remove([id]);
+                return null;
+            }
+
+            await this.transport.send(payload);
+            // El contacto pudo quitarse de la cola mientras se enviaba (ver remove)
+            if (!this.getStatus(id)) return null;
+            return this.updateEntry(id, {
+                status: 'sent',
+                attempts: current.attempts + 1,
+                lastError: null,
+                nextAttemptAt: null,
+                sentAt: new Date().toISOString()
+            });
+        } catch (error) {
+            console.warn(`No se pudo enviar el contacto ${id}:`, error);
+            if (!this.getStatus(id)) return null;
+            const attempts = current.attempts + 1;
+
+            if (error.permanent || attempts >= this.maxAttempts) {
+                return this.updateEntry(id, { status: 'failed', attempts, lastError: error.message, nextAttemptAt: null });
+            }
+
+            const delay = this.getRetryDelay(attempts);
+            this.timers.set(id, setTimeout(() => this.deliver(id), delay));
+            return this.updateEntry(id, {
+                status: 'pending',
+                attempts,
+                lastError: error.message,
+                nextAttemptAt: new Date(Date.now() + delay).toISOString()
+            });
+        } finally {
+            this.inFlight.delete(id);
+        }
+    }
+
+    /**
+     * Reintenta un envío fallido con una nueva serie de intentos
+     * @param {string} id ID del contacto
+     * @returns {Promise<object|null>} Entrada resultante
+     */
+    retry(id) {
+        const entry = this.getStatus(id);
+        if (!entry || entry.status === 'sent') return Promise.resolve(entry);
+
+        this.updateEntry(id, { status: 'pending', attempts: 0, nextAttemptAt: null });
+        return this.deliver(id);
+    }
+
+    /**
+     * Envía todo lo pendiente o fallido (al recuperar la conexión o al iniciar)
+     * @returns {Promise<object>} { sent, failed, pending } de este intento
+     */
+    async flush() {
+        this.prune();
+        const ids = Object.entries(this.load())
+            .filter(([, entry]) => entry.status !== 'sent')
+            .map(([id]) => id);
+
+        const results = await Promise.all(ids.map(id => this.retry(id)));
+        return results.reduce((summary, entry) => {
+            const status = entry ? entry.status : 'pending';
+            summary[status] = (summary[status] || 0) + 1;
+            return summary;
+        }, { sent: 0, failed: 0, pending: 0 });
+    }
+
+    /**
+     * Descarta las entradas enviadas hace más de sentRetentionDays
+     * @returns {number} Entradas descartadas
+     */
+    prune() {
+        const cutoff = Date.now() - this.sentRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = Object.entries(this.load())
+            .filter(([, entry]) => entry.status === 'sent' && !(new Date(entry.sentAt).getTime() >= cutoff))
+            .map(([id]) => id);
+        return this.remove(expired);
+    }
+
+    /**
+     * Quita contactos de la cola (eliminados o borrados por privacidad)
+     * @param {Array<string>} ids IDs de los contactos
+     * @returns {number} Entradas quitadas
+     */
+    remove(ids) {
+        const entries = this.load();
+        const present = ids.filter(id => entries[id]);
+        if (present.length === 0) return 0;
+
+        present.forEach(id => {
+            delete entries[id];
+            clearTimeout(this.timers.get(id));
+            this.timers.delete(id);
+        });
+        this.save(entries);
+        this.emit('removed', { ids: present });
+        return present.length;
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * ContactTransport - Interfaz base para enviar los contactos al dueño de la página
+ * Patrón: Strategy Pattern
+ *
+ * ContactOutbox entrega cada contacto nuevo con un transporte; cambiar de backend
+ * (HTTP, un mock en la página, otro servicio) no afecta a la cola ni a la fachada.
+ * send() se resuelve cuando el destino confirmó la recepción y rechaza con un
+ * Error en caso contrario. Si el error tiene permanent = true, reintentar no
+ * sirve (p. ej. el servidor rechazó los datos) y el envío queda como fallido.
+ */
+class ContactTransport {
+    constructor() {
+        this.name = 'base';
+    }
+
+    /**
+     * Envía un contacto
+     * @param {object} payload Contacto serializado con Contacto.toJSON
+     * @returns {Promise<object|null>} Respuesta del destino, si la hay
+     */
+    async send(payload) {
+        throw new Error(`send() no está implementado en el transporte ${this.name}`);
+    }
+
+    /**
+     * Crea el error de un envío rechazado
+     * @param {string} message Descripción del error
+     * @param {boolean} permanent Si reintentar no tiene sentido
+     * @returns {Error} Error con la propiedad permanent
+     */
+    static createError(message, permanent = false) {
+        const error = new Error(message);
+        error.permanent = permanent;
+        return error;
+    }
+}
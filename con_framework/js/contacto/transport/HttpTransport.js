@@ -0,0 +1,67 @@
+/**
+ * HttpTransport - Envía los contactos a un endpoint HTTP
+ * Patrón: Strategy Pattern
+ *
+ * Protocolo del servidor:
+ *
+ *     POST <endpoint>
+ *     Content-Type: application/json
+ *     { ...Contacto.toJSON() }
+ *
+ * Cualquier respuesta 2xx confirma la recepción (el cuerpo JSON, si lo hay, se
+ * retorna). Las respuestas 4xx, salvo 408 y 429, se consideran permanentes; las
+ * demás, los errores de red y el tiempo de espera agotado se reintentan. El id
+ * del contacto permite al servidor ignorar un mismo envío recibido dos veces.
+ */
+class HttpTransport extends ContactTransport {
+    /**
+     * @param {string} endpoint URL que recibe los contactos
+     * @param {object} options Opciones del transporte
+     * @param {object} options.headers Cabeceras adicionales (p. ej. una clave de API)
+     * @param {number} options.timeoutMs Tiempo máximo de espera de cada envío
+     */
+    constructor(endpoint, options = {}) {
+        super();
+        this.name = 'http';
+        this.endpoint = endpoint;
+        this.headers = options.headers || {};
+        this.timeoutMs = options.timeoutMs ?? 10000;
+    }
+
+    /**
+     * Envía un contacto con POST
+     * @param {object} payload Contacto serializado
+     * @returns {Promise<object|null>} Cuerpo JSON de la respuesta, o null
+     */
+    async send(payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.headers },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw ContactTransport.createError(
+                error.name === 'AbortError' ? 'Tiempo de espera agotado' : `Sin conexión con el servidor (${error.message})`
+            );
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const permanent = response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status);
+            throw ContactTransport.createError(`El servidor respondió ${response.status}`, permanent);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            return null;
+        }
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * MockTransport - Servidor simulado en la página para probar los envíos sin backend
+ * Patrón: Strategy Pattern
+ *
+ * Guarda en received los contactos que "recibe" y puede simular latencia, fallos
+ * temporales y rechazos:
+ *
+ *     const mock = new MockTransport({ failTimes: 2 });
+ *     contactFacade.configurarTransporte(mock);
+ *     // los dos primeros intentos fallan y el tercero llega a mock.received
+ *
+ *     mock.setOffline(true);   // cada envío falla hasta llamar setOffline(false)
+ *
+ * Para probar HttpTransport contra un servidor HTTP de verdad, con las mismas
+ * opciones, ver tools/mock-server.js.
+ */
+class MockTransport extends ContactTransport {
+    /**
+     * @param {object} options Opciones del servidor simulado
+     * @param {number} options.latencyMs Demora de cada respuesta
+     * @param {number} options.failTimes Cantidad de envíos que fallan antes de aceptar
+     * @param {number|null} options.rejectStatus Código 4xx con que se rechaza todo envío (null = aceptar)
+     */
+    constructor(options = {}) {
+        super();
+        this.name = 'mock';
+        this.latencyMs = options.latencyMs ?? 200;
+        this.failTimes = options.failTimes ?? 0;
+        this.rejectStatus = options.rejectStatus ?? null;
+        this.offline = false;
+        // Contactos recibidos, en orden de llegada
+        this.received = [];
+    }
+
+    /**
+     * Simula que el servidor deja de responder o vuelve a hacerlo
+     * @param {boolean} offline true para que los envíos fallen
+     */
+    setOffline(offline) {
+        this.offline = offline;
+    }
+
+    /**
+     * Recibe un contacto tras la latencia configurada
+     * @param {object} payload Contacto serializado
+     * @returns {Promise<object>} { id, receivedAt }
+     */
+    async send(payload) {
+        await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+
+        if (this.offline) {
+            throw ContactTransport.createError('Servidor simulado sin conexión');
+        }
+        if (this.failTimes > 0) {
+            this.failTimes--;
+            throw ContactTransport.createError('El servidor respondió 503');
+        }
+        if (this.rejectStatus) {
+            throw ContactTransport.createError(`El servidor respondió ${this.rejectStatus}`, true);
+        }
+
+        // Un reenvío del mismo contacto reemplaza al anterior, como haría un servidor idempotente
+        const receivedAt = new Date().toISOString();
+        this.received = this.received.filter(item => item.payload.id !== payload.id);
+        this.received.push({ payload, receivedAt });
+        return { id: payload.id, receivedAt };
+    }
+}
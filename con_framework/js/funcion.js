@@ -1,6 +1,10 @@
 /**
  * Funciones Generales para la página personal
  * Incluye funcionalidades de navegación, carrusel y utilidades
+ *
+ * Requiere js/utilidades.js (debounce y throttle), js/contacto/domain/PhoneNumber.js
+ * (teléfonos por país) y js/contacto/domain/ContactSchema.js (reglas de validación)
+ * cargados antes que este archivo.
  */
 
 // Esperar a que el DOM esté completamente cargado
@@ -375,7 +379,7 @@ function initializeContactForm() {
     // Contador de caracteres para el textarea
     const messageField = document.getElementById('mensaje');
     if (messageField) {
-        const maxLength = 1000;
+        const maxLength = ContactSchema.FIELDS.mensaje.maxLength;
         
         // Crear contador
         const counter = document.createElement('small');
@@ -408,22 +412,18 @@ function initializeContactForm() {
         });
     }
     
-    // Formatear número de teléfono automáticamente
+    // Formatear número de teléfono según el país elegido (o el de su prefijo internacional)
     const phoneField = document.getElementById('phone');
+    const phoneCountry = document.getElementById('phoneCountry');
     if (phoneField) {
-        phoneField.addEventListener('input', function(e) {
-            let value = e.target.value.replace(/\D/g, '');
-            
-            // Formato para números colombianos
-            if (value.length >= 10) {
-                if (value.startsWith('57')) {
-                    value = '+57 ' + value.substring(2, 5) + ' ' + value.substring(5, 8) + ' ' + value.substring(8, 12);
-                } else {
-                    value = value.substring(0, 3) + ' ' + value.substring(3, 6) + ' ' + value.substring(6, 10);
-                }
+        phoneField.addEventListener('blur', function(e) {
+            const parsed = PhoneNumber.parse(e.target.value, phoneCountry ? phoneCountry.value : PhoneNumber.DEFAULT_COUNTRY);
+            if (!parsed) return;
+
+            e.target.value = PhoneNumber.format(parsed.e164);
+            if (phoneCountry) {
+                phoneCountry.value = parsed.country;
             }
-            
-            e.target.value = value;
         });
     }
     
@@ -591,8 +591,7 @@ function generateUniqueId() {
  * @returns {boolean} true si es válido
  */
 function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+    return ContactSchema.checkField('email', { email }) === null;
 }
 
 /**
@@ -611,43 +610,6 @@ function formatDate(date) {
     });
 }
 
-/**
- * Debounce para optimizar eventos que se disparan frecuentemente
- * @param {Function} func Función a debounce
- * @param {number} wait Tiempo de espera
- * @returns {Function} Función con debounce
- */
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const later = () => {
-            clearTimeout(timeout);
-            func(...args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
-    };
-}
-
-/**
- * Throttle para limitar la frecuencia de ejecución
- * @param {Function} func Función a throttle
- * @param {number} limit Límite de tiempo
- * @returns {Function} Función con throttle
- */
-function throttle(func, limit) {
-    let inThrottle;
-    return function() {
-        const args = arguments;
-        const context = this;
-        if (!inThrottle) {
-            func.apply(context, args);
-            inThrottle = true;
-            setTimeout(() => inThrottle = false, limit);
-        }
-    }
-}
-
 // Aplicar debounce a eventos de scroll y resize para mejor rendimiento
 window.addEventListener('scroll', debounce(updateActiveNavLinkOnScroll, 10));
 window.addEventListener('resize', debounce(handleResize, 250));
@@ -0,0 +1,135 @@
+/**
+ * OfflineSupport - Registra el service worker y muestra el estado de la conexión
+ * Patrón: Observer Pattern (eventos online/offline y del service worker)
+ *
+ * - Registra sw.js, que guarda la página y sus recursos para usarla sin conexión.
+ *   Desde file:// no hay service worker: la página funciona igual, pero solo en línea.
+ * - Si hay una versión nueva en espera (ver CACHE_VERSION en sw.js), ofrece
+ *   actualizar; al aceptar, el service worker nuevo toma el control y la página
+ *   se recarga una vez.
+ * - Muestra los avisos [data-offline-indicator] de la barra de navegación mientras
+ *   no haya conexión (ver Navbar.createOfflineIndicator).
+ */
+class OfflineSupport {
+    /**
+     * @param {object} options Opciones
+     * @param {string} options.scriptUrl Ruta del service worker, relativa a la página
+     */
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || 'sw.js';
+        this.registration = null;
+        // Solo se recarga la página cuando el usuario aceptó la actualización
+        this.updateAccepted = false;
+        this.reloading = false;
+
+        window.addEventListener('online', () => this.handleConnectionChange());
+        window.addEventListener('offline', () => this.handleConnectionChange());
+        this.updateIndicators();
+        this.register();
+    }
+
+    /**
+     * Indica si el navegador puede registrar el service worker
+     * @returns {boolean} true con soporte y la página servida por http(s)
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && ['http:', 'https:'].includes(window.location.protocol);
+    }
+
+    /**
+     * Registra el service worker y atiende sus actualizaciones
+     * @returns {Promise<ServiceWorkerRegistration|null>} Registro, o null si no se pudo
+     */
+    async register() {
+        if (!OfflineSupport.isSupported()) {
+            console.info('Service worker no disponible: la página no funcionará sin conexión');
+            return null;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+
+            // Una versión instalada en una visita anterior que sigue esperando
+            if (this.registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(this.registration.waiting);
+            }
+
+            this.registration.addEventListener('updatefound', () => {
+                const worker = this.registration.installing;
+                if (!worker) return;
+
+                worker.addEventListener('statechange', () => {
+                    // Sin controlador previo es la primera instalación, no una actualización
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (!this.updateAccepted || this.reloading) return;
+                this.reloading = true;
+                window.location.reload();
+            });
+
+            return this.registration;
+        } catch (error) {
+            console.error('Error al registrar el service worker:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Actualiza los avisos y, al recuperar la conexión, busca una versión nueva
+     */
+    handleConnectionChange() {
+        this.updateIndicators();
+
+        if (navigator.onLine && this.registration) {
+            this.registration.update().catch(error => console.warn('No se pudo buscar una actualización:', error));
+        }
+    }
+
+    /**
+     * Muestra u oculta los avisos "Sin conexión"
+     */
+    updateIndicators() {
+        const offline = navigator.onLine === false;
+        document.querySelectorAll('[data-offline-indicator]').forEach(indicator => {
+            indicator.classList.toggle('d-none', !offline);
+        });
+    }
+
+    /**
+     * Ofrece activar la versión nueva de la página
+     * @param {ServiceWorker} worker Service worker instalado y en espera
+     */
+    showUpdatePrompt(worker) {
+        if (document.getElementById('updatePrompt')) return;
+
+        const prompt = document.createElement('div');
+        prompt.id = 'updatePrompt';
+        prompt.className = 'alert alert-info d-flex align-items-center shadow position-fixed bottom-0 start-50 translate-middle-x mb-3';
+        prompt.style.zIndex = '1090';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <span><i class="fas fa-sync-alt me-2"></i>Hay una nueva versión de la página. Al actualizar se recargará.</span>
+            <span class="ms-3 text-nowrap">
+                <button type="button" class="btn btn-sm btn-primary" data-update-accept>Actualizar</button>
+                <button type="button" class="btn btn-sm btn-outline-secondary ms-1" data-update-dismiss>Más tarde</button>
+            </span>
+        `;
+
+        prompt.querySelector('[data-update-accept]').addEventListener('click', () => {
+            this.updateAccepted = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+            prompt.remove();
+        });
+        prompt.querySelector('[data-update-dismiss]').addEventListener('click', () => prompt.remove());
+
+        document.body.appendChild(prompt);
+    }
+}
+
+// Crear instancia global del soporte sin conexión
+const offlineSupport = new OfflineSupport();
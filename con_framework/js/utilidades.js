@@ -0,0 +1,41 @@
+/**
+ * Utilidades compartidas entre la página y el módulo de contactos
+ * Incluye funciones para controlar la frecuencia de ejecución de eventos
+ */
+
+/**
+ * Debounce para optimizar eventos que se disparan frecuentemente
+ * @param {Function} func Función a debounce
+ * @param {number} wait Tiempo de espera
+ * @returns {Function} Función con debounce
+ */
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Throttle para limitar la frecuencia de ejecución
+ * @param {Function} func Función a throttle
+ * @param {number} limit Límite de tiempo
+ * @returns {Function} Función con throttle
+ */
+function throttle(func, limit) {
+    let inThrottle;
+    return function() {
+        const args = arguments;
+        const context = this;
+        if (!inThrottle) {
+            func.apply(context, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    }
+}
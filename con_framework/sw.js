@@ -0,0 +1,159 @@
+/**
+ * Service worker de la página: permite usarla sin conexión
+ * Patrón: Proxy Pattern (intercepta las peticiones de la página)
+ *
+ * Al instalarse guarda en caché la página, los estilos, los scripts (los de
+ * index.HTML y los componentes de ComponentLoader.loadOrder), las imágenes y las
+ * librerías de vendor/ (Bootstrap, Font Awesome, Toastify y la fuente Roboto Serif),
+ * de modo que la primera visita sin conexión ya tiene todo lo necesario.
+ *
+ * Versionado: al cambiar cualquier archivo de PRECACHE_URLS hay que aumentar
+ * CACHE_VERSION. El navegador instala entonces el nuevo service worker, que queda
+ * en espera hasta que la página (js/offline.js) ofrece actualizar y envía
+ * { type: 'SKIP_WAITING' }. Al activarse se borran las cachés de versiones anteriores.
+ */
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'con-framework-';
+const PRECACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// Mantener en sincronía con los <link> y <script> de index.HTML y ComponentLoader.loadOrder.
+// De las fuentes se guardan las woff2, que es el formato que piden los navegadores actuales.
+const PRECACHE_URLS = [
+    'index.HTML',
+    'css/custom.css',
+    'vendor/bootstrap-5.3.0/css/bootstrap.min.css',
+    'vendor/bootstrap-5.3.0/js/bootstrap.bundle.min.js',
+    'vendor/fontawesome-free-6.0.0-beta3/css/all.min.css',
+    'vendor/fontawesome-free-6.0.0-beta3/webfonts/fa-brands-400.woff2',
+    'vendor/fontawesome-free-6.0.0-beta3/webfonts/fa-regular-400.woff2',
+    'vendor/fontawesome-free-6.0.0-beta3/webfonts/fa-solid-900.woff2',
+    'vendor/fontawesome-free-6.0.0-beta3/webfonts/fa-v4compatibility.woff2',
+    'vendor/roboto-serif-5.3.0/roboto-serif.css',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-400-normal.woff2',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-ext-400-normal.woff2',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-500-normal.woff2',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-ext-500-normal.woff2',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-700-normal.woff2',
+    'vendor/roboto-serif-5.3.0/files/roboto-serif-latin-ext-700-normal.woff2',
+    'vendor/toastify-js-1.12.0/toastify.css',
+    'vendor/toastify-js-1.12.0/toastify.js',
+    'integration.js',
+    'js/offline.js',
+    'js/utilidades.js',
+    'js/contacto/domain/ContactTerms.js',
+    'js/contacto/domain/EmailDomainValidator.js',
+    'js/contacto/domain/PhoneNumber.js',
+    'js/contacto/domain/ContactSchema.js',
+    'js/contacto/domain/Contacto.js',
+    'js/contacto/domain/ContactQuery.js',
+    'js/contacto/repository/crypto/ContactCipher.js',
+    'js/contacto/repository/crypto/ContactEncryption.js',
+    'js/contacto/repository/adapters/StorageAdapter.js',
+    'js/contacto/repository/adapters/LocalStorageAdapter.js',
+    'js/contacto/repository/adapters/IndexedDBAdapter.js',
+    'js/contacto/repository/adapters/EncryptedStorageAdapter.js',
+    'js/contacto/repository/formats/CsvFormat.js',
+    'js/contacto/repository/formats/VCardFormat.js',
+    'js/contacto/repository/audit/ContactAuditLog.js',
+    'js/contacto/repository/backups/ContactSnapshots.js',
+    'js/contacto/repository/retention/ContactRetention.js',
+    'js/contacto/repository/integrity/ContactIntegrity.js',
+    'js/contacto/repository/import/ContactImporter.js',
+    'js/contacto/repository/ContactRepository.js',
+    'js/contacto/transport/ContactTransport.js',
+    'js/contacto/transport/HttpTransport.js',
+    'js/contacto/transport/MockTransport.js',
+    'js/contacto/transport/ContactOutbox.js',
+    'js/contacto/facade/SpamGuard.js',
+    'js/contacto/facade/ContactBackupsPanel.js',
+    'js/contacto/facade/ContactAuditPanel.js',
+    'js/contacto/facade/ContactEncryptionPanel.js',
+    'js/contacto/facade/ContactPrivacyPanel.js',
+    'js/contacto/facade/ContactImportExportPanel.js',
+    'js/contacto/facade/ContactFacade.js',
+    'components/ComponentLoader.js',
+    'components/atoms/Button.js',
+    'components/atoms/Input.js',
+    'components/atoms/Badge.js',
+    'components/molecules/Card.js',
+    'components/molecules/Form.js',
+    'components/molecules/Table.js',
+    'components/organisms/Header.js',
+    'components/organisms/Sections.js',
+    'components/organisms/Dashboard.js',
+    'components/organisms/Footer.js',
+    'components/templates/PageTemplate.js',
+    'components/pages/MainPage.js',
+    'assets/images/lectura.jpeg',
+    'assets/images/perfil.jpeg',
+    'assets/images/serie.png',
+    'assets/images/taekwondo.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(PRECACHE_NAME);
+        await cache.addAll(PRECACHE_URLS);
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== PRECACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    // Solo se atienden lecturas: los envíos de contactos (POST) siempre van a la red
+    if (request.method !== 'GET') return;
+
+    // Las peticiones externas (p. ej. el endpoint de contactos o el resolver de
+    // dominios) no pasan por la caché
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Navegación: la página guardada, para que coincida con la versión de los scripts
+ * en caché (los cambios llegan con una nueva CACHE_VERSION). Las rutas que no están
+ * guardadas se piden a la red y, sin conexión, se responde con index.HTML.
+ * @param {Request} request Petición de navegación
+ * @returns {Promise<Response>} Respuesta
+ */
+async function handleNavigation(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        return caches.match('index.HTML');
+    }
+}
+
+/**
+ * Archivos propios: la versión guardada; lo que no está en PRECACHE_URLS va a la red
+ * @param {Request} request Petición
+ * @returns {Promise<Response>} Respuesta
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+/**
+ * mock-server - Servidor local para probar los envíos de contactos con HttpTransport
+ * Patrón: Front Controller (un único manejador reparte las peticiones)
+ *
+ * Sirve la página (la carpeta con_framework) y recibe los contactos en /api/contactos
+ * con el protocolo de HttpTransport, de modo que la bandeja de salida, los reintentos
+ * y el service worker se prueban igual que con un backend real. Solo usa módulos de Node.
+ *
+ *     node tools/mock-server.js --port 8080 --fail 2 --latency 500
+ *
+ * y en index.HTML: <form id="contacto_Form" data-endpoint="/api/contactos">
+ *
+ * Opciones (también como variables de entorno MOCK_PORT, MOCK_FAIL, MOCK_REJECT, MOCK_LATENCY):
+ *     --port <n>      Puerto (8080)
+ *     --fail <n>      Cantidad de envíos que responden 503 antes de aceptar (0)
+ *     --reject <n>    Código 4xx con que se rechaza todo envío (ninguno)
+ *     --latency <ms>  Demora de cada respuesta (200)
+ *
+ * Rutas:
+ *     POST   /api/contactos  Recibe un contacto: 201 { id, receivedAt }
+ *     GET    /api/contactos  Contactos recibidos, en orden de llegada
+ *     DELETE /api/contactos  Olvida los contactos recibidos
+ *     PUT    /api/mock       Cambia { failTimes, rejectStatus, latencyMs, offline } sin reiniciar
+ *
+ * Con offline: true cada envío se corta sin respuesta, como una caída de la red.
+ * Responde con cabeceras CORS para usarlo también desde otra página (p. ej. file://).
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONTACTS_PATH = '/api/contactos';
+const SETTINGS_PATH = '/api/mock';
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpeg': 'image/jpeg',
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+/**
+ * Lee las opciones de la línea de comandos y del entorno
+ * @param {Array<string>} argv Argumentos después del nombre del script
+ * @returns {object} { port, failTimes, rejectStatus, latencyMs }
+ */
+function parseOptions(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i += 2) {
+        args[argv[i].replace(/^--/, '')] = argv[i + 1];
+    }
+    const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+
+    return {
+        port: number(args.port ?? process.env.MOCK_PORT, 8080),
+        failTimes: number(args.fail ?? process.env.MOCK_FAIL, 0),
+        rejectStatus: number(args.reject ?? process.env.MOCK_REJECT, null),
+        latencyMs: number(args.latency ?? process.env.MOCK_LATENCY, 200)
+    };
+}
+
+/**
+ * Responde con un cuerpo JSON
+ * @param {http.ServerResponse} res Respuesta
+ * @param {number} status Código HTTP
+ * @param {object} body Cuerpo
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Lee el cuerpo JSON de una petición
+ * @param {http.IncomingMessage} req Petición
+ * @returns {Promise<object>} Objeto recibido
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('Cuerpo demasiado grande'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Sirve un archivo de la página
+ * @param {http.ServerResponse} res Respuesta
+ * @param {string} pathname Ruta pedida
+ */
+function serveStatic(res, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.HTML' : pathname);
+    } catch (error) {
+        sendJson(res, 400, { error: 'Ruta mal codificada' });
+        return;
+    }
+    const file = path.resolve(ROOT, '.' + relative);
+    if (!file.startsWith(ROOT + path.sep)) {
+        sendJson(res, 403, { error: 'Ruta no permitida' });
+        return;
+    }
+
+    fs.readFile(file, (error, data) => {
+        if (error) {
+            sendJson(res, 404, { error: 'No encontrado' });
+            return;
+        }
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(data);
+    });
+}
+
+/**
+ * Crea el servidor con el estado de la simulación
+ * @param {object} options Opciones de parseOptions()
+ * @returns {http.Server} Servidor sin iniciar
+ */
+function createServer(options) {
+    const settings = {
+        failTimes: options.failTimes,
+        rejectStatus: options.rejectStatus,
+        latencyMs: options.latencyMs,
+        offline: false
+    };
+    // Contactos recibidos por id: un reenvío del mismo contacto reemplaza al anterior
+    const received = new Map();
+
+    const handleContact = async (req, res) => {
+        let payload;
+        try {
+            payload = await readJson(req);
+        } catch (error) {
+            sendJson(res, 400, { error: `JSON inválido: ${error.message}` });
+            return;
+        }
+        if (!payload || typeof payload !== 'object' || !payload.id) {
+            sendJson(res, 422, { error: 'Falta el id del contacto' });
+            return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, settings.latencyMs));
+
+        if (settings.offline) {
+            console.log(`[corte]     ${payload.id}`);
+            req.socket.destroy();
+            return;
+        }
+        if (settings.failTimes > 0) {
+            settings.failTimes--;
+            console.log(`[503]       ${payload.id} (quedan ${settings.failTimes} fallos)`);
+            sendJson(res, 503, { error: 'Servidor simulado no disponible' });
+            return;
+        }
+        if (settings.rejectStatus) {
+            console.log(`[${settings.rejectStatus}]       ${payload.id}`);
+            sendJson(res, settings.rejectStatus, { error: 'Contacto rechazado por el servidor simulado' });
+            return;
+        }
+
+        const receivedAt = new Date().toISOString();
+        const duplicate = received.has(payload.id);
+        received.delete(payload.id);
+        received.set(payload.id, { payload, receivedAt });
+        console.log(`[${duplicate ? 'reenvío' : 'recibido'}]  ${payload.id} ${payload.email || ''}`);
+        sendJson(res, 201, { id: payload.id, receivedAt });
+    };
+
+    const handleSettings = async (req, res) => {
+        try {
+            const changes = await readJson(req) || {};
+            ['failTimes', 'rejectStatus', 'latencyMs', 'offline']
+                .filter(key => key in changes)
+                .forEach(key => { settings[key] = changes[key]; });
+            console.log('[ajustes]  ', settings);
+            sendJson(res, 200, settings);
+        } catch (error) {
+            sendJson(res, 400, { error: `JSON inválido: ${error.message}` });
+        }
+    };
+
+    return http.createServer((req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${pathname}`;
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+        } else if (route === `POST ${CONTACTS_PATH}`) {
+            handleContact(req, res).catch(error => {
+                console.error('Error al recibir un contacto:', error);
+                sendJson(res, 500, { error: error.message });
+            });
+        } else if (route === `GET ${CONTACTS_PATH}`) {
+            sendJson(res, 200, [...received.values()]);
+        } else if (route === `DELETE ${CONTACTS_PATH}`) {
+            received.clear();
+            sendJson(res, 200, { cleared: true });
+        } else if (route === `PUT ${SETTINGS_PATH}`) {
+            handleSettings(req, res);
+        } else if (req.method === 'GET') {
+            serveStatic(res, pathname);
+        } else {
+            sendJson(res, 405, { error: 'Método no permitido' });
+        }
+    });
+}
+
+if (require.main === module) {
+    const options = parseOptions(process.argv.slice(2));
+    createServer(options).listen(options.port, () => {
+        console.log(`Página:    http://localhost:${options.port}/index.HTML`);
+        console.log(`Endpoint:  http://localhost:${options.port}${CONTACTS_PATH}`);
+        console.log('Opciones: ', options);
+    });
+}
+
+module.exports = { createServer, parseOptions };